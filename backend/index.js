@@ -2,144 +2,1462 @@ const express = require('express')
 const http = require('http')
 const { Server } = require('socket.io')
 const cors = require('cors')
+const {
+  WIRE_FORMATS,
+  isBinaryPayload,
+  decodeMove,
+  encodeMoved,
+  encodeSnapshot
+} = require('../src/shared/binaryProtocol')
+const { ERROR_CODES, EVENT_SCHEMAS, validateEvent } = require('../src/shared/events')
+const { PROTOCOL, PROTOCOL_STATUS, checkProtocolVersion } = require('../src/shared/protocol')
+const {
+  DEFAULT_ROOM_ID,
+  ROOM_LIMITS,
+  normalizeRoomId,
+  getRoom,
+  createRoom,
+  recordRoomCreation,
+  checkRoomPassword,
+  isRoomFull,
+  getPlayerRoom,
+  addPlayerToRoom,
+  removePlayerFromRoom,
+  listRooms,
+  pruneEmptyRooms,
+  serializeRoom,
+  getRoomCounts
+} = require('./lib/rooms')
+const {
+  CHAT_CONFIG,
+  sanitizeChatText,
+  checkChatAllowed,
+  createChatMessage,
+  createSystemMessage,
+  addToHistory
+} = require('./lib/chat')
+const {
+  PROXIMITY_CONFIG,
+  getZoneAt,
+  emitLocal,
+  serializeZone
+} = require('./lib/proximity')
+const {
+  INTEREST_CONFIG,
+  updateGridPosition,
+  getInterestSet,
+  refreshInterest,
+  isInInterestRange
+} = require('./lib/interest')
+const {
+  buildSnapshot,
+  acknowledgeSnapshot,
+  requestFullSnapshot
+} = require('./lib/snapshots')
+const {
+  SESSION_CONFIG,
+  createSession,
+  suspendSession,
+  resumeSession,
+  endSession
+} = require('./lib/sessions')
+const {
+  AUTHORITATIVE_CONFIG,
+  getMovementMode,
+  initPlayerMovement,
+  recordInputRate,
+  queueInput,
+  clearInputQueue,
+  createTickClock,
+  advanceTickClock,
+  resetPlayerMovement,
+  processPlayerTick,
+  serializeMovementAck
+} = require('./lib/movement')
+const { MOVEMENT_CONFIG, hasMovementInput } = require('../src/shared/movement')
+const { PRESENCE_STATES } = require('../src/shared/presence')
+const {
+  VIOLATION_TYPES,
+  SANCTIONS,
+  VIOLATION_CONFIG,
+  recordViolation,
+  clearViolations
+} = require('./lib/violations')
+const {
+  BAN_CONFIG,
+  getSocketAddress,
+  banAddress,
+  getBan,
+  unbanAddress,
+  listBans
+} = require('./lib/bans')
+const {
+  COMMANDS,
+  resolveRole,
+  isStaff,
+  canModerate,
+  parseCommand,
+  findPlayerByName,
+  takePlayerArg,
+  getMuteDuration
+} = require('./lib/roles')
+const { logEvent } = require('./lib/logger')
+const { NICKNAME_CONFIG, checkNickname } = require('./lib/nicknames')
+const {
+  NPC_CONFIG,
+  loadNpcDefinitions,
+  getMinuteOfDay,
+  spawnRoomNpcs,
+  tickNpc,
+  findInteractableNpc,
+  startTalking,
+  stopTalking
+} = require('./lib/npcs')
+const {
+  DIALOGUE_CONFIG,
+  loadDialogues,
+  startDialogue,
+  chooseDialogueOption,
+  endDialogue
+} = require('./lib/dialogues')
+const {
+  PRESENCE_CONFIG,
+  initPresence,
+  recordActivity,
+  reportPresence,
+  updatePresence,
+  isPresenceExpired
+} = require('./lib/presence')
+const {
+  QUEUE_CONFIG,
+  getQueuedRoomId,
+  enqueue,
+  dequeue,
+  shiftQueue,
+  recordDeparture,
+  getQueueStatus
+} = require('./lib/queue')
+const {
+  METRICS_CONFIG,
+  METRICS,
+  registerCollector,
+  renderMetrics,
+  recordSnapshotBytes,
+  startMetricsSampler
+} = require('./lib/metrics')
+const {
+  requireAdmin,
+  audit,
+  getAuditHistory
+} = require('./lib/admin')
+const {
+  loadConfig,
+  formatConfigErrors,
+  watchConfig
+} = require('./lib/config')
+
+// Configuração validada (padrões -> arquivo -> ambiente, ver lib/config.js)
+// Erro de configuração impede o servidor de subir
+const { config: serverConfig, file: configFile, errors: configErrors } = loadConfig()
+if (configErrors.length > 0) {
+  console.error(formatConfigErrors(configErrors))
+  process.exit(1)
+}
 
 const app = express()
 app.use(cors())
+app.use(express.json({ limit: '10kb' }))
+// Atrás de proxy: req.ip (auditoria) vem do X-Forwarded-For, igual aos sockets
+if (BAN_CONFIG.TRUST_PROXY) {
+  app.set('trust proxy', true)
+}
 
 const server = http.createServer(app)
 const io = new Server(server, {
   cors: {
-    origin: process.env.FRONTEND_URL || process.env.VERCEL_URL || "*",
+    origin: serverConfig.server.corsOrigin,
     methods: ["GET", "POST"],
     credentials: true
   }
 })
 
-// Armazenar players conectados
-const players = {}
-
-// Rate limiting por player (prevenir spam)
-const playerUpdateRate = {} // { socketId: { lastUpdate: timestamp, updateCount: number } }
+// Players e rate limiting ficam em cada sala (ver lib/rooms.js)
+// room.players: { playerId: player }
+// room.playerUpdateRate: { playerId: { lastUpdate: timestamp, updateCount: number, windowStart: timestamp } }
+//
+// playerId é o socket.id do join. Ao retomar a sessão (reconexão), o novo socket
+// assume o playerId antigo e entra no room com esse nome, então io.to(playerId)
+// continua funcionando.
+const playerSockets = new Map() // playerId -> socket atual
 
-// Configurações (otimizadas baseadas em three-arena e projetos modernos)
+// Configurações (valores vêm de serverConfig em applyConfig; ver lib/config.js para os padrões)
 const CONFIG = {
-  MAX_UPDATE_RATE: 30, // Aumentado para 30 updates/s (mais responsivo)
-  MIN_UPDATE_INTERVAL: 33, // Reduzido para 33ms (~30fps de rede, mais fluido)
+  MAX_UPDATE_RATE: 30, // Updates/s por player
+  MIN_UPDATE_INTERVAL: 33, // ~30fps de rede
   MAX_POSITION_DISTANCE: 150, // Distância máxima do centro
-  MAX_VELOCITY: 20, // Aumentado para 20 u/s (mais permissivo para movimento rápido)
-  HEARTBEAT_TIMEOUT: 10000, // Timeout para considerar player inativo
-  POSITION_THRESHOLD: 0.005 // Threshold reduzido para detectar mudanças menores
+  MAX_VELOCITY: 20, // Unidades/s (permissivo para movimento rápido)
+  CORRECTION_TOLERANCE: 2, // Distância da posição corrigida para considerar que o cliente aplicou
+  CORRECTION_TIMEOUT: 2000, // Tempo máximo ignorando updates antigos após uma correção
+  POSITION_THRESHOLD: 0.005, // Threshold reduzido para detectar mudanças menores
+  STATE_SYNC_INTERVAL: 150, // ~6-7 snapshots por segundo
+  SPAWN_RADIUS: 40, // Mapa tem 100x100: spawn numa área de 80x80 centralizada
+  SPAWN_HEIGHT: 1.0, // Altura padrão do ecctrl Controller (alinhado com altura do player local)
+  CHARACTER_COUNT: 3 // Tipos de personagem válidos: 0 a CHARACTER_COUNT - 1
+}
+
+// Textos enviados aos clientes que podem ser trocados sem reinício
+const MESSAGES = {}
+
+// Copiar a configuração para os objetos de cada módulo
+// Na recarga a quente só chaves `hot` mudam, então reaplicar tudo é seguro
+const applyConfig = (settings) => {
+  Object.assign(CONFIG, {
+    MAX_UPDATE_RATE: settings.movement.maxUpdateRate,
+    MIN_UPDATE_INTERVAL: settings.movement.minUpdateInterval,
+    MAX_POSITION_DISTANCE: settings.movement.maxPositionDistance,
+    MAX_VELOCITY: settings.movement.maxVelocity,
+    CORRECTION_TOLERANCE: settings.movement.correctionTolerance,
+    CORRECTION_TIMEOUT: settings.movement.correctionTimeout,
+    STATE_SYNC_INTERVAL: settings.sync.stateSyncInterval,
+    SPAWN_RADIUS: settings.spawn.radius,
+    SPAWN_HEIGHT: settings.spawn.height,
+    CHARACTER_COUNT: settings.characters.count
+  })
+  Object.assign(ROOM_LIMITS, {
+    DEFAULT_CAPACITY: settings.rooms.defaultCapacity,
+    MAX_CAPACITY: settings.rooms.maxCapacity,
+    MAX_ROOMS: settings.rooms.maxRooms,
+    CREATE_WINDOW: settings.rooms.createWindow,
+    MAX_CREATES_PER_WINDOW: settings.rooms.maxCreatesPerWindow
+  })
+  QUEUE_CONFIG.MAX_SIZE = settings.rooms.queueSize
+  Object.assign(CHAT_CONFIG, {
+    MAX_LENGTH: settings.chat.maxLength,
+    HISTORY_SIZE: settings.chat.historySize,
+    MIN_INTERVAL: settings.chat.minInterval,
+    RATE_WINDOW: settings.chat.rateWindow,
+    MAX_PER_WINDOW: settings.chat.maxPerWindow
+  })
+  Object.assign(VIOLATION_CONFIG, {
+    WINDOW: settings.antiCheat.window,
+    WARN_THRESHOLD: settings.antiCheat.warnThreshold,
+    CORRECT_THRESHOLD: settings.antiCheat.correctThreshold,
+    KICK_THRESHOLD: settings.antiCheat.kickThreshold,
+    KICKS_BEFORE_BAN: settings.antiCheat.kicksBeforeBan,
+    KICK_WINDOW: settings.antiCheat.kickWindow
+  })
+  Object.assign(BAN_CONFIG, {
+    DEFAULT_DURATION: settings.antiCheat.banDuration,
+    TRUST_PROXY: settings.server.trustProxy
+  })
+  Object.assign(PRESENCE_CONFIG, {
+    IDLE_TIMEOUT: settings.presence.idleTimeout,
+    AWAY_TIMEOUT: settings.presence.awayTimeout,
+    REMOVE_TIMEOUT: settings.presence.removeTimeout
+  })
+  SESSION_CONFIG.GRACE_PERIOD = settings.session.gracePeriod
+  AUTHORITATIVE_CONFIG.ENABLED = settings.movement.authoritative
+  Object.assign(INTEREST_CONFIG, { ENABLED: settings.interest.enabled, RADIUS: settings.interest.radius })
+  Object.assign(PROXIMITY_CONFIG, { ENABLED: settings.proximity.enabled, RADIUS: settings.proximity.radius })
+  NPC_CONFIG.ENABLED = settings.npcs.enabled
+  Object.assign(NICKNAME_CONFIG, {
+    BLOCKLIST: settings.nicknames.blocklist,
+    RESERVED: settings.nicknames.reserved,
+    ALLOWLIST: settings.nicknames.allowlist
+  })
+  Object.assign(MESSAGES, settings.messages)
+
+  // Lobby já existe desde o carregamento de lib/rooms.js e usa a capacidade padrão
+  getRoom(DEFAULT_ROOM_ID).maxPlayers = ROOM_LIMITS.DEFAULT_CAPACITY
 }
 
-const STATE_SYNC_INTERVAL = 150 // ~6-7 snapshots por segundo
+applyConfig(serverConfig)
+
+// Definições dos NPCs: arquivo inválido impede a subida, como a configuração
+if (NPC_CONFIG.ENABLED) {
+  const { definitions, timezone, errors: npcErrors } = loadNpcDefinitions(serverConfig.npcs.file)
+  // Diálogos conferidos contra as definições (NPC apontando para diálogo inexistente)
+  const { dialogues, errors: dialogueErrors } = npcErrors.length === 0
+    ? loadDialogues(serverConfig.npcs.dialogues, definitions)
+    : { dialogues: {}, errors: [] }
+  if (npcErrors.length > 0 || dialogueErrors.length > 0) {
+    console.error(formatConfigErrors(npcErrors.concat(dialogueErrors)))
+    process.exit(1)
+  }
+  Object.assign(NPC_CONFIG, { DEFINITIONS: definitions, TIMEZONE: timezone })
+  DIALOGUE_CONFIG.DIALOGUES = dialogues
+}
+
+// Formato binário para movimento/snapshots (negociado por cliente, JSON como fallback)
+const BINARY_PROTOCOL_ENABLED = serverConfig.server.binaryProtocol
 
 // Porta do servidor
-const PORT = process.env.PORT || 3001
+const PORT = serverConfig.server.port
 
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', players: Object.keys(players).length })
+  const rooms = getRoomCounts()
+  const players = Object.values(rooms).reduce((total, count) => total + count, 0)
+  res.json({ status: 'ok', players, rooms, protocolVersion: PROTOCOL.VERSION, build: serverConfig.server.buildId })
+})
+
+// Métricas no formato do Prometheus (token opcional via METRICS_TOKEN)
+app.get('/metrics', (req, res) => {
+  if (METRICS_CONFIG.TOKEN && req.get('authorization') !== `Bearer ${METRICS_CONFIG.TOKEN}`) {
+    res.status(401).end()
+    return
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics())
+})
+
+// Estado atual lido só no scrape
+registerCollector(() => {
+  METRICS.connectedSockets.set({}, io.of('/').sockets.size)
+  METRICS.roomPlayers.reset()
+  METRICS.roomQueue.reset()
+  METRICS.playerPresence.reset()
+  listRooms().forEach(room => {
+    METRICS.roomPlayers.set({ room: room.id }, Object.keys(room.players).length)
+    METRICS.roomQueue.set({ room: room.id }, room.queue.length)
+    Object.values(room.players).forEach(player => {
+      METRICS.playerPresence.inc({ state: player.presence })
+    })
+  })
+})
+
+// Listar salas disponíveis (ocupação e capacidade)
+app.get('/rooms', (req, res) => {
+  res.json({ rooms: listRooms().map(serializeRoom) })
+})
+
+// Criar nova sala (nome, capacidade máxima e senha opcional)
+// Sem login: limite por endereço e total de salas abertas (ROOM_LIMITS)
+app.post('/rooms', async (req, res) => {
+  if (!recordRoomCreation(req.ip)) {
+    res.status(429).json({ error: 'Muitas salas criadas em pouco tempo, aguarde um pouco' })
+    return
+  }
+
+  const { name, maxPlayers, password } = req.body || {}
+  const { room, error, status } = await createRoom({ name, maxPlayers, password })
+
+  if (error) {
+    res.status(status || 400).json({ error })
+    return
+  }
+
+  res.status(201).json({ room: serializeRoom(room) })
+})
+
+// Remover player da sala e avisar os outros players da mesma sala
+// O slot liberado vai para o primeiro da fila de espera, se houver
+const removePlayer = (playerId, { freeSlot = true } = {}) => {
+  const currentRoom = getPlayerRoom(playerId)
+  if (currentRoom?.players[playerId]) closeDialogue(currentRoom, currentRoom.players[playerId])
+  endSession(playerId)
+  clearViolations(playerId)
+  const room = removePlayerFromRoom(playerId, { keepRoom: !freeSlot })
+  if (room) {
+    io.to(room.id).emit('playerDisconnected', playerId)
+    if (freeSlot) {
+      recordDeparture(room)
+      admitFromQueue(room)
+    }
+  }
+  return room
+}
+
+// Join recusado: avisar o cliente e contar por código (métricas)
+const rejectJoin = (socket, code, message, field, details = {}) => {
+  METRICS.joinFailures.inc({ code })
+  socket.emit('error', { code, message, event: 'join', field, ...details })
+}
+
+// Avisar cada um na fila da sala da sua posição e da espera estimada
+const emitQueueUpdates = (room) => {
+  getQueueStatus(room).forEach(({ socketId, ...status }) => {
+    io.to(socketId).emit('queueUpdate', status)
+  })
+}
+
+// Tirar o socket da fila em que estiver (os que ficaram recebem a nova posição)
+const leaveQueue = (socket) => {
+  const room = getRoom(getQueuedRoomId(socket.id))
+  if (!room || !dequeue(room, socket.id)) return false
+  emitQueueUpdates(room)
+  return true
+}
+
+// Slots livres: admitir os próximos da fila, em ordem
+// O nickname é conferido de novo porque a sala pode ter mudado durante a espera
+const admitFromQueue = (room) => {
+  if (room.queue.length === 0) return
+
+  while (room.queue.length > 0 && !isRoomFull(room)) {
+    const entry = shiftQueue(room)
+    const socket = io.of('/').sockets.get(entry.socketId)
+    if (!socket) continue
+
+    const { characterType, role } = entry.request
+    const nicknameCheck = checkNickname({ nickname: entry.request.nickname, room, playerId: socket.data.playerId, role })
+    if (nicknameCheck.error) {
+      const { code, message, suggestions } = nicknameCheck.error
+      rejectJoin(socket, code, message, 'nickname', suggestions ? { suggestions } : {})
+      continue
+    }
+
+    METRICS.queueAdmissions.inc()
+    logEvent('info', 'queue_admitted', {
+      roomId: room.id,
+      playerId: socket.data.playerId,
+      waited: Date.now() - entry.enqueuedAt
+    })
+    admitPlayer(socket, room.id, { nickname: nicknameCheck.nickname, characterType, role })
+  }
+
+  emitQueueUpdates(room)
+}
+
+// Mensagem de ban com o tempo restante
+const formatBanMessage = (ban, now = Date.now()) => {
+  const minutes = Math.max(1, Math.ceil((ban.expiresAt - now) / 60000))
+  return `Você está banido temporariamente (${minutes} min restantes)`
+}
+
+// Tirar o player da sala e derrubar a conexão (o cliente recebe o motivo antes)
+const kickPlayer = (playerId, error) => {
+  const socket = playerSockets.get(playerId)
+  removePlayer(playerId)
+  if (socket) {
+    socket.emit('error', error)
+    socket.disconnect(true)
+  }
+}
+
+const isTerminalSanction = (sanction) => sanction === SANCTIONS.KICK || sanction === SANCTIONS.BAN
+
+// Validar payload recebido com o schema do evento (src/shared/events.js)
+// Inválido: responde 'error' { code, message, event, field } (exceto eventos silenciosos) e devolve null
+const parsePayload = (socket, event, data, overrides) => {
+  const { value, error } = validateEvent(event, data, overrides)
+  if (!error) return value
+
+  METRICS.invalidPayloads.inc({ event, code: error.code })
+  if (!EVENT_SCHEMAS[event].silent) socket.emit('error', error)
+  return null
+}
+
+// Forçar o cliente para a posição do servidor (anti-cheat e teleporte da moderação)
+// Até o cliente aplicar, updates antigos ainda em trânsito são ignorados no playerMove
+const sendPositionCorrection = (player) => {
+  // Modo autoritativo não recebe posições do cliente (o ack já reconcilia)
+  if (!player.movement) {
+    player.pendingCorrection = {
+      position: { ...player.position },
+      expiresAt: Date.now() + CONFIG.CORRECTION_TIMEOUT
+    }
+  }
+
+  const socket = playerSockets.get(player.id)
+  if (!socket) return
+  socket.emit('positionCorrection', {
+    position: player.position,
+    rotation: player.rotation,
+    movement: player.movement ? serializeMovementAck(player) : null
+  })
+}
+
+// Registrar violação do anti-cheat e aplicar aviso/kick/ban
+// A correção de posição fica com quem chamou (depende do modo de movimento)
+const reportViolation = (socket, room, player, type, details) => {
+  const address = getSocketAddress(socket)
+  const { sanction } = recordViolation({ player, roomId: room.id, address, type, details })
+
+  if (sanction === SANCTIONS.WARN) {
+    socket.emit('error', { code: ERROR_CODES.VIOLATION_WARNING, message: MESSAGES.violationWarning })
+  } else if (sanction === SANCTIONS.KICK) {
+    kickPlayer(player.id, { code: ERROR_CODES.KICKED, message: MESSAGES.antiCheatKick })
+  } else if (sanction === SANCTIONS.BAN) {
+    const ban = banAddress(address, { reason: `anti-cheat: ${type}` })
+    kickPlayer(player.id, { code: ERROR_CODES.BANNED, message: formatBanMessage(ban) })
+  }
+
+  return sanction
+}
+
+// Dados do player enviados para os clientes (currentPlayers, newPlayer, entrada no interesse)
+const serializePlayer = (player) => ({
+  id: player.id,
+  index: player.index, // Índice numérico usado no formato binário
+  nickname: player.nickname,
+  characterType: player.characterType,
+  role: player.role, // Badge no nameplate (host/moderador)
+  position: player.position,
+  rotation: player.rotation,
+  lastUpdate: player.lastUpdate,
+  presence: player.presence // Ativo, inativo, ausente ou desconectado (ver lib/presence.js)
+})
+
+// Recalcular a presença e avisar a sala inteira se mudou
+// (toda a sala, como newPlayer: quem está fora do interesse também guarda o estado)
+const refreshPresence = (room, player, now = Date.now()) => {
+  if (!updatePresence(player, now)) return
+  io.to(room.id).emit('playerPresence', { playerId: player.id, state: player.presence })
+}
+
+// Ids visíveis para o player: ele mesmo + quem está no seu interesse
+const getVisibleIds = (room, playerId) => {
+  const interest = getInterestSet(room, playerId)
+  return interest ? [playerId, ...interest] : [playerId]
+}
+
+// Formato negociado pelo socket atual do player (JSON se não negociou)
+const getWireFormat = (playerId) => {
+  return playerSockets.get(playerId)?.data.wireFormat || WIRE_FORMATS.JSON
+}
+
+// Enviar playerMoved separando os destinatários por formato
+const emitPlayerMoved = (playerIds, player) => {
+  const jsonIds = []
+  const binaryIds = []
+  playerIds.forEach(id => {
+    if (getWireFormat(id) === WIRE_FORMATS.BINARY) binaryIds.push(id)
+    else jsonIds.push(id)
+  })
+
+  if (jsonIds.length > 0) {
+    io.to(jsonIds).emit('playerMoved', {
+      id: player.id,
+      position: player.position,
+      rotation: player.rotation,
+      lastUpdate: player.lastUpdate // Timestamp do servidor (buffer de interpolação)
+    })
+  }
+  if (binaryIds.length > 0) {
+    io.to(binaryIds).emit('playerMoved', encodeMoved(player.index, player.position, player.rotation, player.lastUpdate))
+  }
+}
+
+// Enviar snapshot no formato do cliente (binário: buffer + dados estáticos em JSON)
+const emitSnapshot = (room, playerId, snapshot) => {
+  if (getWireFormat(playerId) !== WIRE_FORMATS.BINARY) {
+    const json = JSON.stringify(snapshot)
+    recordSnapshotBytes(WIRE_FORMATS.JSON, Buffer.byteLength(json))
+    io.to(playerId).emit('stateSnapshot', snapshot)
+    return
+  }
+
+  const { buffer, statics } = encodeSnapshot(snapshot, id => (room.players[id] || room.npcs[id])?.index)
+  recordSnapshotBytes(WIRE_FORMATS.BINARY, buffer.byteLength + (statics ? Buffer.byteLength(JSON.stringify(statics)) : 0))
+  io.to(playerId).emit('stateSnapshot', buffer, statics)
+}
+
+// Enviar eventos de entrada/saída do interesse (resultado do refreshInterest)
+const emitInterestChanges = (room, changes) => {
+  changes.forEach(({ playerId, entered, left }) => {
+    if (entered.length > 0) {
+      io.to(playerId).emit('playersEnteredInterest', entered.map(id => serializePlayer(room.players[id])))
+    }
+    if (left.length > 0) {
+      io.to(playerId).emit('playersLeftInterest', left)
+    }
+  })
+}
+
+// Avisar o player quando ele entra/sai de uma zona (apenas no modo de proximidade)
+const updatePlayerZone = (socket, player) => {
+  if (!PROXIMITY_CONFIG.ENABLED) return
+
+  const zone = getZoneAt(player.position)
+  const zoneId = zone ? zone.id : null
+  if ((player.zoneId ?? null) === zoneId) return
+
+  player.zoneId = zoneId
+  socket.emit('zoneChanged', serializeZone(zone))
+}
+
+// Enviar ao player os players que ele vê (join e retomada de sessão)
+const sendCurrentPlayers = (socket, room, playerId) => {
+  const ids = INTEREST_CONFIG.ENABLED ? getVisibleIds(room, playerId) : Object.keys(room.players)
+  const visiblePlayers = {}
+  ids.forEach(id => {
+    visiblePlayers[id] = serializePlayer(room.players[id])
+  })
+  socket.emit('currentPlayers', visiblePlayers)
+}
+
+// Mover player pelo servidor (moderação): dono é corrigido, os outros veem o salto
+const teleportPlayer = (room, player, position) => {
+  player.position = position
+  player.lastUpdate = Date.now()
+  resetPlayerMovement(player)
+
+  const socket = playerSockets.get(player.id)
+  if (socket) updatePlayerZone(socket, player)
+  sendPositionCorrection(player)
+
+  let recipients = Object.keys(room.players)
+  if (INTEREST_CONFIG.ENABLED) {
+    updateGridPosition(room, player)
+    recipients = getVisibleIds(room, player.id)
+  }
+  emitPlayerMoved(recipients.filter(id => id !== player.id), player)
+}
+
+// Fechar o diálogo aberto do player (fechou o painel, se afastou, saiu da sala)
+// O NPC volta a andar quando ninguém mais conversa com ele
+const closeDialogue = (room, player) => {
+  if (!player.dialogue) return false
+  const npc = room.npcs[player.dialogue.npcId]
+  endDialogue(player)
+  if (npc) stopTalking(npc, player.id)
+  return true
+}
+
+// Ações do diálogo que mexem no mundo (as marcações ficam em lib/dialogues.js)
+const runDialogueAction = (room, player, action) => {
+  if (action.type === 'teleport') {
+    const { x, z } = action.position
+    const y = action.position.y ?? 1.0
+    if (Math.sqrt(x ** 2 + z ** 2) > CONFIG.MAX_POSITION_DISTANCE) {
+      logEvent('warn', 'dialogue_action_skipped', { playerId: player.id, roomId: room.id, action: action.type, reason: 'out_of_bounds' })
+      return
+    }
+    teleportPlayer(room, player, { x, y, z })
+  }
+}
+
+// NPC com diálogo ao alcance: o cliente mostra "E para conversar" (só avisa quando muda)
+// Quem se afastou (teleporte, moderação) com o diálogo aberto tem a conversa encerrada
+const updateNearbyNpc = (room, player) => {
+  const socket = playerSockets.get(player.id)
+  if (!socket || player.disconnectedAt) return
+
+  if (player.dialogue) {
+    const npc = room.npcs[player.dialogue.npcId]
+    const maxDistance = DIALOGUE_CONFIG.INTERACT_DISTANCE + DIALOGUE_CONFIG.DISTANCE_TOLERANCE
+    if (!npc || Math.hypot(npc.position.x - player.position.x, npc.position.z - player.position.z) > maxDistance) {
+      closeDialogue(room, player)
+      socket.emit('dialogueEnded', { npcId: npc ? npc.id : null })
+    }
+  }
+
+  const npc = findInteractableNpc(room, player.position, DIALOGUE_CONFIG.INTERACT_DISTANCE)
+  const npcId = npc ? npc.id : null
+  if ((player.nearbyNpcId ?? null) === npcId) return
+
+  player.nearbyNpcId = npcId
+  socket.emit('npcNearby', npc ? { npcId, name: npc.nickname } : { npcId: null })
+}
+
+// Mensagem de sistema para a sala inteira (entra no histórico do chat)
+const broadcastSystemMessage = (room, text) => {
+  const message = createSystemMessage(text)
+  addToHistory(room, message)
+  io.to(room.id).emit('chatMessage', message)
+  return message
+}
+
+// ===== API administrativa (ver lib/admin.js) =====
+
+const ADMIN_MAX_BAN_DURATION = 30 * 24 * 60 * 60 * 1000 // 30 dias
+
+// Player com dados de conexão (apenas para a moderação)
+const serializeAdminPlayer = (room, player) => {
+  const socket = playerSockets.get(player.id)
+  return {
+    ...serializePlayer(player),
+    roomId: room.id,
+    connection: {
+      connected: !!socket && !player.disconnectedAt,
+      socketId: socket ? socket.id : null,
+      address: player.address || null,
+      wireFormat: getWireFormat(player.id),
+      clientBuild: socket ? socket.data.clientBuild : null,
+      disconnectedAt: player.disconnectedAt || null
+    }
+  }
+}
+
+const findPlayer = (playerId) => {
+  const room = getPlayerRoom(playerId)
+  const player = room?.players[playerId]
+  return player ? { room, player } : null
+}
+
+const getPlayerIdsByAddress = (address) => {
+  const playerIds = []
+  listRooms().forEach(room => {
+    Object.values(room.players).forEach(player => {
+      if (player.address === address) playerIds.push(player.id)
+    })
+  })
+  return playerIds
+}
+
+// Alvo de kick/ban: { playerId } ou { address } (todos os players do endereço)
+const resolveModerationTarget = ({ playerId, address } = {}) => {
+  if (typeof playerId === 'string' && playerId) {
+    const found = findPlayer(playerId)
+    if (!found) return { status: 404, error: 'Player não encontrado' }
+    return { playerIds: [playerId], address: found.player.address || null }
+  }
+
+  if (typeof address === 'string' && address.trim()) {
+    const target = address.trim()
+    return { playerIds: getPlayerIdsByAddress(target), address: target }
+  }
+
+  return { status: 400, error: 'Informe playerId ou address' }
+}
+
+const adminRouter = express.Router()
+adminRouter.use(requireAdmin)
+
+adminRouter.get('/rooms', (req, res) => {
+  audit(req, 'list_rooms')
+  res.json({
+    rooms: listRooms().map(room => ({
+      ...serializeRoom(room),
+      players: Object.values(room.players).map(player => serializeAdminPlayer(room, player))
+    }))
+  })
+})
+
+adminRouter.get('/players', (req, res) => {
+  audit(req, 'list_players')
+  const players = []
+  listRooms().forEach(room => {
+    Object.values(room.players).forEach(player => players.push(serializeAdminPlayer(room, player)))
+  })
+  res.json({ players })
+})
+
+adminRouter.get('/bans', (req, res) => {
+  audit(req, 'list_bans')
+  res.json({ bans: listBans() })
+})
+
+adminRouter.get('/audit', (req, res) => {
+  res.json({ entries: getAuditHistory() })
+})
+
+// Expulsar player (por id ou todos de um endereço)
+adminRouter.post('/kick', (req, res) => {
+  const target = resolveModerationTarget(req.body)
+  if (target.error) {
+    res.status(target.status).json({ error: target.error })
+    return
+  }
+
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.slice(0, 200) : null
+  target.playerIds.forEach(playerId => {
+    kickPlayer(playerId, { code: ERROR_CODES.KICKED, message: reason ? `Você foi expulso: ${reason}` : 'Você foi expulso por um moderador' })
+  })
+
+  audit(req, 'kick', { playerId: req.body.playerId || null, address: target.address, reason, kicked: target.playerIds })
+  res.json({ kicked: target.playerIds })
+})
+
+// Banir endereço (do player ou informado) e expulsar quem estiver com ele
+adminRouter.post('/ban', (req, res) => {
+  const target = resolveModerationTarget(req.body)
+  if (target.error) {
+    res.status(target.status).json({ error: target.error })
+    return
+  }
+  if (!target.address) {
+    res.status(409).json({ error: 'Endereço do player desconhecido' })
+    return
+  }
+
+  const { duration } = req.body
+  if (duration !== undefined && !(Number.isFinite(duration) && duration > 0 && duration <= ADMIN_MAX_BAN_DURATION)) {
+    res.status(400).json({ error: 'Duração inválida (ms, até 30 dias)' })
+    return
+  }
+
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.slice(0, 200) : null
+  const ban = banAddress(target.address, { duration: duration || BAN_CONFIG.DEFAULT_DURATION, reason })
+  const playerIds = getPlayerIdsByAddress(target.address)
+  playerIds.forEach(playerId => {
+    kickPlayer(playerId, { code: ERROR_CODES.BANNED, message: formatBanMessage(ban) })
+  })
+
+  audit(req, 'ban', { playerId: req.body.playerId || null, address: target.address, duration: ban.expiresAt - ban.createdAt, reason, kicked: playerIds })
+  res.json({ ban, kicked: playerIds })
+})
+
+adminRouter.delete('/bans/:address', (req, res) => {
+  const removed = unbanAddress(req.params.address)
+  audit(req, 'unban', { address: req.params.address }, removed ? 'ok' : 'not_found')
+  if (!removed) {
+    res.status(404).json({ error: 'Banimento não encontrado' })
+    return
+  }
+  res.json({ address: req.params.address })
+})
+
+// Renomear player (todos da sala recebem playerRenamed)
+adminRouter.post('/players/:id/rename', (req, res) => {
+  const found = findPlayer(req.params.id)
+  if (!found) {
+    res.status(404).json({ error: 'Player não encontrado' })
+    return
+  }
+
+  // Mesma política do join (nomes reservados só para quem já é da equipe)
+  const { room, player } = found
+  const { nickname, error } = checkNickname({ nickname: req.body.nickname, room, playerId: player.id, role: player.role })
+  if (error) {
+    res.status(error.code === ERROR_CODES.NICKNAME_TAKEN ? 409 : 400).json({ error: error.message, code: error.code, suggestions: error.suggestions })
+    return
+  }
+
+  const previous = player.nickname
+  player.nickname = nickname
+  io.to(room.id).emit('playerRenamed', { id: player.id, nickname })
+
+  audit(req, 'rename', { playerId: player.id, roomId: room.id, from: previous, to: nickname })
+  res.json({ player: serializeAdminPlayer(room, player) })
+})
+
+// Teleportar player para uma coordenada
+adminRouter.post('/players/:id/move', (req, res) => {
+  const found = findPlayer(req.params.id)
+  if (!found) {
+    res.status(404).json({ error: 'Player não encontrado' })
+    return
+  }
+
+  const { x, y = 1.0, z } = req.body
+  if (![x, y, z].every(Number.isFinite) || Math.sqrt(x ** 2 + z ** 2) > CONFIG.MAX_POSITION_DISTANCE) {
+    res.status(400).json({ error: 'Coordenada inválida' })
+    return
+  }
+
+  const { room, player } = found
+  const previous = player.position
+  teleportPlayer(room, player, { x, y, z })
+
+  audit(req, 'move', { playerId: player.id, roomId: room.id, from: previous, to: player.position })
+  res.json({ player: serializeAdminPlayer(room, player) })
+})
+
+// Mensagem de sistema para todos da sala (entra no histórico do chat)
+adminRouter.post('/rooms/:id/broadcast', (req, res) => {
+  const room = getRoom(normalizeRoomId(req.params.id))
+  if (!room) {
+    res.status(404).json({ error: 'Sala não encontrada' })
+    return
+  }
+
+  const text = sanitizeChatText(req.body.text)
+  if (!text || text.length > CHAT_CONFIG.MAX_LENGTH) {
+    res.status(400).json({ error: `Mensagem inválida (1 a ${CHAT_CONFIG.MAX_LENGTH} caracteres)` })
+    return
+  }
+
+  const message = broadcastSystemMessage(room, text)
+
+  audit(req, 'broadcast', { roomId: room.id, text })
+  res.json({ message })
+})
+
+app.use('/admin', adminRouter)
+
+// ===== Comandos de moderação no chat (ver lib/roles.js) =====
+
+// Aviso para um player específico (aparece como mensagem de sistema no chat)
+const sendSystemNotice = (playerId, text) => {
+  playerSockets.get(playerId)?.emit('systemNotice', { text })
+}
+
+// Resolver o alvo do comando (início dos argumentos) e checar se o autor pode agir sobre ele
+// Retorna { player, args } com os argumentos depois do nome, ou { error }
+const resolveCommandTarget = (room, actor, commandArgs) => {
+  const { player, args, error } = takePlayerArg(room, commandArgs)
+  if (error) return { error }
+  if (!canModerate(actor, player)) return { error: `Sem permissão para moderar ${player.nickname}` }
+  return { player, args }
+}
+
+const COMMAND_HANDLERS = {
+  kick: (room, actor, { args: commandArgs }) => {
+    const { player, args, error } = resolveCommandTarget(room, actor, commandArgs)
+    if (error) return { error }
+
+    const reason = args.join(' ').slice(0, 200)
+    kickPlayer(player.id, {
+      code: ERROR_CODES.KICKED,
+      message: reason ? `Você foi expulso por ${actor.nickname}: ${reason}` : `Você foi expulso por ${actor.nickname}`
+    })
+    return { message: `${player.nickname} foi expulso`, target: player }
+  },
+
+  mute: (room, actor, { args: commandArgs }) => {
+    const { player, args, error } = resolveCommandTarget(room, actor, commandArgs)
+    if (error) return { error }
+
+    const duration = getMuteDuration(args[0])
+    if (duration === null) return { error: 'Duração inválida (minutos)' }
+
+    if (duration === 0) {
+      delete player.mutedUntil
+      sendSystemNotice(player.id, 'Você pode voltar a falar no chat')
+      return { message: `${player.nickname} pode falar de novo`, target: player }
+    }
+
+    player.mutedUntil = Date.now() + duration
+    const minutes = Math.ceil(duration / 60000)
+    sendSystemNotice(player.id, `Você foi silenciado por ${actor.nickname} (${minutes} min)`)
+    return { message: `${player.nickname} silenciado por ${minutes} min`, target: player }
+  },
+
+  teleport: (room, actor, { args: commandArgs }) => {
+    const { player, args, error } = resolveCommandTarget(room, actor, commandArgs)
+    if (error) return { error }
+    if (args.length === 0) return { error: `Uso: ${COMMANDS.teleport.usage}` }
+
+    let position
+    if (args.length === 2 && !Number.isNaN(Number(args[0]))) {
+      const x = Number(args[0])
+      const z = Number(args[1])
+      if (!Number.isFinite(x) || !Number.isFinite(z) || Math.sqrt(x ** 2 + z ** 2) > CONFIG.MAX_POSITION_DISTANCE) {
+        return { error: 'Coordenada inválida' }
+      }
+      position = { x, y: 1.0, z }
+    } else {
+      // Destino é outro player: aparecer ao lado dele
+      const destination = findPlayerByName(room, args.join(' '))
+      if (destination.error) return { error: destination.error }
+      const { x, y, z } = destination.player.position
+      position = { x: x + 1, y, z }
+    }
+
+    teleportPlayer(room, player, position)
+    sendSystemNotice(player.id, `Você foi teleportado por ${actor.nickname}`)
+    return { message: `${player.nickname} teleportado`, target: player }
+  },
+
+  freeze: (room, actor, { args }) => {
+    const { player, error } = resolveCommandTarget(room, actor, args)
+    if (error) return { error }
+
+    player.frozen = !player.frozen
+    playerSockets.get(player.id)?.emit('frozenChanged', { frozen: player.frozen })
+    sendSystemNotice(player.id, player.frozen ? `Você foi congelado por ${actor.nickname}` : 'Você pode se mover de novo')
+    return { message: `${player.nickname} ${player.frozen ? 'congelado' : 'liberado'}`, target: player }
+  },
+
+  announce: (room, actor, { rest }) => {
+    const text = rest.slice(0, CHAT_CONFIG.MAX_LENGTH)
+    broadcastSystemMessage(room, `📢 ${actor.nickname}: ${text}`)
+    return { message: 'Anúncio enviado' }
+  }
+}
+
+// Executar comando do chat (toda permissão é checada aqui, nunca no cliente)
+const runCommand = (socket, room, actor, { name, args, rest }) => {
+  const reply = (ok, message) => socket.emit('commandResult', { command: name, ok, message })
+
+  const definition = COMMANDS[name]
+  if (!definition) {
+    reply(false, `Comando desconhecido: /${name}`)
+    return
+  }
+
+  if (!isStaff(actor)) {
+    logEvent('warn', 'moderation_command', { command: name, actorId: actor.id, roomId: room.id, result: 'denied' })
+    reply(false, 'Apenas moderadores podem usar comandos')
+    return
+  }
+
+  if (args.length < definition.minArgs) {
+    reply(false, `Uso: ${definition.usage}`)
+    return
+  }
+
+  const { error, message, target } = COMMAND_HANDLERS[name](room, actor, { args, rest })
+  logEvent(error ? 'warn' : 'info', 'moderation_command', {
+    command: name,
+    args,
+    actorId: actor.id,
+    actorNickname: actor.nickname,
+    actorRole: actor.role,
+    targetId: target ? target.id : null,
+    roomId: room.id,
+    result: error ? 'failed' : 'ok',
+    error
+  })
+  reply(!error, error || message)
+}
+
+// Colocar o player na sala: spawn, sessão e estado inicial
+// Chamado pelo join (slot livre) e pela fila de espera (admitFromQueue)
+// request: { nickname, characterType, role } já validados
+const admitPlayer = (socket, roomId, { nickname, characterType, role }) => {
+  const playerId = socket.data.playerId
+
+  // Só o lobby é criado automaticamente; as outras salas vêm do POST /rooms
+  const room = getRoom(roomId)
+  if (!room) {
+    rejectJoin(socket, ERROR_CODES.ROOM_NOT_FOUND, MESSAGES.roomNotFound)
+    return
+  }
+
+  // Se já estava em uma sala (re-join), sair dela antes
+  // Na mesma sala o slot continua dele (não passa para a fila)
+  const previousRoom = getPlayerRoom(playerId)
+  if (previousRoom) {
+    removePlayer(playerId, { freeSlot: previousRoom.id !== roomId })
+    socket.leave(previousRoom.id)
+  }
+
+  // Gerar posição aleatória no mapa (área segura, raio CONFIG.SPAWN_RADIUS)
+  const angle = Math.random() * Math.PI * 2 // Ângulo aleatório
+  const distance = Math.random() * CONFIG.SPAWN_RADIUS // Distância aleatória do centro
+  
+  const spawnPosition = {
+    x: Math.cos(angle) * distance,
+    y: CONFIG.SPAWN_HEIGHT,
+    z: Math.sin(angle) * distance
+  }
+  
+  // Rotação aleatória inicial
+  const spawnRotation = {
+    x: 0,
+    y: Math.random() * Math.PI * 2, // Rotação aleatória em Y (horizontal)
+    z: 0
+  }
+
+  // Criar player
+  const player = {
+    id: playerId,
+    nickname, // Normalizado pela política de nicknames (checkNickname)
+    characterType: characterType,
+    role,
+    position: spawnPosition,
+    rotation: spawnRotation,
+    lastUpdate: Date.now(), // Timestamp para heartbeat
+    address: getSocketAddress(socket) // Só para moderação (não vai para os clientes)
+  }
+
+  initPresence(player)
+
+  // Modo autoritativo: servidor simula a partir da posição de spawn
+  if (AUTHORITATIVE_CONFIG.ENABLED) {
+    initPlayerMovement(player)
+  }
+
+  addPlayerToRoom(room, player)
+  playerSockets.set(playerId, socket)
+  socket.join(room.id)
+  updatePlayerZone(socket, player)
+
+  // Token para retomar a sessão se a conexão cair
+  socket.emit('sessionStarted', {
+    playerId,
+    token: createSession(playerId),
+    gracePeriod: SESSION_CONFIG.GRACE_PERIOD,
+    movementMode: getMovementMode(),
+    movement: player.movement ? serializeMovementAck(player) : null,
+    role,
+    frozen: false,
+    resumed: false
+  })
+
+  if (!INTEREST_CONFIG.ENABLED) {
+    sendCurrentPlayers(socket, room, playerId)
+    socket.emit('chatHistory', room.chatHistory)
+    socket.to(room.id).emit('newPlayer', serializePlayer(player))
+    return
+  }
+
+  // Área de interesse: todos da sala ficam sabendo (notificação), mas o avatar
+  // só aparece para quem recebe playersEnteredInterest logo em seguida
+  socket.to(room.id).emit('newPlayer', { ...serializePlayer(player), inInterest: false })
+
+  updateGridPosition(room, player)
+  const changes = refreshInterest(room)
+
+  // Novo player recebe apenas ele mesmo + players no seu interesse
+  sendCurrentPlayers(socket, room, playerId)
+  socket.emit('chatHistory', room.chatHistory)
+
+  emitInterestChanges(room, changes.filter(change => change.playerId !== playerId))
+}
+
+// Handshake de versão (src/shared/protocol.js): cliente manda { protocolVersion, buildId } no auth
+// Incompatível: conexão recusada com connect_error (error.data = { code, message, ... })
+io.use((socket, next) => {
+  const { protocolVersion, buildId } = socket.handshake.auth || {}
+  const { status, message } = checkProtocolVersion(protocolVersion)
+  METRICS.protocolHandshakes.inc({ status })
+
+  socket.data.clientBuild = typeof buildId === 'string' ? buildId.slice(0, 64) : null
+  socket.data.protocolStatus = { status, message }
+
+  if (status === PROTOCOL_STATUS.INCOMPATIBLE) {
+    logEvent('warn', 'protocol_rejected', {
+      address: getSocketAddress(socket),
+      clientVersion: protocolVersion ?? null,
+      clientBuild: socket.data.clientBuild,
+      serverVersion: PROTOCOL.VERSION
+    })
+    const error = new Error(message)
+    error.data = {
+      code: ERROR_CODES.PROTOCOL_INCOMPATIBLE,
+      message,
+      serverVersion: PROTOCOL.VERSION,
+      serverBuild: serverConfig.server.buildId
+    }
+    next(error)
+    return
+  }
+
+  next()
 })
 
 // Socket.IO - Gerenciamento de conexões
 io.on('connection', (socket) => {
+  // Resultado do handshake (aviso de versão antiga vira banner no cliente)
+  socket.emit('protocolStatus', {
+    status: socket.data.protocolStatus.status,
+    message: socket.data.protocolStatus.message,
+    serverVersion: PROTOCOL.VERSION,
+    serverBuild: serverConfig.server.buildId
+  })
+  socket.emit('syncSettings', getSyncSettings())
+
+  socket.data.wireFormat = WIRE_FORMATS.JSON
+  socket.data.playerId = socket.id // Troca para o id antigo ao retomar sessão
+
+  // Evento: Negociar formato do tráfego de movimento (cliente manda os que suporta)
+  socket.on('negotiateFormat', (data, callback) => {
+    const payload = parsePayload(socket, 'negotiateFormat', data)
+    const formats = payload ? payload.formats : []
+    const format = BINARY_PROTOCOL_ENABLED && formats.includes(WIRE_FORMATS.BINARY)
+      ? WIRE_FORMATS.BINARY
+      : WIRE_FORMATS.JSON
+
+    socket.data.wireFormat = format
+    if (typeof callback === 'function') {
+      callback({ format })
+    }
+  })
+
+  // Evento: Sincronização de relógio (ping/pong)
+  // Cliente mede o RTT e estima o offset: serverTime + RTT/2 - horário local
+  socket.on('timeSync', (data, callback) => {
+    if (typeof callback !== 'function') return
+    const payload = parsePayload(socket, 'timeSync', data)
+    callback({
+      clientTime: payload ? payload.clientTime : null,
+      serverTime: Date.now()
+    })
+  })
 
   // Evento: Player entra na sala
-  socket.on('join', (data) => {
-    const { nickname, characterType } = data
-    
-    if (!nickname || nickname.trim().length === 0) {
-      socket.emit('error', { message: 'Nickname inválido' })
+  socket.on('join', async (data) => {
+    const playerId = socket.data.playerId
+
+    const ban = getBan(getSocketAddress(socket))
+    if (ban) {
+      rejectJoin(socket, ERROR_CODES.BANNED, formatBanMessage(ban))
       return
     }
 
-    if (characterType === undefined || characterType < 0 || characterType > 2) {
-      socket.emit('error', { message: 'Tipo de personagem inválido' })
+    // Tipos de personagem vêm da configuração (characters.count)
+    const { value: payload, error } = validateEvent('join', data, {
+      characterType: { max: CONFIG.CHARACTER_COUNT - 1 }
+    })
+    if (error) {
+      rejectJoin(socket, error.code, error.message, error.field)
       return
     }
+    const { characterType, roomId: requestedRoomId, password, staffKey } = payload
 
-    // Gerar posição aleatória no mapa (área segura)
-    // Mapa tem 100x100, então vamos spawnar em uma área de 80x80 centralizada
-    const spawnRadius = 40 // Raio de spawn (metade de 80)
-    const angle = Math.random() * Math.PI * 2 // Ângulo aleatório
-    const distance = Math.random() * spawnRadius // Distância aleatória do centro
-    
-    const spawnPosition = {
-      x: Math.cos(angle) * distance,
-      y: 1.0, // Altura padrão do ecctrl Controller (alinhado com altura do player local)
-      z: Math.sin(angle) * distance
+    // Chave de staff informada precisa ser válida (sem chave = convidado)
+    const role = resolveRole(staffKey)
+    if (!role) {
+      rejectJoin(socket, ERROR_CODES.INVALID_STAFF_KEY, 'Chave de moderação inválida')
+      return
     }
-    
-    // Rotação aleatória inicial
-    const spawnRotation = {
-      x: 0,
-      y: Math.random() * Math.PI * 2, // Rotação aleatória em Y (horizontal)
-      z: 0
-    }
-
-    // Criar player
-    players[socket.id] = {
-      id: socket.id,
-      nickname: nickname.trim().slice(0, 12), // Máximo 12 caracteres
-      characterType: characterType,
-      position: spawnPosition,
-      rotation: spawnRotation,
-      lastUpdate: Date.now() // Timestamp para heartbeat
+
+    const roomId = normalizeRoomId(requestedRoomId)
+    if (!roomId) {
+      rejectJoin(socket, ERROR_CODES.INVALID_ROOM, 'Sala inválida')
+      return
     }
-    
-    playerUpdateRate[socket.id] = {
-      lastUpdate: Date.now(),
-      updateCount: 0
+
+    // Novo pedido substitui a fila em que o socket estava
+    leaveQueue(socket)
+
+    // Sala desconhecida não é criada pelo join (senão ficaria aberta, sem senha)
+    const existingRoom = getRoom(roomId)
+    if (!existingRoom) {
+      rejectJoin(socket, ERROR_CODES.ROOM_NOT_FOUND, MESSAGES.roomNotFound)
+      return
+    }
+
+    const isNewToRoom = !existingRoom.players[playerId]
+    if (isNewToRoom && !(await checkRoomPassword(existingRoom, password))) {
+      rejectJoin(socket, ERROR_CODES.WRONG_PASSWORD, MESSAGES.wrongPassword)
+      return
+    }
+
+    // Durante o hash o socket pode ter caído ou a sala ter sido removida
+    if (!socket.connected) return
+    if (getRoom(roomId) !== existingRoom) {
+      rejectJoin(socket, ERROR_CODES.ROOM_NOT_FOUND, MESSAGES.roomNotFound)
+      return
+    }
+
+    // Política de nicknames: único na sala, sem termos bloqueados/reservados (lib/nicknames.js)
+    const nicknameCheck = checkNickname({ nickname: payload.nickname, room: existingRoom, playerId, role })
+    if (nicknameCheck.error) {
+      const { code, message, suggestions } = nicknameCheck.error
+      rejectJoin(socket, code, message, 'nickname', suggestions ? { suggestions } : {})
+      return
+    }
+    const { nickname } = nicknameCheck
+
+    // Sala cheia: entrar na fila de espera (admitFromQueue quando abrir um slot)
+    if (isNewToRoom && isRoomFull(existingRoom)) {
+      const position = enqueue(existingRoom, socket.id, { nickname, characterType, role })
+      if (!position) {
+        rejectJoin(socket, ERROR_CODES.ROOM_FULL, MESSAGES.roomFull)
+        return
+      }
+      logEvent('info', 'queue_joined', { roomId, playerId, position })
+      emitQueueUpdates(existingRoom)
+      return
+    }
+
+    admitPlayer(socket, roomId, { nickname, characterType, role })
+  })
+
+  // Evento: Desistir da fila de espera (o cliente volta para a seleção de sala)
+  socket.on('leaveQueue', (data) => {
+    if (!parsePayload(socket, 'leaveQueue', data)) return
+    if (leaveQueue(socket)) {
+      logEvent('info', 'queue_left', { playerId: socket.data.playerId })
+    }
+  })
+
+  // Evento: Retomar sessão após reconexão (token recebido em sessionStarted)
+  // Sem newPlayer/playerDisconnected: para os outros o player nunca saiu
+  socket.on('resumeSession', (data) => {
+    const ban = getBan(getSocketAddress(socket))
+    if (ban) {
+      socket.emit('error', { code: ERROR_CODES.BANNED, message: formatBanMessage(ban) })
+      return
+    }
+
+    const payload = parsePayload(socket, 'resumeSession', data)
+    if (!payload) return
+
+    const session = resumeSession(payload.token)
+    const room = session ? getPlayerRoom(session.playerId) : null
+    const player = room?.players[session.playerId]
+
+    if (!player) {
+      socket.emit('error', { code: ERROR_CODES.SESSION_EXPIRED, message: 'Sessão expirada' })
+      return
+    }
+
+    // Socket antigo ainda aberto (queda não detectada pelo servidor): o novo assume
+    const previousSocket = playerSockets.get(player.id)
+    playerSockets.set(player.id, socket)
+    if (previousSocket && previousSocket !== socket) {
+      previousSocket.disconnect(true)
+    }
+
+    socket.data.playerId = player.id
+    socket.join(player.id)
+    socket.join(room.id)
+
+    delete player.disconnectedAt
+    player.address = getSocketAddress(socket)
+    // Volta como ativo; se ainda estiver pausado o cliente informa de novo
+    reportPresence(player, PRESENCE_STATES.ACTIVE)
+    refreshPresence(room, player)
+    requestFullSnapshot(room.snapshots[player.id])
+
+    socket.emit('sessionStarted', {
+      playerId: player.id,
+      token: session.token,
+      gracePeriod: SESSION_CONFIG.GRACE_PERIOD,
+      movementMode: getMovementMode(),
+      movement: player.movement ? serializeMovementAck(player) : null,
+      role: player.role,
+      frozen: !!player.frozen,
+      resumed: true
+    })
+    sendCurrentPlayers(socket, room, player.id)
+
+    // Posição mudou pelo servidor enquanto estava fora (correção/teleporte)
+    if (player.pendingCorrection) {
+      sendPositionCorrection(player)
     }
+  })
 
-    socket.emit('currentPlayers', players)
-    socket.broadcast.emit('newPlayer', players[socket.id])
+  // Evento: Mensagem de chat (apenas para a sala do player)
+  socket.on('chatMessage', (data) => {
+    const playerId = socket.data.playerId
+    const room = getPlayerRoom(playerId)
+    const player = room?.players[playerId]
+    if (!player) return
+
+    // Aceita também o texto puro (string) no lugar de { text }
+    const payload = parsePayload(socket, 'chatMessage', typeof data === 'string' ? { text: data } : data, {
+      text: { maxLength: CHAT_CONFIG.MAX_LENGTH * 2 }
+    })
+    if (!payload) return
+
+    const text = sanitizeChatText(payload.text)
+    if (text.length === 0) return
+
+    if (text.length > CHAT_CONFIG.MAX_LENGTH) {
+      socket.emit('error', { code: ERROR_CODES.CHAT_TOO_LONG, message: `Mensagem muito longa (máximo ${CHAT_CONFIG.MAX_LENGTH} caracteres)` })
+      return
+    }
+
+    const command = parseCommand(text)
+
+    // Antes dos comandos: senão "/qualquer coisa" escapava do mute e do rate limit
+    const blocked = checkChatAllowed(room, player, !!command)
+    if (blocked === ERROR_CODES.CHAT_RATE_LIMITED) {
+      socket.emit('error', { code: ERROR_CODES.CHAT_RATE_LIMITED, message: MESSAGES.chatRateLimited })
+      return
+    }
+    if (blocked === ERROR_CODES.CHAT_MUTED) {
+      const minutes = Math.ceil((player.mutedUntil - Date.now()) / 60000)
+      socket.emit('error', { code: ERROR_CODES.CHAT_MUTED, message: `Você está silenciado (${minutes} min restantes)` })
+      return
+    }
+
+    // Comando de moderação: nunca vai para o chat
+    if (command) {
+      runCommand(socket, room, player, command)
+      return
+    }
+
+    recordActivity(player)
+    refreshPresence(room, player)
+
+    const message = createChatMessage(player, text)
+
+    if (PROXIMITY_CONFIG.ENABLED) {
+      // Mensagem local: não entra no histórico (quem entrar depois não estava perto)
+      const zone = getZoneAt(player.position)
+      message.scope = 'local'
+      message.zone = serializeZone(zone)
+    } else {
+      addToHistory(room, message)
+    }
+
+    emitLocal(io, room, playerId, 'chatMessage', message)
   })
 
-  socket.on('playerMove', (data) => {
-    if (!data || typeof data !== 'object') {
+  socket.on('playerMove', (payload) => {
+    // Métrica: motivo de cada playerMove recusado
+    const reject = (reason) => METRICS.playerMoveRejected.inc({ reason })
+
+    // Modo autoritativo: posição é do servidor (cliente manda playerInput)
+    if (AUTHORITATIVE_CONFIG.ENABLED) {
+      reject('authoritative_mode')
       return
     }
 
+    // Formato binário (ArrayBuffer/Buffer) ou JSON { x, y, z, ry }
+    const data = parsePayload(socket, 'playerMove', isBinaryPayload(payload) ? decodeMove(payload) : payload)
+    if (!data) {
+      reject('invalid_payload')
+      return
+    }
+
+    // Player precisa ter entrado em uma sala
+    const playerId = socket.data.playerId
+    const room = getPlayerRoom(playerId)
+    const player = room?.players[playerId]
+    if (!player) {
+      reject('not_in_room')
+      return
+    }
+    const { players, playerUpdateRate } = room
+
     // Rate limiting otimizado (baseado em three-arena)
     const now = Date.now()
-    const rateLimit = playerUpdateRate[socket.id]
+    const rateLimit = playerUpdateRate[playerId]
+    const previousUpdate = rateLimit ? rateLimit.lastUpdate : now - CONFIG.MIN_UPDATE_INTERVAL
     
     if (rateLimit) {
       const timeSinceLastUpdate = now - rateLimit.lastUpdate
       
       // Verificar intervalo mínimo (mais permissivo)
       if (timeSinceLastUpdate < CONFIG.MIN_UPDATE_INTERVAL) {
+        reject('too_frequent')
         return
       }
       
-      // Resetar contador se passou 1 segundo
-      if (timeSinceLastUpdate > 1000) {
+      // CORREÇÃO: Janela de 1 segundo a partir do primeiro update
+      // (antes só zerava após 1s parado, bloqueando quem andava sem parar)
+      if (now - (rateLimit.windowStart || 0) >= 1000) {
+        rateLimit.windowStart = now
         rateLimit.updateCount = 0
       }
       
       // Verificar limite de updates por segundo
       if (rateLimit.updateCount >= CONFIG.MAX_UPDATE_RATE) {
+        reportViolation(socket, room, player, VIOLATION_TYPES.RATE_LIMIT, { updates: rateLimit.updateCount })
+        reject('rate_limit')
         return
       }
       
       rateLimit.updateCount++
       rateLimit.lastUpdate = now
     } else {
-      playerUpdateRate[socket.id] = { lastUpdate: now, updateCount: 1 }
+      playerUpdateRate[playerId] = { lastUpdate: now, updateCount: 1, windowStart: now }
     }
 
-    // FASE 1: Receber payload enxuto { x, y, z, ry }
+    // FASE 1: Receber payload enxuto { x, y, z, ry } (tipos já conferidos pelo schema)
     const { x, y, z, ry } = data
 
-    // Validar tipos de valores
-    let validatedX = typeof x === 'number' ? x : 0
-    let validatedY = typeof y === 'number' ? (y === 0 ? 1.0 : y) : 1.0
-    let validatedZ = typeof z === 'number' ? z : 0
-    const validatedRy = typeof ry === 'number' ? ry : 0
+    let validatedX = x
+    let validatedY = y === 0 ? 1.0 : y
+    let validatedZ = z
+    const validatedRy = ry
+
+    // Correção enviada: ignorar updates de antes do cliente aplicá-la
+    if (player.pendingCorrection) {
+      const target = player.pendingCorrection.position
+      const offset = Math.sqrt((validatedX - target.x) ** 2 + (validatedZ - target.z) ** 2)
+      if (offset > CONFIG.CORRECTION_TOLERANCE && now < player.pendingCorrection.expiresAt) {
+        reject('pending_correction')
+        return
+      }
+      delete player.pendingCorrection
+    }
+
+    // Congelado pela moderação: posição fica parada (quem insistir é corrigido)
+    if (player.frozen) {
+      player.lastUpdate = now // Continua vivo para o heartbeat
+      const offset = Math.sqrt((validatedX - player.position.x) ** 2 + (validatedZ - player.position.z) ** 2)
+      if (offset > CONFIG.CORRECTION_TOLERANCE) sendPositionCorrection(player)
+      reject('frozen')
+      return
+    }
+
+    // Primeiro update após o join: o Controller nasce na origem, não no spawn do servidor
+    const checkMovement = player.positionConfirmed === true
+    let sanction = null
+    let rejectedReason = null // Posição recusada (mantém a antiga)
 
     // MELHORIA 2: Validação de limites de posição (prevenir players fora do mapa)
     const distanceFromCenter = Math.sqrt(validatedX ** 2 + validatedZ ** 2)
     if (distanceFromCenter > CONFIG.MAX_POSITION_DISTANCE) {
+      sanction = reportViolation(socket, room, player, VIOLATION_TYPES.OUT_OF_BOUNDS, { distance: distanceFromCenter })
       // Teleportar player de volta para o centro se sair do mapa
       const angle = Math.atan2(validatedZ, validatedX)
       validatedX = Math.cos(angle) * CONFIG.MAX_POSITION_DISTANCE
@@ -147,31 +1465,55 @@ io.on('connection', (socket) => {
     }
 
     // MELHORIA 3: Validação de velocidade (prevenir teleporte/cheating)
-    if (players[socket.id]) {
-      const oldPos = players[socket.id].position
+    if (checkMovement && !isTerminalSanction(sanction)) {
+      const oldPos = player.position
       const dx = validatedX - oldPos.x
       const dy = validatedY - oldPos.y
       const dz = validatedZ - oldPos.z
       const distance = Math.sqrt(dx ** 2 + dy ** 2 + dz ** 2)
       
       // Calcular velocidade baseada no intervalo real entre updates
-      const timeDelta = now - (rateLimit?.lastUpdate || now - CONFIG.MIN_UPDATE_INTERVAL)
+      const timeDelta = now - previousUpdate
       if (timeDelta > 0) {
         const velocity = distance / (timeDelta / 1000) // unidades por segundo
         
         // Se velocidade muito alta, pode ser teleporte legítimo ou cheating
         if (velocity > CONFIG.MAX_VELOCITY && distance > 5) {
+          const details = { velocity, distance, timeDelta }
           // Permitir apenas se for teleporte legítimo (muito longe = lag ou teleporte)
           if (distance < 20) {
             // Teleporte suspeito, manter posição antiga
+            sanction = reportViolation(socket, room, player, VIOLATION_TYPES.SPEED, details)
+            rejectedReason = VIOLATION_TYPES.SPEED
             validatedX = oldPos.x
             validatedY = oldPos.y
             validatedZ = oldPos.z
+          } else {
+            sanction = reportViolation(socket, room, player, VIOLATION_TYPES.TELEPORT, details)
+            // Reincidente: teleporte deixa de ser aceito
+            if (sanction === SANCTIONS.CORRECT) {
+              rejectedReason = VIOLATION_TYPES.TELEPORT
+              validatedX = oldPos.x
+              validatedY = oldPos.y
+              validatedZ = oldPos.z
+            }
           }
         }
       }
     }
 
+    // Kick/ban: player já saiu da sala
+    if (isTerminalSanction(sanction)) {
+      reject(sanction)
+      return
+    }
+
+    if (rejectedReason) {
+      reject(rejectedReason)
+    } else {
+      METRICS.playerMoveAccepted.inc()
+    }
+
     // Reconstruir estrutura completa para armazenamento interno
     const validatedPosition = {
       x: validatedX,
@@ -185,31 +1527,188 @@ io.on('connection', (socket) => {
       z: 0  // Não usado, mas mantém estrutura
     }
 
+    // Heartbeat sem sair do lugar não conta como atividade (presença inativa)
+    const hasMoved =
+      Math.abs(validatedX - player.position.x) > CONFIG.POSITION_THRESHOLD ||
+      Math.abs(validatedZ - player.position.z) > CONFIG.POSITION_THRESHOLD ||
+      Math.abs(validatedRy - player.rotation.y) > CONFIG.POSITION_THRESHOLD
+    if (hasMoved && checkMovement) recordActivity(player, now)
+
     // Atualizar posição do player
-    if (players[socket.id]) {
-      players[socket.id].position = validatedPosition
-      players[socket.id].rotation = validatedRotation
-      players[socket.id].lastUpdate = now
-
-      // CORREÇÃO CRÍTICA: Usar io.emit para TODOS os clientes
-      // IMPORTANTE: Enviar para TODOS, não apenas broadcast
-      // Isso garante sincronização completa entre todos os clientes
-      const updateData = {
-        id: socket.id,
-        position: validatedPosition,
-        rotation: validatedRotation
+    player.position = validatedPosition
+    player.rotation = validatedRotation
+    player.lastUpdate = now
+    player.positionConfirmed = true
+    refreshPresence(room, player, now)
+    updatePlayerZone(socket, player)
+
+    // Correção forçada: cliente volta para a posição aceita pelo servidor
+    if (sanction === SANCTIONS.CORRECT) {
+      sendPositionCorrection(player)
+    }
+
+    // CORREÇÃO CRÍTICA: Usar io.to(sala) para TODOS os clientes da sala
+    // IMPORTANTE: Enviar para TODOS (inclusive o próprio), não apenas broadcast
+    // Isso garante sincronização completa entre todos os clientes da sala
+    // (cada destinatário recebe no formato que negociou: JSON ou binário)
+    if (INTEREST_CONFIG.ENABLED) {
+      // Área de interesse: apenas o próprio + quem tem este player no interesse
+      // (relação simétrica, então é o próprio interesse do player)
+      updateGridPosition(room, player)
+      emitPlayerMoved(getVisibleIds(room, playerId), player)
+    } else {
+      emitPlayerMoved(Object.keys(players), player)
+    }
+  })
+
+  // Evento: Input de movimento sequenciado (modo autoritativo)
+  // Vai para a fila do player e é simulado no tick do servidor
+  socket.on('playerInput', (data) => {
+    if (!AUTHORITATIVE_CONFIG.ENABLED) return
+    const playerId = socket.data.playerId
+    const room = getPlayerRoom(playerId)
+    const player = room?.players[playerId]
+    if (!player) return
+
+    const input = parsePayload(socket, 'playerInput', data)
+    if (!input) return
+
+    // Bem acima da taxa de ticks na janela = cliente adulterado (o excesso já não acelera ninguém)
+    if (recordInputRate(player)) {
+      const sanction = reportViolation(socket, room, player, VIOLATION_TYPES.RATE_LIMIT, {
+        inputs: player.movement.rateCount,
+        window: AUTHORITATIVE_CONFIG.RATE_WINDOW
+      })
+      if (sanction === SANCTIONS.CORRECT) {
+        // Descartar o excesso e reconciliar o cliente com o estado do servidor
+        clearInputQueue(player)
+        sendPositionCorrection(player)
       }
-      
-      io.emit('playerMoved', updateData)
     }
+
+    if (hasMovementInput(input)) recordActivity(player)
+    queueInput(player, input)
+  })
+
+  // Evento: Cliente confirmou snapshot (base para os próximos deltas)
+  socket.on('snapshotAck', (data) => {
+    const payload = parsePayload(socket, 'snapshotAck', data)
+    const state = getPlayerRoom(socket.data.playerId)?.snapshots[socket.data.playerId]
+    if (!payload || !state) return
+    acknowledgeSnapshot(state, payload.seq)
+  })
+
+  // Evento: Cliente detectou buraco na sequência e pediu snapshot completo
+  socket.on('requestFullSnapshot', (data) => {
+    if (!parsePayload(socket, 'requestFullSnapshot', data)) return
+    const state = getPlayerRoom(socket.data.playerId)?.snapshots[socket.data.playerId]
+    if (!state) return
+    requestFullSnapshot(state)
+  })
+
+  // Evento: Conversar com o NPC ao alcance (tecla de interação)
+  socket.on('npcInteract', (data) => {
+    const payload = parsePayload(socket, 'npcInteract', data)
+    const room = getPlayerRoom(socket.data.playerId)
+    const player = room?.players[socket.data.playerId]
+    if (!payload || !player) return
+
+    const unavailable = (message) => {
+      socket.emit('error', { code: ERROR_CODES.DIALOGUE_UNAVAILABLE, message, event: 'npcInteract' })
+    }
+    const npc = room.npcs[payload.npcId]
+    if (!npc || !npc.definition.dialogue) {
+      unavailable('Este NPC não conversa')
+      return
+    }
+    const distance = Math.hypot(npc.position.x - player.position.x, npc.position.z - player.position.z)
+    if (distance > DIALOGUE_CONFIG.INTERACT_DISTANCE + DIALOGUE_CONFIG.DISTANCE_TOLERANCE) {
+      unavailable('Chegue mais perto para conversar')
+      return
+    }
+
+    closeDialogue(room, player) // Trocou de NPC sem fechar o painel
+    const node = startDialogue(player, npc)
+    startTalking(npc, player)
+    recordActivity(player)
+    socket.emit('dialogueNode', node)
+    logEvent('info', 'npc_dialogue_started', { playerId: player.id, roomId: room.id, npcId: npc.id })
+  })
+
+  // Evento: Escolha no diálogo (índice na lista de escolhas visíveis)
+  socket.on('dialogueChoice', (data) => {
+    const payload = parsePayload(socket, 'dialogueChoice', data)
+    const room = getPlayerRoom(socket.data.playerId)
+    const player = room?.players[socket.data.playerId]
+    if (!payload || !player) return
+
+    const npc = player.dialogue && room.npcs[player.dialogue.npcId]
+    if (!npc) {
+      closeDialogue(room, player)
+      socket.emit('dialogueEnded', { npcId: null })
+      return
+    }
+
+    const { error, actions, node } = chooseDialogueOption(player, npc, payload.index)
+    if (error) {
+      socket.emit('error', { code: ERROR_CODES.DIALOGUE_UNAVAILABLE, message: error, event: 'dialogueChoice' })
+      return
+    }
+
+    recordActivity(player)
+    if (node) {
+      socket.emit('dialogueNode', node)
+    } else {
+      stopTalking(npc, player.id)
+      socket.emit('dialogueEnded', { npcId: npc.id })
+    }
+    // Depois do fim do diálogo: o teleporte chega com o painel já fechado
+    actions.forEach(action => runDialogueAction(room, player, action))
+  })
+
+  // Evento: Cliente fechou o painel de diálogo
+  socket.on('dialogueClose', (data) => {
+    const payload = parsePayload(socket, 'dialogueClose', data)
+    const room = getPlayerRoom(socket.data.playerId)
+    const player = room?.players[socket.data.playerId]
+    if (!payload || !player) return
+
+    closeDialogue(room, player)
+  })
+
+  // Evento: Cliente pausou/voltou (ou a aba foi para segundo plano)
+  // Pausado o PlayerSync não envia nada: sem isso o player apareceria ausente só depois do awayTimeout
+  socket.on('presence', (data) => {
+    const payload = parsePayload(socket, 'presence', data)
+    const room = getPlayerRoom(socket.data.playerId)
+    const player = room?.players[socket.data.playerId]
+    if (!payload || !player) return
+
+    reportPresence(player, payload.state)
+    refreshPresence(room, player)
   })
 
   socket.on('disconnect', () => {
-    if (players[socket.id]) {
-      delete players[socket.id]
-      delete playerUpdateRate[socket.id]
-      io.emit('playerDisconnected', socket.id)
+    leaveQueue(socket)
+
+    const playerId = socket.data.playerId
+    // Socket já substituído por uma reconexão (resumeSession) ou que nunca entrou
+    if (playerSockets.get(playerId) !== socket) return
+    playerSockets.delete(playerId)
+
+    // Player em uma sala com sessão: manter o slot durante o período de graça
+    const room = getPlayerRoom(playerId)
+    const player = room?.players[playerId]
+    if (player && suspendSession(playerId, removePlayer)) {
+      // O painel do diálogo não sobrevive à reconexão; npcNearby é reenviado depois dela
+      closeDialogue(room, player)
+      player.nearbyNpcId = null
+      player.disconnectedAt = Date.now()
+      refreshPresence(room, player)
+      return
     }
+
+    removePlayer(playerId)
   })
 })
 
@@ -217,36 +1716,38 @@ io.on('connection', (socket) => {
 // Inicializar APÓS o servidor estar pronto
 let heartbeatIntervalId = null
 let stateSyncIntervalId = null
+let movementIntervalId = null
+let npcIntervalId = null
 
 const startHeartbeat = () => {
   if (heartbeatIntervalId) return // Já está rodando
   
   heartbeatIntervalId = setInterval(() => {
     const now = Date.now()
-    const inactivePlayers = []
-    
-    Object.keys(players).forEach(playerId => {
-      const player = players[playerId]
-      if (!player) return
-      
-      const timeSinceUpdate = now - (player.lastUpdate || 0)
-      
-      if (timeSinceUpdate > CONFIG.HEARTBEAT_TIMEOUT) {
-        inactivePlayers.push(playerId)
-      }
-    })
-    
-    // Remover players inativos
-    if (inactivePlayers.length > 0) {
-      inactivePlayers.forEach(playerId => {
-        const player = players[playerId]
-        if (player) {
-          delete players[playerId]
-          delete playerUpdateRate[playerId]
-          io.emit('playerDisconnected', playerId)
+    const expiredPlayers = []
+
+    // Presença: ativo -> inativo -> ausente; silêncio só remove depois de PRESENCE_CONFIG.REMOVE_TIMEOUT
+    // (pausado, o cliente não manda playerMove e não pode sumir para os outros)
+    listRooms().forEach(room => {
+      Object.values(room.players).forEach(player => {
+        // Desconectado aguardando retomada: expira pela sessão, não pelo heartbeat
+        if (player.disconnectedAt) return
+
+        if (isPresenceExpired(player, now)) {
+          expiredPlayers.push(player.id)
+          return
         }
+        refreshPresence(room, player, now)
       })
-    }
+    })
+
+    // Remover players expirados (cada um avisa apenas a própria sala)
+    expiredPlayers.forEach(playerId => {
+      removePlayer(playerId)
+      METRICS.heartbeatEvictions.inc()
+    })
+
+    pruneEmptyRooms(now)
   }, 5000) // Verificar a cada 5 segundos
 }
 
@@ -254,23 +1755,120 @@ const startStateSync = () => {
   if (stateSyncIntervalId) return
 
   stateSyncIntervalId = setInterval(() => {
-    if (Object.keys(players).length === 0) return
+    const now = Date.now()
 
-    const snapshot = Object.values(players).map(player => ({
-      id: player.id,
-      nickname: player.nickname,
-      characterType: player.characterType,
-      position: player.position,
-      rotation: player.rotation,
-      lastUpdate: player.lastUpdate
-    }))
+    // Snapshots por sala, um por player (delta contra o último snapshot que ele confirmou)
+    listRooms().forEach(room => {
+      const players = Object.values(room.players)
+      if (players.length === 0) return
+      const npcs = Object.values(room.npcs)
+
+      // Área de interesse: atualizar quem vê quem antes de montar os snapshots
+      if (INTEREST_CONFIG.ENABLED) {
+        emitInterestChanges(room, refreshInterest(room))
+      }
+
+      players.forEach(player => {
+        const state = room.snapshots[player.id]
+        // Sem socket (aguardando retomada): não há para quem enviar
+        if (!state || player.disconnectedAt) return
 
-    io.emit('stateSnapshot', snapshot)
-  }, STATE_SYNC_INTERVAL)
+        const visiblePlayers = INTEREST_CONFIG.ENABLED
+          ? getVisibleIds(room, player.id).map(id => room.players[id])
+          : players
+
+        // NPCs vão no mesmo snapshot (com área de interesse, só os que estão no raio)
+        const visibleNpcs = INTEREST_CONFIG.ENABLED
+          ? npcs.filter(npc => isInInterestRange(player.position, npc.position))
+          : npcs
+
+        emitSnapshot(room, player.id, buildSnapshot(state, visiblePlayers.concat(visibleNpcs), now))
+      })
+    })
+  }, CONFIG.STATE_SYNC_INTERVAL)
+}
+
+// Intervalo dos snapshots mudou (recarga de configuração): reagendar sem derrubar ninguém
+const restartStateSync = () => {
+  clearInterval(stateSyncIntervalId)
+  stateSyncIntervalId = null
+  startStateSync()
+}
+
+// Parâmetros de sincronização que o cliente precisa (atraso de interpolação dos NPCs)
+const getSyncSettings = () => ({ stateSyncInterval: CONFIG.STATE_SYNC_INTERVAL })
+
+// Modo autoritativo: tick fixo consumindo um input por player
+const startMovementSimulation = () => {
+  if (!AUTHORITATIVE_CONFIG.ENABLED || movementIntervalId) return
+
+  const clock = createTickClock()
+  movementIntervalId = setInterval(() => {
+    const now = Date.now()
+    const ticks = advanceTickClock(clock, now)
+    if (ticks === 0) return
+
+    listRooms().forEach(room => {
+      Object.values(room.players).forEach(player => {
+        // Um input por tick vencido; o ack/broadcast vai uma vez com o estado final
+        let processed = 0
+        while (processed < ticks && processPlayerTick(player) !== null) processed++
+        if (processed === 0) return
+        player.lastUpdate = now
+        refreshPresence(room, player, now)
+
+        // Dono recebe o estado confirmado (reconciliação da predição)
+        const socket = playerSockets.get(player.id)
+        if (socket) {
+          updatePlayerZone(socket, player)
+          socket.emit('inputAck', serializeMovementAck(player))
+        }
+
+        let recipients = Object.keys(room.players)
+        if (INTEREST_CONFIG.ENABLED) {
+          updateGridPosition(room, player)
+          recipients = getVisibleIds(room, player.id)
+        }
+        emitPlayerMoved(recipients.filter(id => id !== player.id), player)
+      })
+    })
+  }, MOVEMENT_CONFIG.TICK_MS)
+}
+
+// NPCs: máquina de estados no servidor, todos os clientes veem o mesmo movimento
+// Salas vazias não simulam (ninguém para ver); os NPCs nascem na primeira vez que há alguém
+const startNpcSimulation = () => {
+  if (!NPC_CONFIG.ENABLED || npcIntervalId) return
+
+  npcIntervalId = setInterval(() => {
+    const now = Date.now()
+    const minuteOfDay = getMinuteOfDay(now) // Agenda: mesmo relógio para todos os NPCs do tick
+
+    listRooms().forEach(room => {
+      if (Object.keys(room.players).length === 0) return
+      spawnRoomNpcs(room, now)
+      Object.values(room.npcs).forEach(npc => tickNpc(npc, now, NPC_CONFIG.TICK_MS, minuteOfDay))
+      Object.values(room.players).forEach(player => updateNearbyNpc(room, player))
+    })
+  }, NPC_CONFIG.TICK_MS)
 }
 
+// Recarga a quente: só taxas, limites e mensagens (ver lib/config.js)
+watchConfig(serverConfig, configFile, (settings, changes) => {
+  applyConfig(settings)
+  if (changes.some(change => change.key === 'sync.stateSyncInterval')) {
+    restartStateSync()
+    io.emit('syncSettings', getSyncSettings())
+  }
+  // Capacidade pode ter aumentado (lobby)
+  listRooms().forEach(admitFromQueue)
+})
+
 server.listen(PORT, () => {
+  startMetricsSampler()
   startHeartbeat()
   startStateSync()
+  startMovementSimulation()
+  startNpcSimulation()
 })
 
@@ -0,0 +1,82 @@
+/**
+ * API administrativa (moderação)
+ *
+ * Autenticação por segredo compartilhado (ADMIN_TOKEN), enviado no header
+ * Authorization: Bearer <token>. Sem ADMIN_TOKEN configurado a API fica desligada.
+ * Toda ação (inclusive tentativas recusadas) vai para o log de auditoria:
+ * log estruturado + últimas entradas em memória + arquivo opcional (ADMIN_AUDIT_FILE).
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const { logEvent } = require('./logger')
+
+const ADMIN_CONFIG = {
+  TOKEN: process.env.ADMIN_TOKEN || null,
+  AUDIT_FILE: process.env.ADMIN_AUDIT_FILE || null, // JSON lines
+  AUDIT_HISTORY_SIZE: 200 // Entradas mantidas em memória (GET /admin/audit)
+}
+
+const auditHistory = []
+
+// Comparação em tempo constante (não vazar o token pelo tempo de resposta)
+const isValidToken = (candidate) => {
+  if (!ADMIN_CONFIG.TOKEN || typeof candidate !== 'string') return false
+  const expected = crypto.createHash('sha256').update(ADMIN_CONFIG.TOKEN).digest()
+  const received = crypto.createHash('sha256').update(candidate).digest()
+  return crypto.timingSafeEqual(expected, received)
+}
+
+const getRequestToken = (req) => {
+  const header = req.get('authorization') || ''
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null
+}
+
+// Registrar ação administrativa
+const audit = (req, action, details = {}, result = 'ok') => {
+  const entry = {
+    time: new Date().toISOString(),
+    action,
+    result,
+    address: req.ip,
+    details
+  }
+
+  auditHistory.push(entry)
+  if (auditHistory.length > ADMIN_CONFIG.AUDIT_HISTORY_SIZE) {
+    auditHistory.splice(0, auditHistory.length - ADMIN_CONFIG.AUDIT_HISTORY_SIZE)
+  }
+
+  logEvent(result === 'ok' ? 'info' : 'warn', 'admin_action', entry)
+
+  if (ADMIN_CONFIG.AUDIT_FILE) {
+    fs.appendFile(ADMIN_CONFIG.AUDIT_FILE, JSON.stringify(entry) + '\n', (error) => {
+      if (error) logEvent('error', 'audit_write_failed', { message: error.message })
+    })
+  }
+}
+
+const getAuditHistory = () => auditHistory.slice()
+
+// Middleware: exigir o token de admin
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_CONFIG.TOKEN) {
+    res.status(404).json({ error: 'API administrativa desativada' })
+    return
+  }
+
+  if (!isValidToken(getRequestToken(req))) {
+    audit(req, 'auth', { method: req.method, path: req.originalUrl }, 'denied')
+    res.status(401).json({ error: 'Não autorizado' })
+    return
+  }
+
+  next()
+}
+
+module.exports = {
+  ADMIN_CONFIG,
+  requireAdmin,
+  audit,
+  getAuditHistory
+}
@@ -0,0 +1,56 @@
+/**
+ * Banimentos temporários por endereço (IP)
+ *
+ * Em memória: reiniciar o servidor limpa os banimentos.
+ * Atrás de proxy (TRUST_PROXY=true) o endereço vem do X-Forwarded-For.
+ */
+
+const BAN_CONFIG = {
+  DEFAULT_DURATION: 15 * 60 * 1000, // 15 minutos
+  TRUST_PROXY: false
+}
+
+const bans = new Map() // address -> { address, reason, createdAt, expiresAt }
+
+// Endereço do cliente de um socket
+const getSocketAddress = (socket) => {
+  if (BAN_CONFIG.TRUST_PROXY) {
+    const forwarded = socket.handshake.headers['x-forwarded-for']
+    if (typeof forwarded === 'string' && forwarded.trim()) {
+      return forwarded.split(',')[0].trim()
+    }
+  }
+  return socket.handshake.address
+}
+
+const banAddress = (address, { duration = BAN_CONFIG.DEFAULT_DURATION, reason = null } = {}, now = Date.now()) => {
+  const ban = { address, reason, createdAt: now, expiresAt: now + duration }
+  bans.set(address, ban)
+  return ban
+}
+
+// Banimento ativo do endereço (null se não tem ou já expirou)
+const getBan = (address, now = Date.now()) => {
+  const ban = bans.get(address)
+  if (!ban) return null
+  if (ban.expiresAt <= now) {
+    bans.delete(address)
+    return null
+  }
+  return ban
+}
+
+const unbanAddress = (address) => bans.delete(address)
+
+const listBans = (now = Date.now()) => {
+  return [...bans.keys()].map(address => getBan(address, now)).filter(Boolean)
+}
+
+module.exports = {
+  BAN_CONFIG,
+  getSocketAddress,
+  banAddress,
+  getBan,
+  unbanAddress,
+  listBans
+}
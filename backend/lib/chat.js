@@ -0,0 +1,93 @@
+/**
+ * Chat de texto por sala
+ *
+ * - Rate limiting próprio (separado do rate limit de movimento)
+ * - Limite de tamanho e sanitização do texto
+ * - Histórico limitado por sala (enviado no join junto com currentPlayers)
+ */
+
+const crypto = require('crypto')
+const { ERROR_CODES } = require('../../src/shared/events')
+const { isStaff, isMuted } = require('./roles')
+
+const CHAT_CONFIG = {
+  MAX_LENGTH: 200, // Máximo de caracteres por mensagem
+  HISTORY_SIZE: 50, // Mensagens guardadas por sala
+  MIN_INTERVAL: 500, // Intervalo mínimo entre mensagens (ms)
+  RATE_WINDOW: 10000, // Janela do rate limit (ms)
+  MAX_PER_WINDOW: 5 // Máximo de mensagens por janela
+}
+
+// Caracteres de controle, zero-width e de direção de texto (bidi)
+// eslint-disable-next-line no-control-regex
+const INVISIBLE_CHARS = /[\u0000-\u001F\u007F-\u009F\u200B-\u200F\u2028-\u202E\u2060-\u206F\uFEFF]/g
+
+// Limpar texto da mensagem (retorna string vazia se não sobrar nada)
+const sanitizeChatText = (text) => {
+  if (typeof text !== 'string') return ''
+
+  return text
+    .normalize('NFC')
+    .replace(INVISIBLE_CHARS, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+// Verificar rate limit do chat (janela deslizante)
+// Retorna true se a mensagem pode ser enviada
+const checkChatRate = (room, socketId, now = Date.now()) => {
+  const timestamps = (room.chatRate[socketId] || []).filter(t => now - t < CHAT_CONFIG.RATE_WINDOW)
+  room.chatRate[socketId] = timestamps
+
+  const last = timestamps[timestamps.length - 1]
+  if (last && now - last < CHAT_CONFIG.MIN_INTERVAL) return false
+  if (timestamps.length >= CHAT_CONFIG.MAX_PER_WINDOW) return false
+
+  timestamps.push(now)
+  return true
+}
+
+// Rate limit e mute valem para toda mensagem, inclusive comandos (cada comando gera resposta)
+// Silenciado só pode usar comandos se for da moderação
+// Retorna null ou o código de erro (CHAT_RATE_LIMITED, CHAT_MUTED)
+const checkChatAllowed = (room, player, isCommand, now = Date.now()) => {
+  if (!checkChatRate(room, player.id, now)) return ERROR_CODES.CHAT_RATE_LIMITED
+  if (isMuted(player, now) && !(isCommand && isStaff(player))) return ERROR_CODES.CHAT_MUTED
+  return null
+}
+
+const createChatMessage = (player, text) => ({
+  id: crypto.randomUUID(),
+  playerId: player.id,
+  nickname: player.nickname,
+  text,
+  timestamp: Date.now()
+})
+
+// Mensagem de sistema (aviso da moderação), sem autor
+const createSystemMessage = (text) => ({
+  id: crypto.randomUUID(),
+  playerId: null,
+  nickname: null,
+  text,
+  timestamp: Date.now(),
+  system: true
+})
+
+// Adicionar mensagem no histórico da sala (descarta as mais antigas)
+const addToHistory = (room, message) => {
+  room.chatHistory.push(message)
+  if (room.chatHistory.length > CHAT_CONFIG.HISTORY_SIZE) {
+    room.chatHistory.splice(0, room.chatHistory.length - CHAT_CONFIG.HISTORY_SIZE)
+  }
+}
+
+module.exports = {
+  CHAT_CONFIG,
+  sanitizeChatText,
+  checkChatRate,
+  checkChatAllowed,
+  createChatMessage,
+  createSystemMessage,
+  addToHistory
+}
@@ -0,0 +1,49 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { ERROR_CODES } = require('../../src/shared/events')
+const { ROLES } = require('../../src/shared/roles')
+const { CHAT_CONFIG, checkChatAllowed } = require('./chat')
+
+const START = 1700000000000
+const createRoom = () => ({ chatRate: {} })
+const createPlayer = (role = ROLES.GUEST, mutedUntil = null) => ({ id: 'ana', role, mutedUntil })
+
+test('comandos contam no rate limit do chat', () => {
+  const room = createRoom()
+  const player = createPlayer()
+  let now = START
+  for (let i = 0; i < CHAT_CONFIG.MAX_PER_WINDOW; i++) {
+    assert.equal(checkChatAllowed(room, player, true, now), null)
+    now += CHAT_CONFIG.MIN_INTERVAL
+  }
+  assert.equal(checkChatAllowed(room, player, true, now), ERROR_CODES.CHAT_RATE_LIMITED)
+  assert.equal(checkChatAllowed(room, player, false, now), ERROR_CODES.CHAT_RATE_LIMITED)
+})
+
+test('comando rápido demais é recusado como mensagem', () => {
+  const room = createRoom()
+  const player = createPlayer()
+  assert.equal(checkChatAllowed(room, player, true, START), null)
+  assert.equal(checkChatAllowed(room, player, true, START + CHAT_CONFIG.MIN_INTERVAL - 1), ERROR_CODES.CHAT_RATE_LIMITED)
+})
+
+test('silenciado não usa comandos, a menos que seja da moderação', () => {
+  const guest = createPlayer(ROLES.GUEST, START + 60000)
+  assert.equal(checkChatAllowed(createRoom(), guest, true, START), ERROR_CODES.CHAT_MUTED)
+  assert.equal(checkChatAllowed(createRoom(), guest, false, START), ERROR_CODES.CHAT_MUTED)
+
+  const moderator = createPlayer(ROLES.MODERATOR, START + 60000)
+  assert.equal(checkChatAllowed(createRoom(), moderator, true, START), null)
+  assert.equal(checkChatAllowed(createRoom(), moderator, false, START), ERROR_CODES.CHAT_MUTED)
+})
+
+test('mute vencido não bloqueia', () => {
+  assert.equal(checkChatAllowed(createRoom(), createPlayer(ROLES.GUEST, START), false, START), null)
+})
+
+test('silenciado insistindo também cai no rate limit', () => {
+  const room = createRoom()
+  const guest = createPlayer(ROLES.GUEST, START + 60000)
+  assert.equal(checkChatAllowed(room, guest, true, START), ERROR_CODES.CHAT_MUTED)
+  assert.equal(checkChatAllowed(room, guest, true, START + 1), ERROR_CODES.CHAT_RATE_LIMITED)
+})
@@ -0,0 +1,319 @@
+/**
+ * Configuração do servidor: padrões -> arquivo (JSON/YAML) -> variáveis de ambiente
+ *
+ * Cada chave é declarada no schema com tipo, padrão, limites e variável de ambiente.
+ * Sem `env` explícito, a variável é CONFIG_<SEÇÃO>_<CHAVE> (ex: CONFIG_CHAT_MAX_LENGTH).
+ * Qualquer erro (tipo, limite, chave desconhecida no arquivo) impede o servidor de subir,
+ * com uma mensagem listando todos os problemas e de onde veio cada valor.
+ *
+ * Recarga a quente (arquivo alterado ou SIGHUP): só as chaves marcadas com `hot`
+ * (taxas, limites, mensagens) são aplicadas; as demais exigem reinício e são ignoradas.
+ * Recarga inválida mantém a configuração atual.
+ *
+ * Segredos (ADMIN_TOKEN, HOST_KEY, MODERATOR_KEYS, METRICS_TOKEN) continuam só no ambiente.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const YAML = require('yaml')
+const { logEvent } = require('./logger')
+const { DEFAULT_BLOCKLIST, DEFAULT_RESERVED, DEFAULT_ALLOWLIST } = require('./nicknames')
+
+const CONFIG_FILE_CANDIDATES = ['config.json', 'config.yaml', 'config.yml']
+const CONFIG_RELOAD_INTERVAL = 2000 // Intervalo de checagem do arquivo (ms)
+
+const CONFIG_SCHEMA = {
+  server: {
+    port: { type: 'integer', default: 3001, min: 1, max: 65535, env: 'PORT' },
+    corsOrigin: { type: 'string', default: '*', env: ['FRONTEND_URL', 'VERCEL_URL'] },
+    binaryProtocol: { type: 'boolean', default: true, env: 'BINARY_PROTOCOL' },
+    trustProxy: { type: 'boolean', default: false, env: 'TRUST_PROXY' },
+    buildId: { type: 'string', default: 'dev', env: ['BUILD_ID', 'VERCEL_GIT_COMMIT_SHA'] } // Enviado no handshake e no /health
+  },
+  movement: {
+    authoritative: { type: 'boolean', default: false, env: 'AUTHORITATIVE_MOVEMENT' },
+    maxUpdateRate: { type: 'integer', default: 30, min: 1, hot: true }, // Updates por segundo
+    minUpdateInterval: { type: 'integer', default: 33, min: 0, hot: true }, // ms
+    maxPositionDistance: { type: 'number', default: 150, min: 1, hot: true }, // Distância máxima do centro
+    maxVelocity: { type: 'number', default: 20, min: 1, hot: true }, // Unidades/s
+    correctionTolerance: { type: 'number', default: 2, min: 0, hot: true },
+    correctionTimeout: { type: 'integer', default: 2000, min: 0, hot: true } // ms
+  },
+  sync: {
+    stateSyncInterval: { type: 'integer', default: 150, min: 30, max: 2000, hot: true } // ms entre snapshots
+  },
+  spawn: {
+    radius: { type: 'number', default: 40, min: 0, hot: true },
+    height: { type: 'number', default: 1.0, hot: true }
+  },
+  characters: {
+    count: { type: 'integer', default: 3, min: 1 } // Tipos válidos: 0 a count - 1 (mesmos do cliente)
+  },
+  rooms: {
+    defaultCapacity: { type: 'integer', default: 50, min: 2, hot: true },
+    maxCapacity: { type: 'integer', default: 100, min: 2, hot: true },
+    maxRooms: { type: 'integer', default: 200, min: 1, hot: true }, // Salas abertas ao mesmo tempo (POST /rooms recusa acima)
+    createWindow: { type: 'integer', default: 60000, min: 1000, hot: true }, // ms
+    maxCreatesPerWindow: { type: 'integer', default: 5, min: 1, hot: true }, // Salas criadas por endereço na janela
+    queueSize: { type: 'integer', default: 20, min: 0, hot: true } // 0 = sem fila (sala cheia recusa)
+  },
+  interest: {
+    enabled: { type: 'boolean', default: true, env: 'INTEREST_MANAGEMENT' },
+    radius: { type: 'number', default: 40, min: 1, env: 'INTEREST_RADIUS', hot: true }
+  },
+  proximity: {
+    enabled: { type: 'boolean', default: false, env: 'PROXIMITY_MODE' },
+    radius: { type: 'number', default: 15, min: 1, env: 'PROXIMITY_RADIUS', hot: true }
+  },
+  npcs: {
+    enabled: { type: 'boolean', default: true, env: 'NPCS_ENABLED' }, // NPCs simulados no servidor (lib/npcs.js)
+    file: { type: 'string', default: 'npcs.json', env: 'NPCS_FILE' }, // Definições dos NPCs (relativo a backend/)
+    dialogues: { type: 'string', default: 'dialogues.json', env: 'NPC_DIALOGUES_FILE' } // Conversas dos NPCs (lib/dialogues.js)
+  },
+  chat: {
+    maxLength: { type: 'integer', default: 200, min: 1, max: 2000, hot: true },
+    historySize: { type: 'integer', default: 50, min: 0, hot: true },
+    minInterval: { type: 'integer', default: 500, min: 0, hot: true }, // ms
+    rateWindow: { type: 'integer', default: 10000, min: 1000, hot: true }, // ms
+    maxPerWindow: { type: 'integer', default: 5, min: 1, hot: true }
+  },
+  presence: {
+    idleTimeout: { type: 'integer', default: 60000, min: 1000, hot: true }, // ms parado até ficar inativo
+    awayTimeout: { type: 'integer', default: 10000, min: 1000, hot: true }, // ms sem heartbeat até ficar ausente
+    removeTimeout: { type: 'integer', default: 900000, min: 10000, hot: true } // ms sem heartbeat até sair da sala
+  },
+  session: {
+    gracePeriod: { type: 'integer', default: 30000, min: 0, env: 'SESSION_GRACE_PERIOD', hot: true } // ms
+  },
+  antiCheat: {
+    window: { type: 'integer', default: 60000, min: 1000, env: 'VIOLATION_WINDOW', hot: true }, // ms
+    warnThreshold: { type: 'integer', default: 3, min: 1, env: 'VIOLATION_WARN_THRESHOLD', hot: true },
+    correctThreshold: { type: 'integer', default: 6, min: 1, env: 'VIOLATION_CORRECT_THRESHOLD', hot: true },
+    kickThreshold: { type: 'integer', default: 12, min: 1, env: 'VIOLATION_KICK_THRESHOLD', hot: true },
+    kicksBeforeBan: { type: 'integer', default: 2, min: 1, env: 'VIOLATION_KICKS_BEFORE_BAN', hot: true },
+    kickWindow: { type: 'integer', default: 10 * 60 * 1000, min: 1000, env: 'VIOLATION_KICK_WINDOW', hot: true }, // ms
+    banDuration: { type: 'integer', default: 15 * 60 * 1000, min: 1000, env: 'BAN_DURATION', hot: true } // ms
+  },
+  nicknames: {
+    blocklist: { type: 'list', default: DEFAULT_BLOCKLIST, env: 'NICKNAME_BLOCKLIST', hot: true },
+    reserved: { type: 'list', default: DEFAULT_RESERVED, env: 'NICKNAME_RESERVED', hot: true }, // Só host/moderador
+    allowlist: { type: 'list', default: DEFAULT_ALLOWLIST, env: 'NICKNAME_ALLOWLIST', hot: true } // Palavras que contêm um termo mas são liberadas
+  },
+  messages: {
+    violationWarning: { type: 'string', default: 'Movimento suspeito detectado. Continuar pode resultar em expulsão.', hot: true },
+    antiCheatKick: { type: 'string', default: 'Você foi expulso por comportamento suspeito', hot: true },
+    roomFull: { type: 'string', default: 'Sala cheia', hot: true },
+    roomNotFound: { type: 'string', default: 'Sala não encontrada', hot: true },
+    wrongPassword: { type: 'string', default: 'Senha da sala incorreta', hot: true },
+    chatRateLimited: { type: 'string', default: 'Você está enviando mensagens rápido demais', hot: true }
+  }
+}
+
+// maxUpdateRate -> MAX_UPDATE_RATE
+const toEnvName = (section, key) => {
+  const snake = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()
+  return `CONFIG_${snake(section)}_${snake(key)}`
+}
+
+const getEnvNames = (section, key, rule) => {
+  if (!rule.env) return [toEnvName(section, key)]
+  return Array.isArray(rule.env) ? rule.env : [rule.env]
+}
+
+const describeRule = (rule) => {
+  const names = { integer: 'inteiro', number: 'número', boolean: 'booleano', string: 'texto', list: 'lista de textos' }
+  const limits = []
+  if (rule.min !== undefined) limits.push(`>= ${rule.min}`)
+  if (rule.max !== undefined) limits.push(`<= ${rule.max}`)
+  return limits.length ? `${names[rule.type]} ${limits.join(' e ')}` : names[rule.type]
+}
+
+// Valores de variáveis de ambiente chegam como texto
+const parseEnvValue = (rule, raw) => {
+  if (rule.type === 'string') return raw
+  if (rule.type === 'list') return raw.split(',').map(item => item.trim()).filter(Boolean) // Separada por vírgula
+  if (rule.type === 'boolean') {
+    if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true
+    if (['false', '0', 'no'].includes(raw.toLowerCase())) return false
+    return raw
+  }
+  return raw.trim() === '' ? raw : Number(raw)
+}
+
+const isValidValue = (rule, value) => {
+  if (rule.type === 'boolean') return typeof value === 'boolean'
+  if (rule.type === 'string') return typeof value === 'string' && value.trim().length > 0
+  if (rule.type === 'list') return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0)
+  if (typeof value !== 'number' || !Number.isFinite(value)) return false
+  if (rule.type === 'integer' && !Number.isInteger(value)) return false
+  if (rule.min !== undefined && value < rule.min) return false
+  if (rule.max !== undefined && value > rule.max) return false
+  return true
+}
+
+// Caminho do arquivo: CONFIG_FILE ou o primeiro candidato existente em backend/
+const resolveConfigFile = () => {
+  if (process.env.CONFIG_FILE) return path.resolve(process.env.CONFIG_FILE)
+
+  const baseDir = path.join(__dirname, '..')
+  const found = CONFIG_FILE_CANDIDATES.map(name => path.join(baseDir, name)).find(file => fs.existsSync(file))
+  return found || null
+}
+
+const readConfigFile = (file, errors) => {
+  let content
+  try {
+    content = fs.readFileSync(file, 'utf8')
+  } catch (error) {
+    errors.push(`${file}: não foi possível ler o arquivo (${error.message})`)
+    return {}
+  }
+
+  let data
+  try {
+    data = file.endsWith('.json') ? JSON.parse(content) : YAML.parse(content)
+  } catch (error) {
+    errors.push(`${file}: arquivo inválido (${error.message})`)
+    return {}
+  }
+
+  if (data === null || data === undefined) return {} // Arquivo vazio
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    errors.push(`${file}: esperado um objeto com as seções (${Object.keys(CONFIG_SCHEMA).join(', ')})`)
+    return {}
+  }
+
+  // Chaves desconhecidas são erro (provável erro de digitação)
+  Object.keys(data).forEach(section => {
+    if (!CONFIG_SCHEMA[section]) {
+      errors.push(`${file}: seção desconhecida "${section}"`)
+      return
+    }
+    const values = data[section]
+    if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`${file}: seção "${section}" deve ser um objeto`)
+      return
+    }
+    Object.keys(values).forEach(key => {
+      if (!CONFIG_SCHEMA[section][key]) errors.push(`${file}: chave desconhecida "${section}.${key}"`)
+    })
+  })
+
+  return data
+}
+
+// Regras entre chaves
+const checkConsistency = (config, errors) => {
+  const { warnThreshold, correctThreshold, kickThreshold } = config.antiCheat
+  if (!(warnThreshold < correctThreshold && correctThreshold < kickThreshold)) {
+    errors.push(`antiCheat: esperado warnThreshold < correctThreshold < kickThreshold (recebido ${warnThreshold}, ${correctThreshold}, ${kickThreshold})`)
+  }
+  if (config.rooms.defaultCapacity > config.rooms.maxCapacity) {
+    errors.push(`rooms: defaultCapacity (${config.rooms.defaultCapacity}) maior que maxCapacity (${config.rooms.maxCapacity})`)
+  }
+}
+
+// Carregar e validar a configuração
+// Retorna { config, file, errors } (errors vazio = configuração válida)
+const loadConfig = () => {
+  const errors = []
+  const file = resolveConfigFile()
+  const fileData = file ? readConfigFile(file, errors) : {}
+
+  const config = {}
+  Object.entries(CONFIG_SCHEMA).forEach(([section, rules]) => {
+    config[section] = {}
+    const fileSection = fileData[section] || {}
+
+    Object.entries(rules).forEach(([key, rule]) => {
+      let value = rule.default
+      let source = 'padrão'
+
+      if (fileSection[key] !== undefined) {
+        value = fileSection[key]
+        source = file
+      }
+
+      const envName = getEnvNames(section, key, rule).find(name => process.env[name] !== undefined && process.env[name] !== '')
+      if (envName) {
+        value = parseEnvValue(rule, process.env[envName])
+        source = `variável ${envName}`
+      }
+
+      if (!isValidValue(rule, value)) {
+        const received = JSON.stringify(envName ? process.env[envName] : value)
+        errors.push(`${section}.${key}: esperado ${describeRule(rule)}, recebido ${received} (${source})`)
+        value = rule.default
+      }
+
+      config[section][key] = value
+    })
+  })
+
+  if (errors.length === 0) checkConsistency(config, errors)
+
+  return { config, file, errors }
+}
+
+const formatConfigErrors = (errors) => {
+  return ['Configuração inválida:', ...errors.map(error => `  - ${error}`)].join('\n')
+}
+
+// Diferenças entre duas configurações, separadas em aplicáveis a quente ou não
+const diffConfig = (current, next) => {
+  const hot = []
+  const restart = []
+
+  Object.entries(CONFIG_SCHEMA).forEach(([section, rules]) => {
+    Object.entries(rules).forEach(([key, rule]) => {
+      const from = current[section][key]
+      const to = next[section][key]
+      if (JSON.stringify(from) === JSON.stringify(to)) return
+      const change = { key: `${section}.${key}`, from, to }
+      if (rule.hot) hot.push(change)
+      else restart.push(change)
+    })
+  })
+
+  return { hot, restart }
+}
+
+// Recarregar quando o arquivo mudar ou com SIGHUP
+// onReload(config, changes) recebe a configuração atual (mesmo objeto) já atualizada
+const watchConfig = (config, file, onReload) => {
+  const reload = (trigger) => {
+    const { config: next, errors } = loadConfig()
+    if (errors.length > 0) {
+      logEvent('error', 'config_reload_failed', { trigger, errors })
+      return
+    }
+
+    const { hot, restart } = diffConfig(config, next)
+    if (restart.length > 0) {
+      logEvent('warn', 'config_restart_required', { trigger, keys: restart.map(change => change.key) })
+    }
+    if (hot.length === 0) return
+
+    hot.forEach(({ key, to }) => {
+      const [section, name] = key.split('.')
+      config[section][name] = to
+    })
+    onReload(config, hot)
+    logEvent('info', 'config_reloaded', { trigger, changes: hot })
+  }
+
+  if (file) {
+    fs.watchFile(file, { interval: CONFIG_RELOAD_INTERVAL, persistent: false }, (stats, previous) => {
+      if (stats.mtimeMs !== previous.mtimeMs) reload('file')
+    })
+  }
+  process.on('SIGHUP', () => reload('signal'))
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  loadConfig,
+  formatConfigErrors,
+  diffConfig,
+  watchConfig
+}
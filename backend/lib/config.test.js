@@ -0,0 +1,102 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { CONFIG_SCHEMA, loadConfig, formatConfigErrors, diffConfig } = require('./config')
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'))
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+// Carregar com um arquivo (conteúdo) e variáveis de ambiente, restaurando o ambiente depois
+const load = ({ file, content, env = {} } = {}) => {
+  const filePath = path.join(tempDir, file || 'config.yaml')
+  fs.writeFileSync(filePath, content || '')
+
+  const previous = {}
+  const vars = Object.assign({ CONFIG_FILE: filePath }, env)
+  Object.keys(vars).forEach(name => {
+    previous[name] = process.env[name]
+    process.env[name] = vars[name]
+  })
+  try {
+    return loadConfig()
+  } finally {
+    Object.keys(vars).forEach(name => {
+      if (previous[name] === undefined) delete process.env[name]
+      else process.env[name] = previous[name]
+    })
+  }
+}
+
+test('arquivo vazio usa os padrões do schema', () => {
+  const { config, errors } = load()
+  assert.deepEqual(errors, [])
+  assert.equal(config.chat.maxLength, CONFIG_SCHEMA.chat.maxLength.default)
+  assert.equal(config.rooms.queueSize, CONFIG_SCHEMA.rooms.queueSize.default)
+})
+
+test('arquivo YAML e JSON sobrescrevem os padrões', () => {
+  const yaml = load({ content: 'chat:\n  maxLength: 300\nnicknames:\n  reserved: [chefe]\n' })
+  assert.deepEqual(yaml.errors, [])
+  assert.equal(yaml.config.chat.maxLength, 300)
+  assert.deepEqual(yaml.config.nicknames.reserved, ['chefe'])
+
+  const json = load({ file: 'config.json', content: JSON.stringify({ rooms: { queueSize: 0 } }) })
+  assert.deepEqual(json.errors, [])
+  assert.equal(json.config.rooms.queueSize, 0)
+})
+
+test('variável de ambiente vence o arquivo (nome padrão e nome explícito)', () => {
+  const { config, errors } = load({
+    content: 'chat:\n  maxLength: 300\n',
+    env: { CONFIG_CHAT_MAX_LENGTH: '120', NICKNAME_BLOCKLIST: 'feio, chato ,', AUTHORITATIVE_MOVEMENT: 'yes' }
+  })
+  assert.deepEqual(errors, [])
+  assert.equal(config.chat.maxLength, 120)
+  assert.deepEqual(config.nicknames.blocklist, ['feio', 'chato'])
+  assert.equal(config.movement.authoritative, true)
+})
+
+test('tipo e limite inválidos listam a chave, o esperado e a origem', () => {
+  const { errors } = load({
+    content: 'chat:\n  maxLength: 0\n',
+    env: { CONFIG_ROOMS_QUEUE_SIZE: 'dez', BINARY_PROTOCOL: 'talvez' }
+  })
+  assert.equal(errors.length, 3)
+  assert.match(errors.find(error => error.startsWith('chat.maxLength')), /inteiro >= 1 e <= 2000, recebido 0 \(.*config\.yaml\)/)
+  assert.match(errors.find(error => error.startsWith('rooms.queueSize')), /recebido "dez" \(variável CONFIG_ROOMS_QUEUE_SIZE\)/)
+  assert.match(errors.find(error => error.startsWith('server.binaryProtocol')), /esperado booleano/)
+})
+
+test('seção ou chave desconhecida no arquivo é erro', () => {
+  const { errors } = load({ content: 'chat:\n  maxLenght: 10\nchatt:\n  maxLength: 10\n' })
+  assert.equal(errors.length, 2)
+  assert.match(errors[0], /chave desconhecida "chat\.maxLenght"/)
+  assert.match(errors[1], /seção desconhecida "chatt"/)
+})
+
+test('arquivo malformado é erro, não configuração vazia', () => {
+  assert.match(load({ file: 'config.json', content: '{ chat: ' }).errors[0], /arquivo inválido/)
+  assert.match(load({ content: '- a\n- b\n' }).errors[0], /esperado um objeto com as seções/)
+})
+
+test('regras entre chaves: limiares do anti-cheat e capacidade das salas', () => {
+  const { errors } = load({ content: 'antiCheat:\n  warnThreshold: 8\n  correctThreshold: 6\nrooms:\n  defaultCapacity: 80\n  maxCapacity: 60\n' })
+  assert.equal(errors.length, 2)
+  assert.match(errors[0], /warnThreshold < correctThreshold < kickThreshold/)
+  assert.match(errors[1], /defaultCapacity \(80\) maior que maxCapacity \(60\)/)
+})
+
+test('formatConfigErrors monta uma mensagem com todos os problemas', () => {
+  assert.equal(formatConfigErrors(['a', 'b']), 'Configuração inválida:\n  - a\n  - b')
+})
+
+test('diffConfig separa chaves a quente das que exigem reinício', () => {
+  const { config: current } = load()
+  const { config: next } = load({ content: 'chat:\n  maxLength: 50\nserver:\n  binaryProtocol: false\n' })
+
+  const { hot, restart } = diffConfig(current, next)
+  assert.deepEqual(hot, [{ key: 'chat.maxLength', from: current.chat.maxLength, to: 50 }])
+  assert.deepEqual(restart.map(change => change.key), ['server.binaryProtocol'])
+})
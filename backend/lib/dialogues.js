@@ -0,0 +1,279 @@
+/**
+ * Diálogos com NPCs: árvores de conversa carregadas de um arquivo JSON
+ *
+ * Cada NPC aponta para um diálogo (campo `dialogue` em npcs.json). O diálogo é
+ * um conjunto de nós { text, choices }; cada escolha pode ter condições (`if`,
+ * todas precisam valer para ela aparecer), ações (`actions`) e o próximo nó
+ * (`next`; sem next, a conversa termina).
+ *
+ * A conversa roda no servidor (o cliente só mostra o nó e devolve o índice da
+ * escolha): condições e ações não dependem do que o cliente manda.
+ *
+ * Condições:
+ * - { type: 'flag', flag, value? }: marcação do player nesta sessão (value false = não marcada)
+ * - { type: 'schedule', active }: NPC está (ou não) num horário da agenda (ex: sessão no telão)
+ * - { type: 'role', roles }: papel do player (host, moderator, guest)
+ *
+ * Ações:
+ * - { type: 'setFlag', flag, value? }: marcar/desmarcar (aplicada aqui)
+ * - { type: 'teleport', position: { x, z } }: executada pelo servidor (index.js)
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { ROLES } = require('../../src/shared/roles')
+
+const DIALOGUE_CONFIG = {
+  INTERACT_DISTANCE: 3, // Distância para conversar (o cliente recebe npcNearby dentro dela)
+  DISTANCE_TOLERANCE: 1, // Folga na conferência do npcInteract (posição atrasada/interpolada)
+  DIALOGUES: {} // Preenchido por loadDialogues
+}
+
+const DIALOGUE_LIMITS = {
+  TEXT_MAX_LENGTH: 500,
+  CHOICE_MAX_LENGTH: 80,
+  MAX_CHOICES: 9, // Teclas 1 a 9 no painel
+  FLAG: /^[a-z0-9_-]{1,32}$/i
+}
+
+// Ações que o servidor executa depois da escolha (as demais são aplicadas aqui)
+const EXTERNAL_ACTIONS = ['teleport']
+
+// ===== Carregamento e validação =====
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+const isText = (value, maxLength) => typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength
+
+const checkUnknownKeys = (value, allowed, where, errors) => {
+  Object.keys(value).forEach(key => {
+    if (!allowed.includes(key)) errors.push(`${where}: chave desconhecida "${key}"`)
+  })
+}
+
+const checkFlag = (value, where, errors) => {
+  if (typeof value.flag !== 'string' || !DIALOGUE_LIMITS.FLAG.test(value.flag)) {
+    errors.push(`${where}.flag: esperado texto com letras, números, _ ou - (até 32), recebido ${JSON.stringify(value.flag)}`)
+  }
+  if (value.value !== undefined && typeof value.value !== 'boolean') {
+    errors.push(`${where}.value: esperado booleano, recebido ${JSON.stringify(value.value)}`)
+  }
+}
+
+const CONDITION_RULES = {
+  flag: { keys: ['flag', 'value'], check: checkFlag },
+  schedule: {
+    keys: ['active'],
+    check: (value, where, errors) => {
+      if (typeof value.active !== 'boolean') errors.push(`${where}.active: esperado booleano, recebido ${JSON.stringify(value.active)}`)
+    }
+  },
+  role: {
+    keys: ['roles'],
+    check: (value, where, errors) => {
+      const roles = Object.values(ROLES)
+      if (!Array.isArray(value.roles) || value.roles.length === 0 || !value.roles.every(role => roles.includes(role))) {
+        errors.push(`${where}.roles: esperado lista com ${roles.join(', ')}, recebido ${JSON.stringify(value.roles)}`)
+      }
+    }
+  }
+}
+
+const ACTION_RULES = {
+  setFlag: { keys: ['flag', 'value'], check: checkFlag },
+  teleport: {
+    keys: ['position'],
+    check: (value, where, errors) => {
+      const { position } = value
+      if (!isObject(position) || !isNumber(position.x) || !isNumber(position.z) || (position.y !== undefined && !isNumber(position.y))) {
+        errors.push(`${where}.position: esperado ponto { x, y?, z } com números, recebido ${JSON.stringify(position)}`)
+      }
+    }
+  }
+}
+
+// Lista de condições/ações: cada item { type, ... } conferido pela regra do tipo
+const checkTypedList = (list, rules, kind, where, errors) => {
+  if (!Array.isArray(list)) {
+    errors.push(`${where}: esperado lista de ${kind}`)
+    return
+  }
+  list.forEach((item, index) => {
+    const at = `${where}[${index}]`
+    const rule = isObject(item) && rules[item.type]
+    if (!rule) {
+      errors.push(`${at}: tipo de ${kind} desconhecido ${JSON.stringify(isObject(item) ? item.type : item)} (${Object.keys(rules).join(', ')})`)
+      return
+    }
+    checkUnknownKeys(item, ['type'].concat(rule.keys), at, errors)
+    rule.check(item, at, errors)
+  })
+}
+
+const checkDialogue = (dialogue, where, errors) => {
+  if (!isObject(dialogue) || !isObject(dialogue.nodes)) {
+    errors.push(`${where}: esperado objeto { start, nodes }`)
+    return
+  }
+  checkUnknownKeys(dialogue, ['start', 'nodes'], where, errors)
+
+  const nodeIds = Object.keys(dialogue.nodes)
+  if (!nodeIds.includes(dialogue.start)) {
+    errors.push(`${where}.start: nó ${JSON.stringify(dialogue.start)} não existe`)
+  }
+
+  nodeIds.forEach(nodeId => {
+    const node = dialogue.nodes[nodeId]
+    const at = `${where}.nodes.${nodeId}`
+    if (!isObject(node)) {
+      errors.push(`${at}: esperado objeto { text, choices? }`)
+      return
+    }
+    checkUnknownKeys(node, ['text', 'choices'], at, errors)
+    if (!isText(node.text, DIALOGUE_LIMITS.TEXT_MAX_LENGTH)) {
+      errors.push(`${at}.text: esperado texto de 1 a ${DIALOGUE_LIMITS.TEXT_MAX_LENGTH} caracteres`)
+    }
+    if (node.choices === undefined) return // Nó final: o painel só oferece fechar
+    if (!Array.isArray(node.choices) || node.choices.length > DIALOGUE_LIMITS.MAX_CHOICES) {
+      errors.push(`${at}.choices: esperado lista com até ${DIALOGUE_LIMITS.MAX_CHOICES} escolhas`)
+      return
+    }
+
+    node.choices.forEach((choice, index) => {
+      const choiceAt = `${at}.choices[${index}]`
+      if (!isObject(choice)) {
+        errors.push(`${choiceAt}: esperado objeto { text, next?, if?, actions? }`)
+        return
+      }
+      checkUnknownKeys(choice, ['text', 'next', 'if', 'actions'], choiceAt, errors)
+      if (!isText(choice.text, DIALOGUE_LIMITS.CHOICE_MAX_LENGTH)) {
+        errors.push(`${choiceAt}.text: esperado texto de 1 a ${DIALOGUE_LIMITS.CHOICE_MAX_LENGTH} caracteres`)
+      }
+      if (choice.next !== undefined && !nodeIds.includes(choice.next)) {
+        errors.push(`${choiceAt}.next: nó ${JSON.stringify(choice.next)} não existe`)
+      }
+      if (choice.if !== undefined) checkTypedList(choice.if, CONDITION_RULES, 'condição', `${choiceAt}.if`, errors)
+      if (choice.actions !== undefined) checkTypedList(choice.actions, ACTION_RULES, 'ação', `${choiceAt}.actions`, errors)
+    })
+  })
+}
+
+// Ler e validar o arquivo de diálogos (caminho relativo a backend/, como npcs.json)
+// npcDefinitions: diálogo citado por um NPC precisa existir
+// Retorna { dialogues, errors } (errors vazio = arquivo válido)
+const loadDialogues = (file, npcDefinitions = []) => {
+  const errors = []
+  const resolved = path.resolve(path.join(__dirname, '..'), file)
+
+  let data
+  try {
+    data = JSON.parse(fs.readFileSync(resolved, 'utf8'))
+  } catch (error) {
+    return { dialogues: {}, errors: [`${resolved}: não foi possível ler os diálogos (${error.message})`] }
+  }
+
+  if (!isObject(data) || !isObject(data.dialogues)) {
+    return { dialogues: {}, errors: [`${resolved}: esperado um objeto { dialogues: { id: { start, nodes } } }`] }
+  }
+  checkUnknownKeys(data, ['dialogues'], resolved, errors)
+
+  Object.entries(data.dialogues).forEach(([id, dialogue]) => {
+    checkDialogue(dialogue, `${resolved}: dialogues.${id}`, errors)
+  })
+
+  npcDefinitions.forEach(definition => {
+    if (definition.dialogue && !data.dialogues[definition.dialogue]) {
+      errors.push(`${resolved}: diálogo "${definition.dialogue}" (do NPC "${definition.id}") não existe`)
+    }
+  })
+
+  return { dialogues: data.dialogues, errors }
+}
+
+// ===== Conversa =====
+
+const isConditionMet = (condition, { player, npc }) => {
+  if (condition.type === 'flag') {
+    const value = !!(player.dialogueFlags && player.dialogueFlags[condition.flag])
+    return value === (condition.value !== false)
+  }
+  if (condition.type === 'schedule') return !!npc.scheduleEntry === condition.active
+  if (condition.type === 'role') return condition.roles.includes(player.role)
+  return false
+}
+
+// Escolhas do nó que o player pode ver agora (o índice enviado é desta lista)
+const getVisibleChoices = (node, context) => {
+  return (node.choices || []).filter(choice => (choice.if || []).every(condition => isConditionMet(condition, context)))
+}
+
+// Nó atual para o cliente: { npcId, npcName, text, choices: [texto] }
+const serializeDialogue = (player, npc) => {
+  const { nodeId } = player.dialogue
+  const node = DIALOGUE_CONFIG.DIALOGUES[player.dialogue.dialogueId].nodes[nodeId]
+  return {
+    npcId: npc.id,
+    npcName: npc.nickname,
+    nodeId,
+    text: node.text,
+    choices: player.dialogue.choices.map(choice => choice.text)
+  }
+}
+
+const enterNode = (player, npc, nodeId) => {
+  const node = DIALOGUE_CONFIG.DIALOGUES[player.dialogue.dialogueId].nodes[nodeId]
+  player.dialogue.nodeId = nodeId
+  player.dialogue.choices = getVisibleChoices(node, { player, npc })
+}
+
+const endDialogue = (player) => {
+  player.dialogue = null
+}
+
+// Começar a conversa com o NPC; retorna o primeiro nó ou null se ele não conversa
+const startDialogue = (player, npc) => {
+  const dialogueId = npc.definition.dialogue
+  const dialogue = dialogueId && DIALOGUE_CONFIG.DIALOGUES[dialogueId]
+  if (!dialogue) return null
+
+  player.dialogue = { npcId: npc.id, dialogueId, nodeId: null, choices: [] }
+  enterNode(player, npc, dialogue.start)
+  return serializeDialogue(player, npc)
+}
+
+// Aplicar a escolha (índice na lista visível)
+// Retorna { error } (índice inválido), ou { actions, node } com as ações que o
+// servidor precisa executar e o próximo nó (null = conversa terminou)
+const chooseDialogueOption = (player, npc, index) => {
+  const choice = player.dialogue.choices[index]
+  if (!choice) return { error: 'Opção inválida' }
+
+  const actions = []
+  const choiceActions = choice.actions || []
+  choiceActions.forEach(action => {
+    if (EXTERNAL_ACTIONS.includes(action.type)) {
+      actions.push(action)
+      return
+    }
+    if (action.type === 'setFlag') {
+      player.dialogueFlags = player.dialogueFlags || {}
+      player.dialogueFlags[action.flag] = action.value !== false
+    }
+  })
+
+  if (!choice.next) {
+    endDialogue(player)
+    return { actions, node: null }
+  }
+
+  enterNode(player, npc, choice.next)
+  return { actions, node: serializeDialogue(player, npc) }
+}
+
+module.exports = {
+  DIALOGUE_CONFIG,
+  loadDialogues,
+  startDialogue,
+  chooseDialogueOption,
+  endDialogue
+}
@@ -0,0 +1,149 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { loadNpcDefinitions } = require('./npcs')
+const { DIALOGUE_CONFIG, loadDialogues, startDialogue, chooseDialogueOption, endDialogue } = require('./dialogues')
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialogues-test-'))
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+let fileCount = 0
+const load = (data, npcDefinitions) => {
+  const file = path.join(tempDir, `dialogues-${fileCount++}.json`)
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data))
+  return loadDialogues(file, npcDefinitions)
+}
+
+const DIALOGUES = {
+  guia: {
+    start: 'inicio',
+    nodes: {
+      inicio: {
+        text: 'Oi!',
+        choices: [
+          { text: 'Prazer', next: 'inicio', if: [{ type: 'flag', flag: 'conhece', value: false }], actions: [{ type: 'setFlag', flag: 'conhece' }] },
+          { text: 'E a sessão?', next: 'fim', if: [{ type: 'schedule', active: true }] },
+          { text: 'Recado da equipe', next: 'fim', if: [{ type: 'role', roles: ['host', 'moderator'] }] },
+          { text: 'Me leva', actions: [{ type: 'teleport', position: { x: 0, z: 22 } }] }
+        ]
+      },
+      fim: { text: 'Até mais!' }
+    }
+  }
+}
+
+const createNpc = (scheduleEntry = null) => ({ id: 'npc:guia', nickname: 'Guia', definition: { dialogue: 'guia' }, scheduleEntry })
+
+test('dialogues.json do repositório é válido e cobre os NPCs', () => {
+  const { definitions } = loadNpcDefinitions('npcs.json')
+  const { dialogues, errors } = loadDialogues('dialogues.json', definitions)
+  assert.deepEqual(errors, [])
+  definitions.filter(definition => definition.dialogue).forEach(definition => assert.ok(dialogues[definition.dialogue], definition.id))
+})
+
+test('arquivo válido carrega sem erros', () => {
+  assert.deepEqual(load({ dialogues: DIALOGUES }, [{ id: 'guia', dialogue: 'guia' }]).errors, [])
+})
+
+test('nó inexistente (start e next) e diálogo citado por NPC que não existe', () => {
+  const { errors } = load({
+    dialogues: { guia: { start: 'comeco', nodes: { inicio: { text: 'Oi', choices: [{ text: 'Vai', next: 'lugar' }] } } } }
+  }, [{ id: 'vigia', dialogue: 'vigia' }])
+
+  assert.equal(errors.length, 3)
+  assert.match(errors[0], /dialogues\.guia\.start: nó "comeco" não existe/)
+  assert.match(errors[1], /choices\[0\]\.next: nó "lugar" não existe/)
+  assert.match(errors[2], /diálogo "vigia" \(do NPC "vigia"\) não existe/)
+})
+
+test('condições e ações de tipo desconhecido ou com campos errados', () => {
+  const { errors } = load({
+    dialogues: {
+      guia: {
+        start: 'inicio',
+        nodes: {
+          inicio: {
+            text: 'Oi',
+            choices: [
+              { text: 'A', if: [{ type: 'sorte' }] },
+              { text: 'B', if: [{ type: 'role', roles: ['rei'] }] },
+              { text: 'C', actions: [{ type: 'setFlag', flag: 'com espaço' }] },
+              { text: 'D', actions: [{ type: 'teleport', position: { x: 1 } }, { type: 'setFlag', flag: 'ok', extra: 1 }] }
+            ]
+          }
+        }
+      }
+    }
+  })
+
+  assert.equal(errors.length, 5)
+  assert.match(errors[0], /choices\[0\]\.if\[0\]: tipo de condição desconhecido "sorte"/)
+  assert.match(errors[1], /choices\[1\]\.if\[0\]\.roles: esperado lista com host, moderator, guest/)
+  assert.match(errors[2], /choices\[2\]\.actions\[0\]\.flag: esperado texto/)
+  assert.match(errors[3], /choices\[3\]\.actions\[0\]\.position: esperado ponto/)
+  assert.match(errors[4], /choices\[3\]\.actions\[1\]: chave desconhecida "extra"/)
+})
+
+test('limites de texto e de escolhas (teclas 1 a 9)', () => {
+  const choices = Array.from({ length: 10 }, (_, index) => ({ text: `Opção ${index}` }))
+  const { errors } = load({
+    dialogues: { guia: { start: 'inicio', nodes: { inicio: { text: 'x'.repeat(501), choices }, vazio: { text: '  ' } } } }
+  })
+
+  assert.equal(errors.length, 3)
+  assert.match(errors[0], /nodes\.inicio\.text: esperado texto de 1 a 500/)
+  assert.match(errors[1], /nodes\.inicio\.choices: esperado lista com até 9 escolhas/)
+  assert.match(errors[2], /nodes\.vazio\.text: esperado texto de 1 a 500/)
+})
+
+test('arquivo ausente ou sem { dialogues }', () => {
+  assert.match(loadDialogues(path.join(tempDir, 'nao-existe.json')).errors[0], /não foi possível ler os diálogos/)
+  assert.match(load({ guia: {} }).errors[0], /esperado um objeto \{ dialogues/)
+})
+
+test('conversa: escolhas visíveis seguem flags, agenda e papel', () => {
+  DIALOGUE_CONFIG.DIALOGUES = DIALOGUES
+  const guest = { id: 'ana', role: 'guest' }
+  const host = { id: 'bia', role: 'host' }
+
+  assert.deepEqual(startDialogue(guest, createNpc()).choices, ['Prazer', 'Me leva'])
+  assert.deepEqual(startDialogue(host, createNpc({ label: 'sessão' })).choices, ['Prazer', 'E a sessão?', 'Recado da equipe', 'Me leva'])
+})
+
+test('conversa: setFlag muda as escolhas, teleporte volta para o servidor executar', () => {
+  DIALOGUE_CONFIG.DIALOGUES = DIALOGUES
+  const player = { id: 'ana', role: 'guest' }
+  const npc = createNpc()
+
+  const first = startDialogue(player, npc)
+  assert.deepEqual(first, { npcId: 'npc:guia', npcName: 'Guia', nodeId: 'inicio', text: 'Oi!', choices: ['Prazer', 'Me leva'] })
+
+  const { actions, node } = chooseDialogueOption(player, npc, 0)
+  assert.deepEqual(actions, [])
+  assert.deepEqual(player.dialogueFlags, { conhece: true })
+  assert.deepEqual(node.choices, ['Me leva']) // "Prazer" só aparece para quem não conhece
+
+  const last = chooseDialogueOption(player, npc, 0)
+  assert.deepEqual(last, { actions: [{ type: 'teleport', position: { x: 0, z: 22 } }], node: null })
+  assert.equal(player.dialogue, null) // Escolha sem next encerra
+})
+
+test('conversa: índice fora da lista visível é recusado sem mudar o nó', () => {
+  DIALOGUE_CONFIG.DIALOGUES = DIALOGUES
+  const player = { id: 'ana', role: 'guest' }
+  startDialogue(player, createNpc())
+
+  assert.deepEqual(chooseDialogueOption(player, createNpc(), 2), { error: 'Opção inválida' })
+  assert.equal(player.dialogue.nodeId, 'inicio')
+
+  endDialogue(player)
+  assert.equal(player.dialogue, null)
+})
+
+test('NPC sem diálogo não conversa', () => {
+  DIALOGUE_CONFIG.DIALOGUES = DIALOGUES
+  const npc = { id: 'npc:vigia', nickname: 'Vigia', definition: { dialogue: null }, scheduleEntry: null }
+  assert.equal(startDialogue({ id: 'ana', role: 'guest' }, npc), null)
+})
@@ -0,0 +1,126 @@
+/**
+ * Área de interesse (AOI) com grid espacial
+ *
+ * Cada player só recebe movimento/snapshot dos players dentro do seu raio de interesse.
+ * O grid divide o plano XZ em células para não comparar todos com todos.
+ * Histerese: entra no interesse com RADIUS, só sai com RADIUS + HYSTERESIS
+ * (evita entrar/sair repetidamente na borda).
+ *
+ * A relação é simétrica (mesma distância, mesmo raio), então quem está no
+ * interesse de A também tem A no seu interesse.
+ */
+
+const INTEREST_CONFIG = {
+  ENABLED: true, // Ligado por padrão
+  RADIUS: 40, // Raio de interesse (unidades do mundo)
+  HYSTERESIS: 5, // Margem extra para sair do interesse
+  CELL_SIZE: 20 // Tamanho da célula do grid
+}
+
+const getCellCoord = (value) => Math.floor(value / INTEREST_CONFIG.CELL_SIZE)
+const getCellKey = (cx, cz) => `${cx}:${cz}`
+
+// Atualizar célula do player no grid da sala (chamar quando a posição muda)
+const updateGridPosition = (room, player) => {
+  const key = getCellKey(getCellCoord(player.position.x), getCellCoord(player.position.z))
+  const previousKey = room.playerCells[player.id]
+  if (previousKey === key) return
+
+  if (previousKey && room.grid.has(previousKey)) {
+    const cell = room.grid.get(previousKey)
+    cell.delete(player.id)
+    if (cell.size === 0) room.grid.delete(previousKey)
+  }
+
+  if (!room.grid.has(key)) room.grid.set(key, new Set())
+  room.grid.get(key).add(player.id)
+  room.playerCells[player.id] = key
+}
+
+// Ids dos players nas células que cobrem o raio (candidatos, ainda sem checar distância)
+const queryNearby = (room, position, radius) => {
+  const minX = getCellCoord(position.x - radius)
+  const maxX = getCellCoord(position.x + radius)
+  const minZ = getCellCoord(position.z - radius)
+  const maxZ = getCellCoord(position.z + radius)
+  const ids = []
+
+  for (let cx = minX; cx <= maxX; cx++) {
+    for (let cz = minZ; cz <= maxZ; cz++) {
+      const cell = room.grid.get(getCellKey(cx, cz))
+      if (cell) cell.forEach(id => ids.push(id))
+    }
+  }
+
+  return ids
+}
+
+const getInterestSet = (room, playerId) => room.interest[playerId] || null
+
+// Recalcular interesse de todos os players da sala
+// Retorna as mudanças: [{ playerId, entered: [ids], left: [ids] }]
+const refreshInterest = (room) => {
+  const changes = []
+  const maxRadius = INTEREST_CONFIG.RADIUS + INTEREST_CONFIG.HYSTERESIS
+
+  Object.values(room.players).forEach(player => {
+    const previous = room.interest[player.id] || new Set()
+    const next = new Set()
+
+    queryNearby(room, player.position, maxRadius).forEach(otherId => {
+      if (otherId === player.id) return
+      const other = room.players[otherId]
+      if (!other) return
+
+      const distance = Math.sqrt(
+        (other.position.x - player.position.x) ** 2 +
+        (other.position.z - player.position.z) ** 2
+      )
+      const radius = previous.has(otherId) ? maxRadius : INTEREST_CONFIG.RADIUS
+      if (distance <= radius) next.add(otherId)
+    })
+
+    const entered = [...next].filter(id => !previous.has(id))
+    const left = [...previous].filter(id => !next.has(id) && room.players[id])
+    room.interest[player.id] = next
+
+    if (entered.length > 0 || left.length > 0) {
+      changes.push({ playerId: player.id, entered, left })
+    }
+  })
+
+  return changes
+}
+
+// Remover player do grid e do interesse dos outros (disconnect, heartbeat)
+const removeFromInterest = (room, playerId) => {
+  const key = room.playerCells[playerId]
+  if (key && room.grid.has(key)) {
+    const cell = room.grid.get(key)
+    cell.delete(playerId)
+    if (cell.size === 0) room.grid.delete(key)
+  }
+  delete room.playerCells[playerId]
+
+  const own = room.interest[playerId]
+  if (own) {
+    own.forEach(otherId => room.interest[otherId]?.delete(playerId))
+  }
+  delete room.interest[playerId]
+}
+
+// Dentro do raio com a margem de saída (NPCs: sem grid nem estado por cliente)
+const isInInterestRange = (from, to) => {
+  const radius = INTEREST_CONFIG.RADIUS + INTEREST_CONFIG.HYSTERESIS
+  return (to.x - from.x) ** 2 + (to.z - from.z) ** 2 <= radius * radius
+}
+
+module.exports = {
+  INTEREST_CONFIG,
+  updateGridPosition,
+  queryNearby,
+  getInterestSet,
+  refreshInterest,
+  removeFromInterest,
+  isInInterestRange
+}
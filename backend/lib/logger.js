@@ -0,0 +1,17 @@
+/**
+ * Logs estruturados: uma linha JSON por evento (fácil de filtrar e agregar)
+ */
+
+const logEvent = (level, event, fields = {}) => {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, event, ...fields })
+
+  if (level === 'error') {
+    console.error(line)
+  } else if (level === 'warn') {
+    console.warn(line)
+  } else {
+    console.log(line)
+  }
+}
+
+module.exports = { logEvent }
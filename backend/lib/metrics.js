@@ -0,0 +1,135 @@
+/**
+ * Métricas no formato texto do Prometheus (GET /metrics)
+ *
+ * Registro mínimo sem dependências: contadores e gauges em memória,
+ * incrementados nos handlers (custo de um Map.get) e renderizados só no scrape.
+ * Gauges que dependem do estado atual (sockets, players por sala) são
+ * preenchidos por coletores chamados na hora do scrape.
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks')
+
+const METRICS_CONFIG = {
+  PREFIX: 'virtualspace_',
+  SAMPLE_INTERVAL: 5000, // Janela do lag do event loop e dos bytes/s (ms)
+  TOKEN: process.env.METRICS_TOKEN || null // Opcional: exigir Authorization: Bearer <token>
+}
+
+const registry = new Map() // name -> { name, help, type, values: Map<labelKey, { labels, value }> }
+const collectors = []
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+
+const getLabelKey = (labels) => {
+  return Object.keys(labels).sort().map(key => `${key}="${escapeLabel(labels[key])}"`).join(',')
+}
+
+const defineMetric = (type, name, help) => {
+  const metric = { name: METRICS_CONFIG.PREFIX + name, help, type, values: new Map() }
+  registry.set(metric.name, metric)
+
+  const getEntry = (labels) => {
+    const key = getLabelKey(labels)
+    let entry = metric.values.get(key)
+    if (!entry) {
+      entry = { labels: key, value: 0 }
+      metric.values.set(key, entry)
+    }
+    return entry
+  }
+
+  return {
+    inc: (labels = {}, amount = 1) => {
+      getEntry(labels).value += amount
+    },
+    set: (labels, value) => {
+      getEntry(labels).value = value
+    },
+    reset: () => metric.values.clear()
+  }
+}
+
+const counter = (name, help) => defineMetric('counter', name, help)
+const gauge = (name, help) => defineMetric('gauge', name, help)
+
+// Coletor chamado antes de cada render (para gauges do estado atual)
+const registerCollector = (collect) => {
+  collectors.push(collect)
+}
+
+const renderMetrics = () => {
+  collectors.forEach(collect => collect())
+
+  const lines = []
+  registry.forEach(metric => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`)
+    lines.push(`# TYPE ${metric.name} ${metric.type}`)
+    metric.values.forEach(({ labels, value }) => {
+      lines.push(labels ? `${metric.name}{${labels}} ${value}` : `${metric.name} ${value}`)
+    })
+  })
+  return lines.join('\n') + '\n'
+}
+
+// Métricas do servidor
+const METRICS = {
+  connectedSockets: gauge('connected_sockets', 'Sockets conectados'),
+  roomPlayers: gauge('room_players', 'Players por sala (inclui quem aguarda retomada de sessão)'),
+  playerPresence: gauge('player_presence', 'Players por estado de presença (ativo, inativo, ausente, desconectado)'),
+  roomQueue: gauge('room_queue_size', 'Pessoas na fila de espera por sala cheia'),
+  playerMoveAccepted: counter('player_move_accepted_total', 'Mensagens playerMove aceitas'),
+  playerMoveRejected: counter('player_move_rejected_total', 'Mensagens playerMove recusadas, por motivo'),
+  snapshotBytes: counter('snapshot_bytes_total', 'Bytes de stateSnapshot emitidos, por formato'),
+  snapshotBytesPerSecond: gauge('snapshot_bytes_per_second', 'Bytes de stateSnapshot por segundo na última janela'),
+  eventLoopLag: gauge('event_loop_lag_seconds', 'Atraso do event loop na última janela, por quantil'),
+  heartbeatEvictions: counter('heartbeat_evictions_total', 'Players removidos por inatividade (heartbeat)'),
+  queueAdmissions: counter('queue_admissions_total', 'Players admitidos a partir da fila de espera'),
+  joinFailures: counter('join_failures_total', 'Joins recusados, por código de erro'),
+  invalidPayloads: counter('invalid_payloads_total', 'Eventos recusados pelo schema, por evento e código'),
+  protocolHandshakes: counter('protocol_handshakes_total', 'Conexões por resultado do handshake de versão')
+}
+
+// Séries sem label começam em 0 (aparecem no scrape antes do primeiro evento)
+METRICS.playerMoveAccepted.inc({}, 0)
+METRICS.heartbeatEvictions.inc({}, 0)
+METRICS.snapshotBytesPerSecond.set({}, 0)
+
+// Amostragem periódica: lag do event loop e taxa de bytes de snapshot
+const LAG_RESOLUTION_MS = 20
+let samplerIntervalId = null
+let snapshotBytesInWindow = 0
+
+const recordSnapshotBytes = (format, bytes) => {
+  METRICS.snapshotBytes.inc({ format }, bytes)
+  snapshotBytesInWindow += bytes
+}
+
+const startMetricsSampler = () => {
+  if (samplerIntervalId) return
+
+  const histogram = monitorEventLoopDelay({ resolution: LAG_RESOLUTION_MS })
+  histogram.enable()
+
+  // Histograma em nanossegundos, incluindo o próprio intervalo de amostragem
+  const toLagSeconds = (nanoseconds) => Math.max(0, nanoseconds / 1e6 - LAG_RESOLUTION_MS) / 1000
+
+  samplerIntervalId = setInterval(() => {
+    METRICS.eventLoopLag.set({ quantile: '0.5' }, toLagSeconds(histogram.percentile(50)))
+    METRICS.eventLoopLag.set({ quantile: '0.99' }, toLagSeconds(histogram.percentile(99)))
+    METRICS.eventLoopLag.set({ quantile: '1' }, toLagSeconds(histogram.max))
+    histogram.reset()
+
+    METRICS.snapshotBytesPerSecond.set({}, snapshotBytesInWindow / (METRICS_CONFIG.SAMPLE_INTERVAL / 1000))
+    snapshotBytesInWindow = 0
+  }, METRICS_CONFIG.SAMPLE_INTERVAL)
+  samplerIntervalId.unref()
+}
+
+module.exports = {
+  METRICS_CONFIG,
+  METRICS,
+  registerCollector,
+  renderMetrics,
+  recordSnapshotBytes,
+  startMetricsSampler
+}
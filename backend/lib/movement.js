@@ -0,0 +1,147 @@
+/**
+ * Movimento autoritativo (opcional, AUTHORITATIVE_MOVEMENT=true)
+ *
+ * O cliente envia inputs sequenciados (playerInput) em vez de posições.
+ * Cada input vale um tick: o servidor consome no máximo um por tick por player,
+ * então mandar inputs mais rápido não faz ninguém andar mais rápido
+ * (a fila tem limite e, cheia, descarta o input mais antigo).
+ *
+ * Os ticks seguem o relógio (advanceTickClock), não a contagem do setInterval:
+ * o timer atrasa um pouco (~29.7/s) e a fila de um cliente honesto a 30/s cresceria
+ * sem parar. Um atraso maior vira até MAX_TICKS_PER_RUN ticks na mesma execução.
+ *
+ * Excesso de inputs só conta como violação pela taxa (recordInputRate): mais de
+ * RATE_TOLERANCE vezes a taxa de ticks dentro de RATE_WINDOW. O tamanho da fila
+ * não serve de sinal (rede irregular entrega inputs em rajadas).
+ *
+ * A simulação em si (stepMovement) é compartilhada com o cliente, que prevê
+ * localmente e reconcilia com o estado confirmado (inputAck).
+ */
+
+const {
+  MOVEMENT_MODES,
+  MOVEMENT_CONFIG,
+  INPUT_ACTIONS,
+  createMovementState,
+  sanitizeInput,
+  stepMovement
+} = require('../../src/shared/movement')
+
+const AUTHORITATIVE_CONFIG = {
+  ENABLED: false, // Ver movement.authoritative em lib/config.js
+  MAX_QUEUE: 10, // Inputs aguardando (~330ms a 30 ticks/s)
+  MAX_TICKS_PER_RUN: 5, // Ticks atrasados recuperados de uma vez (o resto é descartado)
+  RATE_WINDOW: 2000, // Janela da contagem de inputs (ms)
+  RATE_TOLERANCE: 1.5 // Inputs aceitos na janela = taxa de ticks * janela * tolerância
+}
+
+// Player congelado pela moderação: o tick ainda roda (gravidade), mas sem andar/pular
+const FROZEN_ACTIONS = Object.fromEntries(INPUT_ACTIONS.map(action => [action, false]))
+
+const getMovementMode = () => {
+  return AUTHORITATIVE_CONFIG.ENABLED ? MOVEMENT_MODES.AUTHORITATIVE : MOVEMENT_MODES.CLIENT
+}
+
+// Estado de simulação do player (criado no join, mantido ao retomar a sessão)
+const initPlayerMovement = (player) => {
+  player.movement = {
+    state: createMovementState(player.position, player.rotation.y),
+    queue: [],
+    lastQueuedSeq: -1,
+    lastProcessedSeq: -1,
+    rateWindowStart: 0,
+    rateCount: 0
+  }
+}
+
+// Contar input recebido na janela do player
+// true quando a janela passa do limite (uma vez por janela, não a cada input)
+const recordInputRate = (player, now = Date.now()) => {
+  const movement = player.movement
+  if (!movement) return false
+
+  if (now - movement.rateWindowStart >= AUTHORITATIVE_CONFIG.RATE_WINDOW) {
+    movement.rateWindowStart = now
+    movement.rateCount = 0
+  }
+  movement.rateCount++
+
+  const limit = Math.floor(MOVEMENT_CONFIG.TICK_RATE * (AUTHORITATIVE_CONFIG.RATE_WINDOW / 1000) * AUTHORITATIVE_CONFIG.RATE_TOLERANCE)
+  return movement.rateCount === limit + 1
+}
+
+// Enfileirar input recebido (false se inválido ou repetido)
+// Fila cheia descarta o mais antigo: atraso de rede acumulado não é trapaça
+const queueInput = (player, data) => {
+  const movement = player.movement
+  if (!movement) return false
+
+  const input = sanitizeInput(data)
+  if (!input || input.seq <= movement.lastQueuedSeq) return false
+  if (movement.queue.length >= AUTHORITATIVE_CONFIG.MAX_QUEUE) movement.queue.shift()
+
+  movement.queue.push(input)
+  movement.lastQueuedSeq = input.seq
+  return true
+}
+
+// Descartar inputs pendentes (correção forçada do anti-cheat)
+const clearInputQueue = (player) => {
+  if (player.movement) player.movement.queue = []
+}
+
+// Posição alterada fora da simulação (teleporte da moderação): recomeçar dali
+const resetPlayerMovement = (player) => {
+  if (!player.movement) return
+  player.movement.state = createMovementState(player.position, player.rotation.y)
+  player.movement.queue = []
+}
+
+// Relógio da simulação: quantos ticks venceram desde a última execução
+const createTickClock = (now = Date.now()) => ({ lastRun: now, accumulator: 0 })
+
+const advanceTickClock = (clock, now = Date.now()) => {
+  const maxAccumulated = MOVEMENT_CONFIG.TICK_MS * AUTHORITATIVE_CONFIG.MAX_TICKS_PER_RUN
+  clock.accumulator = Math.min(clock.accumulator + Math.max(0, now - clock.lastRun), maxAccumulated)
+  clock.lastRun = now
+
+  const ticks = Math.floor(clock.accumulator / MOVEMENT_CONFIG.TICK_MS)
+  clock.accumulator -= ticks * MOVEMENT_CONFIG.TICK_MS
+  return ticks
+}
+
+// Consumir um input da fila e simular um tick
+// Retorna o seq processado (ou null se não havia input)
+const processPlayerTick = (player) => {
+  const movement = player.movement
+  if (!movement || movement.queue.length === 0) return null
+
+  const input = movement.queue.shift()
+  movement.state = stepMovement(movement.state, player.frozen ? { ...input, ...FROZEN_ACTIONS } : input)
+  movement.lastProcessedSeq = input.seq
+
+  const { x, y, z, ry } = movement.state
+  player.position = { x, y, z }
+  player.rotation = { x: 0, y: ry, z: 0 }
+  return input.seq
+}
+
+// Estado confirmado para reconciliação no cliente
+const serializeMovementAck = (player) => ({
+  seq: player.movement.lastProcessedSeq,
+  state: player.movement.state
+})
+
+module.exports = {
+  AUTHORITATIVE_CONFIG,
+  getMovementMode,
+  initPlayerMovement,
+  recordInputRate,
+  queueInput,
+  clearInputQueue,
+  resetPlayerMovement,
+  createTickClock,
+  advanceTickClock,
+  processPlayerTick,
+  serializeMovementAck
+}
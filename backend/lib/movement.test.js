@@ -0,0 +1,83 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { MOVEMENT_CONFIG } = require('../../src/shared/movement')
+const {
+  AUTHORITATIVE_CONFIG,
+  initPlayerMovement,
+  recordInputRate,
+  queueInput,
+  createTickClock,
+  advanceTickClock,
+  processPlayerTick
+} = require('./movement')
+
+const createPlayer = () => {
+  const player = { id: 'ana', position: { x: 0, y: 1, z: 0 }, rotation: { x: 0, y: 0, z: 0 } }
+  initPlayerMovement(player)
+  return player
+}
+
+// Cliente a `inputRate`/s e timer do servidor a `timerRate`/s, como no setInterval do index.js
+// Retorna o maior tamanho de fila e quantas janelas passaram do limite de taxa
+const simulate = ({ inputRate, timerRate, duration }) => {
+  const player = createPlayer()
+  const clock = createTickClock(0)
+  let seq = 0
+  let nextInput = 0
+  let nextRun = 1000 / timerRate
+  let maxQueue = 0
+  let rateViolations = 0
+
+  while (nextRun <= duration) {
+    while (nextInput <= nextRun) {
+      if (recordInputRate(player, nextInput)) rateViolations++
+      queueInput(player, { seq: seq++, yaw: 0, forward: true })
+      nextInput += 1000 / inputRate
+    }
+    maxQueue = Math.max(maxQueue, player.movement.queue.length)
+
+    const ticks = advanceTickClock(clock, nextRun)
+    for (let i = 0; i < ticks && processPlayerTick(player) !== null; i++);
+    nextRun += 1000 / timerRate
+  }
+  return { maxQueue, rateViolations }
+}
+
+test('timer um pouco lento não acumula inputs de um cliente honesto', () => {
+  const { maxQueue, rateViolations } = simulate({ inputRate: MOVEMENT_CONFIG.TICK_RATE, timerRate: 29.7, duration: 60000 })
+  assert.ok(maxQueue <= 3, `fila chegou a ${maxQueue}`)
+  assert.equal(rateViolations, 0)
+})
+
+test('relógio recupera ticks atrasados até MAX_TICKS_PER_RUN', () => {
+  const clock = createTickClock(0)
+  assert.equal(advanceTickClock(clock, MOVEMENT_CONFIG.TICK_MS * 2.5), 2)
+  assert.equal(advanceTickClock(clock, MOVEMENT_CONFIG.TICK_MS * 3.7), 1) // 0.5 que sobrou + 1.2
+  assert.equal(advanceTickClock(clock, MOVEMENT_CONFIG.TICK_MS * 100), AUTHORITATIVE_CONFIG.MAX_TICKS_PER_RUN)
+  assert.equal(advanceTickClock(clock, 0), 0) // Relógio voltando não gera tick
+})
+
+test('fila cheia descarta o input mais antigo', () => {
+  const player = createPlayer()
+  for (let seq = 0; seq < AUTHORITATIVE_CONFIG.MAX_QUEUE + 3; seq++) {
+    assert.equal(queueInput(player, { seq, yaw: 0 }), true)
+  }
+  const queued = player.movement.queue.map(input => input.seq)
+  assert.equal(queued.length, AUTHORITATIVE_CONFIG.MAX_QUEUE)
+  assert.equal(queued[0], 3)
+  assert.equal(queueInput(player, { seq: 5, yaw: 0 }), false) // Repetido/antigo
+})
+
+test('taxa bem acima dos ticks conta uma violação por janela', () => {
+  const { rateViolations } = simulate({ inputRate: MOVEMENT_CONFIG.TICK_RATE * 2, timerRate: 30, duration: 10000 })
+  assert.equal(rateViolations, 10000 / AUTHORITATIVE_CONFIG.RATE_WINDOW)
+})
+
+test('rajada curta (rede irregular) não passa do limite da janela', () => {
+  const player = createPlayer()
+  let violations = 0
+  // 1s de inputs chegando de uma vez depois de 1s parado: 60 na janela de 2s
+  for (let i = 0; i < 30; i++) if (recordInputRate(player, 0)) violations++
+  for (let i = 0; i < 30; i++) if (recordInputRate(player, 1000 + i)) violations++
+  assert.equal(violations, 0)
+})
@@ -0,0 +1,144 @@
+/**
+ * Política de nicknames (join e renomeação pela API administrativa)
+ *
+ * - Formato e Unicode: src/shared/nicknames.js (o cliente usa as mesmas regras)
+ * - Unicidade por sala, comparando esqueletos (sem acentos, sósias, separadores),
+ *   com sugestões livres quando o nome já está em uso
+ * - Blocklist (palavrões, ofensas) configurável em nicknames.blocklist
+ * - Nomes reservados para a equipe (host/moderador) em nicknames.reserved
+ * - Allowlist (nicknames.allowlist): palavras legítimas que contêm um termo ("Badminton")
+ *
+ * Quanto mais curto o termo, mais estrita a comparação (evita bloquear "Nazira" por "nazi"):
+ * a partir de MIN_SUBSTRING_LENGTH letras vale em qualquer parte do nome ("xadminx"),
+ * abaixo disso só como palavra inteira ("mod", "Mod Ana", "host123"; não "Ghostly").
+ * Palavras são separadas por espaço, _, . ou - e por números no fim ("nazi88").
+ */
+
+const { ERROR_CODES } = require('../../src/shared/events')
+const { NICKNAME_RULES, SEPARATORS, normalizeNickname, getNicknameSkeleton } = require('../../src/shared/nicknames')
+const { isStaff } = require('./roles')
+
+const DEFAULT_BLOCKLIST = [
+  'porra', 'caralho', 'merda', 'puta', 'buceta', 'viado', 'arrombado', 'cuzao',
+  'vagabunda', 'piranha', 'fdp', 'vsf', 'pqp', 'corno',
+  'fuck', 'shit', 'bitch', 'cunt', 'whore', 'slut', 'nigger', 'faggot', 'retard',
+  'nazi', 'hitler'
+]
+
+const DEFAULT_RESERVED = [
+  'admin', 'administrador', 'moderador', 'moderator', 'mod', 'host', 'staff',
+  'sistema', 'system', 'suporte', 'support', 'virtualspace'
+]
+
+const DEFAULT_ALLOWLIST = ['badminton', 'staffan']
+
+const NICKNAME_CONFIG = {
+  BLOCKLIST: DEFAULT_BLOCKLIST,
+  RESERVED: DEFAULT_RESERVED,
+  ALLOWLIST: DEFAULT_ALLOWLIST,
+  MIN_SUBSTRING_LENGTH: 5,
+  SUGGESTIONS: 3 // Alternativas enviadas quando o nickname já está em uso
+}
+
+const collapseRepeats = (text) => text.replace(/(.)\1+/g, '$1')
+
+// Nickname preparado para a comparação com os termos (palavras da allowlist ficam de fora)
+// { skeleton: esqueleto das palavras juntas, words: esqueleto de cada palavra }
+const getNicknameParts = (nickname) => {
+  const allowed = NICKNAME_CONFIG.ALLOWLIST.map(getNicknameSkeleton)
+  const rawWords = nickname.split(SEPARATORS)
+    .filter(word => word && !allowed.includes(getNicknameSkeleton(word)))
+
+  const words = []
+  rawWords.forEach(word => {
+    words.push(getNicknameSkeleton(word))
+    // "host123": vale também sem os números do fim (no esqueleto eles viram letras)
+    const letters = word.replace(/\d+$/, '')
+    if (letters && letters !== word) words.push(getNicknameSkeleton(letters))
+  })
+  return { skeleton: rawWords.map(getNicknameSkeleton).join(''), words }
+}
+
+const matchesTerm = ({ skeleton, words }, term) => {
+  const termSkeleton = getNicknameSkeleton(term)
+  if (!termSkeleton) return false
+  if (termSkeleton.length >= NICKNAME_CONFIG.MIN_SUBSTRING_LENGTH) return skeleton.includes(termSkeleton)
+  return words.includes(termSkeleton)
+}
+
+// Também compara com letras repetidas colapsadas ("merrrda" -> "merda")
+const matchesAny = (nickname, terms) => {
+  const parts = getNicknameParts(nickname)
+  const collapsed = { skeleton: collapseRepeats(parts.skeleton), words: parts.words.map(collapseRepeats) }
+  return terms.some(term => matchesTerm(parts, term) || matchesTerm(collapsed, term))
+}
+
+// Esqueletos em uso na sala (menos o próprio player, em caso de re-join/renomeação)
+const getTakenSkeletons = (room, playerId) => {
+  if (!room) return new Set()
+  return new Set(
+    Object.values(room.players)
+      .filter(player => player.id !== playerId)
+      .map(player => getNicknameSkeleton(player.nickname))
+  )
+}
+
+const isAllowed = (nickname, role) => {
+  if (matchesAny(nickname, NICKNAME_CONFIG.BLOCKLIST)) return false
+  return isStaff({ role }) || !matchesAny(nickname, NICKNAME_CONFIG.RESERVED)
+}
+
+// Variações livres do nickname: "ana" -> "ana2", "ana3"... (cortando para caber no limite)
+const suggestNicknames = (nickname, taken, role) => {
+  const suggestions = []
+  for (let n = 2; n < 100 && suggestions.length < NICKNAME_CONFIG.SUGGESTIONS; n++) {
+    const suffix = String(n)
+    const base = Array.from(nickname).slice(0, NICKNAME_RULES.MAX_LENGTH - suffix.length).join('').trim()
+    const candidate = `${base}${suffix}`
+    const skeleton = getNicknameSkeleton(candidate)
+    if (!taken.has(skeleton) && isAllowed(candidate, role)) {
+      suggestions.push(candidate)
+      taken.add(skeleton)
+    }
+  }
+  return suggestions
+}
+
+// Aplicar a política completa
+// room pode ser null (sala ainda não criada); role decide o acesso aos nomes reservados
+// Retorna { nickname } (já normalizado) ou { error: { code, message, suggestions? } }
+const checkNickname = ({ nickname: raw, room, playerId, role }) => {
+  const { nickname, error } = normalizeNickname(raw)
+  if (error) return { error }
+
+  const skeleton = getNicknameSkeleton(nickname)
+
+  if (matchesAny(nickname, NICKNAME_CONFIG.BLOCKLIST)) {
+    return { error: { code: ERROR_CODES.NICKNAME_BLOCKED, message: 'Este nickname não é permitido' } }
+  }
+
+  if (!isStaff({ role }) && matchesAny(nickname, NICKNAME_CONFIG.RESERVED)) {
+    return { error: { code: ERROR_CODES.NICKNAME_RESERVED, message: 'Este nickname é reservado para a equipe' } }
+  }
+
+  const taken = getTakenSkeletons(room, playerId)
+  if (taken.has(skeleton)) {
+    return {
+      error: {
+        code: ERROR_CODES.NICKNAME_TAKEN,
+        message: `"${nickname}" já está em uso nesta sala`,
+        suggestions: suggestNicknames(nickname, taken, role)
+      }
+    }
+  }
+
+  return { nickname }
+}
+
+module.exports = {
+  DEFAULT_BLOCKLIST,
+  DEFAULT_RESERVED,
+  DEFAULT_ALLOWLIST,
+  NICKNAME_CONFIG,
+  checkNickname
+}
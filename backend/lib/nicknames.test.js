@@ -0,0 +1,71 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { ERROR_CODES } = require('../../src/shared/events')
+const { ROLES } = require('../../src/shared/roles')
+const { NICKNAME_CONFIG, DEFAULT_BLOCKLIST, DEFAULT_RESERVED, DEFAULT_ALLOWLIST, checkNickname } = require('./nicknames')
+
+const check = (nickname, { room = null, role = ROLES.GUEST } = {}) => checkNickname({ nickname, room, playerId: 'self', role })
+const codeOf = (nickname, options) => {
+  const { error } = check(nickname, options)
+  return error ? error.code : null
+}
+
+test.beforeEach(() => {
+  Object.assign(NICKNAME_CONFIG, { BLOCKLIST: DEFAULT_BLOCKLIST, RESERVED: DEFAULT_RESERVED, ALLOWLIST: DEFAULT_ALLOWLIST })
+})
+
+test('nomes comuns que contêm um termo curto são aceitos', () => {
+  const names = ['Nazira', 'Nazim', 'Nazaré', 'Ghostly', 'Hostilio', 'Modesto', 'Scunthorpe', 'Shitake', 'Putin', 'Fdpaula', 'Cornélio']
+  names.forEach(name => assert.equal(codeOf(name), null, name))
+})
+
+test('termo curto bloqueia como palavra inteira, com sósias e números no fim', () => {
+  ['nazi', 'N4zi', 'Nazi 88', 'nazi88', 'Ana_nazi', 'fuck', 'FDP'].forEach(name => {
+    assert.equal(codeOf(name), ERROR_CODES.NICKNAME_BLOCKED, name)
+  })
+})
+
+test('termo longo bloqueia em qualquer parte do nome', () => {
+  ['merda', 'xMerdax', 'merrrda', 'm3rda', 'Hitlerzinho', 'vai_porra'].forEach(name => {
+    assert.equal(codeOf(name), ERROR_CODES.NICKNAME_BLOCKED, name)
+  })
+})
+
+test('nomes reservados só para host e moderador', () => {
+  ['Admin', 'Adm1n', 'xadminx', 'mod', 'Mod Ana', 'host123', 'Suporte'].forEach(name => {
+    assert.equal(codeOf(name), ERROR_CODES.NICKNAME_RESERVED, name)
+  })
+  assert.equal(codeOf('Host', { role: ROLES.HOST }), null)
+  assert.equal(codeOf('Mod Ana', { role: ROLES.MODERATOR }), null)
+})
+
+test('allowlist libera a palavra e só ela', () => {
+  assert.equal(codeOf('Badminton'), null)
+  assert.equal(codeOf('Staffan'), null)
+  assert.equal(codeOf('admin'), ERROR_CODES.NICKNAME_RESERVED)
+
+  NICKNAME_CONFIG.ALLOWLIST = []
+  assert.equal(codeOf('Badminton'), ERROR_CODES.NICKNAME_RESERVED)
+})
+
+test('blocklist configurada substitui a padrão', () => {
+  NICKNAME_CONFIG.BLOCKLIST = ['bobby']
+  assert.equal(codeOf('Bobby'), ERROR_CODES.NICKNAME_BLOCKED)
+  assert.equal(codeOf('merda'), null)
+})
+
+test('nickname em uso na sala (pelo esqueleto) sugere alternativas livres', () => {
+  const room = { players: { ana: { id: 'ana', nickname: 'Ana' }, ana2: { id: 'ana2', nickname: 'Ana2' } } }
+
+  const { error } = check('4NA', { room })
+  assert.equal(error.code, ERROR_CODES.NICKNAME_TAKEN)
+  assert.deepEqual(error.suggestions, ['4NA3', '4NA4', '4NA5'])
+
+  // O próprio player (re-join) não conta como outro
+  assert.deepEqual(checkNickname({ nickname: 'Ana', room, playerId: 'ana', role: ROLES.GUEST }), { nickname: 'Ana' })
+})
+
+test('erros de formato vêm da regra compartilhada', () => {
+  assert.equal(codeOf('Ana!'), ERROR_CODES.INVALID_NICKNAME)
+  assert.deepEqual(check('  Ana  '), { nickname: 'Ana' })
+})
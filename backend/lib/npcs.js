@@ -0,0 +1,450 @@
+/**
+ * NPCs simulados no servidor
+ *
+ * Todos os clientes veem o mesmo NPC no mesmo lugar: o servidor roda uma máquina
+ * de estados por NPC e as posições vão nos snapshots junto com os players
+ * (room.npcs, mesmo formato de entidade: id, index, position, rotation, lastUpdate).
+ *
+ * As definições vêm de um arquivo JSON (npcs.file, padrão backend/npcs.json),
+ * validado na subida como a configuração: qualquer erro impede o servidor de subir.
+ * Cada NPC tem modelo, ponto de nascimento, velocidade, tempos parado, uma rotina
+ * (wander: vagar numa área; patrol: percorrer waypoints em ordem) e uma agenda
+ * diária opcional (ex: ficar perto do telão no horário da sessão). O campo
+ * `dialogue` liga o NPC a uma conversa de dialogues.json (ver lib/dialogues.js).
+ *
+ * Estados:
+ * - idle: parado (tempo sorteado em idleDuration ou o `wait` do waypoint)
+ * - wander: caminha até um ponto aleatório da área
+ * - patrol: caminha até o próximo waypoint
+ * - goal: caminha até o ponto da agenda e fica lá até o horário acabar
+ *
+ * Conversando com alguém (talkingTo), o NPC para e olha para o player.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { DEFAULT_ROOM_ID, addNpcToRoom } = require('./rooms')
+const { NPC_KIND, NPC_ID_PREFIX } = require('../../src/shared/npcs')
+
+const NPC_STATES = {
+  IDLE: 'idle',
+  WANDER: 'wander',
+  PATROL: 'patrol',
+  GOAL: 'goal'
+}
+
+const NPC_CONFIG = {
+  ENABLED: true,
+  TICK_MS: 100, // Passo da simulação (os snapshots saem no stateSyncInterval)
+  ARRIVAL_DISTANCE: 0.1, // Perto assim do destino conta como chegou
+  DEFAULT_MODEL: '/NPCHead.glb',
+  TIMEZONE: null, // Fuso da agenda (IANA, ex: America/Sao_Paulo); null = fuso do servidor
+  DEFINITIONS: [] // Preenchido por loadNpcDefinitions
+}
+
+const NPC_LIMITS = {
+  ID: /^[a-z0-9_-]{1,24}$/i,
+  NAME_MAX_LENGTH: 24,
+  MAX_SPEED: 10, // Unidades/s
+  TIME: /^([01]\d|2[0-3]):([0-5]\d)$/ // HH:MM
+}
+
+const DEFINITION_KEYS = ['id', 'name', 'model', 'rooms', 'spawn', 'speed', 'idleDuration', 'wander', 'patrol', 'schedule', 'dialogue']
+
+// ===== Carregamento e validação =====
+
+// Caminho relativo é a partir de backend/ (como o config.yaml)
+const resolveNpcFile = (file) => path.resolve(path.join(__dirname, '..'), file)
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+const checkUnknownKeys = (value, allowed, where, errors) => {
+  Object.keys(value).forEach(key => {
+    if (!allowed.includes(key)) errors.push(`${where}: chave desconhecida "${key}"`)
+  })
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// { x, z } (y opcional) -> ponto normalizado ou null
+const readPoint = (value, where, errors, { withY = false, extraKeys = [] } = {}) => {
+  if (!isObject(value) || !isNumber(value.x) || !isNumber(value.z) || (value.y !== undefined && !isNumber(value.y))) {
+    errors.push(`${where}: esperado ponto { x, ${withY ? 'y?, ' : ''}z } com números, recebido ${JSON.stringify(value)}`)
+    return null
+  }
+  checkUnknownKeys(value, ['x', 'y', 'z'].concat(extraKeys), where, errors)
+  return withY ? { x: value.x, y: value.y === undefined ? 1 : value.y, z: value.z } : { x: value.x, z: value.z }
+}
+
+// [mín, máx] com mín <= máx
+const readRange = (value, where, errors, { integer = false } = {}) => {
+  const valid = Array.isArray(value) && value.length === 2 &&
+    value.every(item => isNumber(item) && item >= 0 && (!integer || Number.isInteger(item))) &&
+    value[0] <= value[1]
+  if (!valid) {
+    errors.push(`${where}: esperado [mín, máx] com ${integer ? 'inteiros' : 'números'} >= 0 e mín <= máx, recebido ${JSON.stringify(value)}`)
+    return null
+  }
+  return [value[0], value[1]]
+}
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = NPC_LIMITS.TIME.exec(time)
+  return Number(hours) * 60 + Number(minutes)
+}
+
+const readWander = (value, where, errors) => {
+  if (!isObject(value)) {
+    errors.push(`${where}: esperado objeto { radius, center? }`)
+    return null
+  }
+  checkUnknownKeys(value, ['radius', 'center'], where, errors)
+  return {
+    radius: readRange(value.radius, `${where}.radius`, errors),
+    center: value.center === undefined ? null : readPoint(value.center, `${where}.center`, errors)
+  }
+}
+
+const readPatrol = (value, where, errors) => {
+  if (!isObject(value) || !Array.isArray(value.waypoints) || value.waypoints.length < 2) {
+    errors.push(`${where}: esperado objeto { waypoints } com pelo menos 2 pontos`)
+    return null
+  }
+  checkUnknownKeys(value, ['waypoints'], where, errors)
+  return {
+    waypoints: value.waypoints.map((waypoint, index) => {
+      const at = `${where}.waypoints[${index}]`
+      const point = readPoint(waypoint, at, errors, { extraKeys: ['wait'] })
+      if (!point) return null
+      if (waypoint.wait !== undefined && !(Number.isInteger(waypoint.wait) && waypoint.wait >= 0)) {
+        errors.push(`${at}.wait: esperado inteiro >= 0 (ms), recebido ${JSON.stringify(waypoint.wait)}`)
+      }
+      return { x: point.x, z: point.z, wait: waypoint.wait === undefined ? null : waypoint.wait }
+    })
+  }
+}
+
+const readScheduleEntry = (value, where, errors) => {
+  if (!isObject(value)) {
+    errors.push(`${where}: esperado objeto { from, to, position, radius?, lookAt?, label? }`)
+    return null
+  }
+  checkUnknownKeys(value, ['from', 'to', 'position', 'radius', 'lookAt', 'label'], where, errors)
+
+  const times = ['from', 'to'].map(key => {
+    if (typeof value[key] === 'string' && NPC_LIMITS.TIME.test(value[key])) return toMinutes(value[key])
+    errors.push(`${where}.${key}: esperado horário HH:MM, recebido ${JSON.stringify(value[key])}`)
+    return null
+  })
+  if (times[0] !== null && times[0] === times[1]) {
+    errors.push(`${where}: from e to iguais (${value.from})`)
+  }
+  if (value.radius !== undefined && !(isNumber(value.radius) && value.radius >= 0)) {
+    errors.push(`${where}.radius: esperado número >= 0, recebido ${JSON.stringify(value.radius)}`)
+  }
+  if (value.label !== undefined && typeof value.label !== 'string') {
+    errors.push(`${where}.label: esperado texto`)
+  }
+
+  return {
+    from: times[0],
+    to: times[1], // from > to: atravessa a meia-noite (ex: 23:00 -> 01:00)
+    position: readPoint(value.position, `${where}.position`, errors),
+    radius: value.radius === undefined ? 0 : value.radius,
+    lookAt: value.lookAt === undefined ? null : readPoint(value.lookAt, `${where}.lookAt`, errors),
+    label: value.label || null
+  }
+}
+
+// Validar uma definição e preencher os padrões
+const readDefinition = (value, where, errors) => {
+  if (!isObject(value)) {
+    errors.push(`${where}: esperado objeto`)
+    return null
+  }
+  checkUnknownKeys(value, DEFINITION_KEYS, where, errors)
+
+  if (typeof value.id !== 'string' || !NPC_LIMITS.ID.test(value.id)) {
+    errors.push(`${where}.id: esperado texto com letras, números, _ ou - (até 24), recebido ${JSON.stringify(value.id)}`)
+  }
+  if (typeof value.name !== 'string' || !value.name.trim() || value.name.length > NPC_LIMITS.NAME_MAX_LENGTH) {
+    errors.push(`${where}.name: esperado texto de 1 a ${NPC_LIMITS.NAME_MAX_LENGTH} caracteres, recebido ${JSON.stringify(value.name)}`)
+  }
+  if (value.model !== undefined && !(typeof value.model === 'string' && /^\/.+\.(glb|gltf)$/.test(value.model))) {
+    errors.push(`${where}.model: esperado caminho de um .glb/.gltf em public/ (ex: /NPCHead.glb), recebido ${JSON.stringify(value.model)}`)
+  }
+  if (value.rooms !== undefined && !(Array.isArray(value.rooms) && value.rooms.length > 0 && value.rooms.every(room => typeof room === 'string' && room.trim()))) {
+    errors.push(`${where}.rooms: esperado lista de ids de sala, recebido ${JSON.stringify(value.rooms)}`)
+  }
+  if (!(isNumber(value.speed) && value.speed > 0 && value.speed <= NPC_LIMITS.MAX_SPEED)) {
+    errors.push(`${where}.speed: esperado número > 0 e <= ${NPC_LIMITS.MAX_SPEED}, recebido ${JSON.stringify(value.speed)}`)
+  }
+  if ((value.wander === undefined) === (value.patrol === undefined)) {
+    errors.push(`${where}: defina exatamente uma rotina, wander ou patrol`)
+  }
+  if (value.schedule !== undefined && !Array.isArray(value.schedule)) {
+    errors.push(`${where}.schedule: esperado lista de horários`)
+  }
+  if (value.dialogue !== undefined && !(typeof value.dialogue === 'string' && value.dialogue.trim())) {
+    errors.push(`${where}.dialogue: esperado id de um diálogo de dialogues.json, recebido ${JSON.stringify(value.dialogue)}`)
+  }
+
+  return {
+    id: value.id,
+    name: typeof value.name === 'string' ? value.name.trim() : value.name,
+    model: value.model || NPC_CONFIG.DEFAULT_MODEL,
+    rooms: value.rooms || [DEFAULT_ROOM_ID],
+    spawn: readPoint(value.spawn, `${where}.spawn`, errors, { withY: true }),
+    speed: value.speed,
+    idleDuration: readRange(value.idleDuration, `${where}.idleDuration`, errors, { integer: true }),
+    wander: value.wander === undefined ? null : readWander(value.wander, `${where}.wander`, errors),
+    patrol: value.patrol === undefined ? null : readPatrol(value.patrol, `${where}.patrol`, errors),
+    schedule: Array.isArray(value.schedule)
+      ? value.schedule.map((entry, index) => readScheduleEntry(entry, `${where}.schedule[${index}]`, errors))
+      : [],
+    dialogue: value.dialogue || null
+  }
+}
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format()
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// Ler e validar o arquivo de definições
+// Retorna { definitions, timezone, errors } (errors vazio = arquivo válido)
+const loadNpcDefinitions = (file) => {
+  const errors = []
+  const resolved = resolveNpcFile(file)
+  const fail = (message) => ({ definitions: [], timezone: null, errors: [`${resolved}: ${message}`] })
+
+  let data
+  try {
+    data = JSON.parse(fs.readFileSync(resolved, 'utf8'))
+  } catch (error) {
+    return fail(`não foi possível ler as definições de NPC (${error.message})`)
+  }
+
+  if (!isObject(data) || !Array.isArray(data.npcs)) {
+    return fail('esperado um objeto { timezone?, npcs: [...] }')
+  }
+  checkUnknownKeys(data, ['timezone', 'npcs'], resolved, errors)
+
+  if (data.timezone !== undefined && !(typeof data.timezone === 'string' && isValidTimeZone(data.timezone))) {
+    errors.push(`${resolved}: timezone: esperado fuso IANA (ex: America/Sao_Paulo), recebido ${JSON.stringify(data.timezone)}`)
+  }
+
+  const definitions = data.npcs.map((value, index) => readDefinition(value, `${resolved}: npcs[${index}]`, errors))
+
+  // Ids repetidos colidiriam em room.npcs
+  const seen = new Set()
+  definitions.forEach((definition, index) => {
+    if (!definition || typeof definition.id !== 'string') return
+    if (seen.has(definition.id)) errors.push(`${resolved}: npcs[${index}].id: "${definition.id}" repetido`)
+    seen.add(definition.id)
+  })
+
+  return { definitions, timezone: data.timezone || null, errors }
+}
+
+// ===== Agenda =====
+
+const clockFormats = {} // { timeZone: Intl.DateTimeFormat } (criar um formatador é caro)
+
+// Minuto do dia (0 a 1439) no fuso da agenda
+const getMinuteOfDay = (now = Date.now()) => {
+  const date = new Date(now)
+  if (!NPC_CONFIG.TIMEZONE) return date.getHours() * 60 + date.getMinutes()
+
+  if (!clockFormats[NPC_CONFIG.TIMEZONE]) {
+    clockFormats[NPC_CONFIG.TIMEZONE] = new Intl.DateTimeFormat('en-US', {
+      timeZone: NPC_CONFIG.TIMEZONE, hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+    })
+  }
+  const parts = clockFormats[NPC_CONFIG.TIMEZONE].formatToParts(date)
+  const part = (type) => Number(parts.find(item => item.type === type).value)
+  return part('hour') * 60 + part('minute')
+}
+
+const isScheduleActive = (entry, minuteOfDay) => {
+  if (entry.from < entry.to) return minuteOfDay >= entry.from && minuteOfDay < entry.to
+  return minuteOfDay >= entry.from || minuteOfDay < entry.to
+}
+
+const getActiveScheduleEntry = (definition, minuteOfDay) => {
+  return definition.schedule.find(entry => isScheduleActive(entry, minuteOfDay)) || null
+}
+
+// ===== Simulação =====
+
+const randomBetween = ([min, max]) => min + Math.random() * (max - min)
+
+// Ponto aleatório a uma distância entre min e max de center
+const randomPointAround = (center, [min, max]) => {
+  const angle = Math.random() * Math.PI * 2
+  const distance = randomBetween([min, max])
+  return { x: center.x + Math.cos(angle) * distance, z: center.z + Math.sin(angle) * distance }
+}
+
+const createNpc = (definition, now) => ({
+  id: `${NPC_ID_PREFIX}${definition.id}`,
+  kind: NPC_KIND,
+  nickname: definition.name,
+  model: definition.model,
+  characterType: 0,
+  position: { x: definition.spawn.x, y: definition.spawn.y, z: definition.spawn.z },
+  rotation: { x: 0, y: 0, z: 0 },
+  lastUpdate: now,
+  definition,
+  state: NPC_STATES.IDLE,
+  target: null,
+  stateUntil: now + randomBetween(definition.idleDuration),
+  waypointIndex: 0,
+  scheduleEntry: null, // Horário da agenda em andamento
+  talkingTo: new Set() // Players com o diálogo aberto
+})
+
+// Criar os NPCs configurados para a sala, uma vez (cada sala tem as suas instâncias)
+const spawnRoomNpcs = (room, now = Date.now()) => {
+  if (room.npcsSpawned) return
+  room.npcsSpawned = true
+  NPC_CONFIG.DEFINITIONS
+    .filter(definition => definition.rooms.includes(room.id))
+    .forEach(definition => addNpcToRoom(room, createNpc(definition, now)))
+}
+
+const startIdle = (npc, now, duration = randomBetween(npc.definition.idleDuration)) => {
+  npc.state = NPC_STATES.IDLE
+  npc.target = null
+  npc.stateUntil = now + duration
+}
+
+// Fim do idle: seguir a rotina (próximo waypoint ou ponto aleatório da área)
+const pickNextState = (npc) => {
+  const { definition } = npc
+
+  if (definition.patrol) {
+    npc.state = NPC_STATES.PATROL
+    npc.target = definition.patrol.waypoints[npc.waypointIndex]
+  } else {
+    npc.state = NPC_STATES.WANDER
+    npc.target = randomPointAround(definition.wander.center || definition.spawn, definition.wander.radius)
+  }
+  npc.stateUntil = null
+}
+
+// Horário da agenda começou: ir até o ponto (espalhado em radius para não empilhar)
+const startGoal = (npc, entry) => {
+  npc.state = NPC_STATES.GOAL
+  npc.target = entry.radius > 0 ? randomPointAround(entry.position, [0, entry.radius]) : entry.position
+  npc.stateUntil = null
+}
+
+// Chegou ao destino
+const arrive = (npc, now) => {
+  if (npc.state === NPC_STATES.GOAL) {
+    // Fica até o horário acabar, olhando para o lookAt (ex: o telão)
+    startIdle(npc, now, Infinity)
+    const { lookAt } = npc.scheduleEntry
+    if (!lookAt) return false
+    npc.rotation = { x: 0, y: Math.atan2(lookAt.x - npc.position.x, lookAt.z - npc.position.z), z: 0 }
+    npc.lastUpdate = now
+    return true
+  }
+
+  if (npc.state === NPC_STATES.PATROL) {
+    const { waypoints } = npc.definition.patrol
+    const { wait } = waypoints[npc.waypointIndex]
+    npc.waypointIndex = (npc.waypointIndex + 1) % waypoints.length
+    startIdle(npc, now, wait === null ? undefined : wait)
+    return false
+  }
+
+  startIdle(npc, now)
+  return false
+}
+
+// Avançar um passo da simulação
+// minuteOfDay: calculado uma vez por tick para todos os NPCs (getMinuteOfDay)
+// Retorna true se a posição/rotação mudou (precisa ir no snapshot)
+const tickNpc = (npc, now, deltaMs = NPC_CONFIG.TICK_MS, minuteOfDay = getMinuteOfDay(now)) => {
+  if (npc.talkingTo.size > 0) return false
+
+  // A agenda tem prioridade sobre a rotina; ao terminar, a rotina continua de onde está
+  const entry = getActiveScheduleEntry(npc.definition, minuteOfDay)
+  if (entry !== npc.scheduleEntry) {
+    npc.scheduleEntry = entry
+    if (entry) startGoal(npc, entry)
+    else startIdle(npc, now)
+  }
+
+  if (npc.state === NPC_STATES.IDLE) {
+    if (now >= npc.stateUntil) pickNextState(npc)
+    return false
+  }
+
+  const dx = npc.target.x - npc.position.x
+  const dz = npc.target.z - npc.position.z
+  const distance = Math.sqrt(dx * dx + dz * dz)
+
+  if (distance <= NPC_CONFIG.ARRIVAL_DISTANCE) return arrive(npc, now)
+
+  const step = Math.min(distance, npc.definition.speed * (deltaMs / 1000))
+  npc.position = {
+    x: npc.position.x + (dx / distance) * step,
+    y: npc.position.y,
+    z: npc.position.z + (dz / distance) * step
+  }
+  npc.rotation = { x: 0, y: Math.atan2(dx, dz), z: 0 } // Olhando para onde anda
+  npc.lastUpdate = now
+  return true
+}
+
+// ===== Interação =====
+
+// NPC com diálogo mais próximo da posição, até maxDistance (ou null)
+const findInteractableNpc = (room, position, maxDistance) => {
+  let nearest = null
+  let nearestDistance = maxDistance
+  Object.values(room.npcs).forEach(npc => {
+    if (!npc.definition.dialogue) return
+    const distance = Math.sqrt((npc.position.x - position.x) ** 2 + (npc.position.z - position.z) ** 2)
+    if (distance <= nearestDistance) {
+      nearest = npc
+      nearestDistance = distance
+    }
+  })
+  return nearest
+}
+
+// Player abriu o diálogo: parar e olhar para ele
+// Retorna true (rotação mudou, precisa ir no snapshot)
+const startTalking = (npc, player, now = Date.now()) => {
+  npc.talkingTo.add(player.id)
+  npc.rotation = { x: 0, y: Math.atan2(player.position.x - npc.position.x, player.position.z - npc.position.z), z: 0 }
+  npc.lastUpdate = now
+  return true
+}
+
+// Player fechou o diálogo (ou saiu): sem ninguém conversando, o NPC volta à agenda ou à rotina
+const stopTalking = (npc, playerId, now = Date.now()) => {
+  if (!npc.talkingTo.delete(playerId) || npc.talkingTo.size > 0) return
+  if (npc.scheduleEntry) startGoal(npc, npc.scheduleEntry)
+  else startIdle(npc, now)
+}
+
+module.exports = {
+  NPC_STATES,
+  NPC_CONFIG,
+  loadNpcDefinitions,
+  getMinuteOfDay,
+  spawnRoomNpcs,
+  tickNpc,
+  findInteractableNpc,
+  startTalking,
+  stopTalking
+}
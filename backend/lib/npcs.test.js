@@ -0,0 +1,117 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { loadNpcDefinitions } = require('./npcs')
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'npcs-test-'))
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+let fileCount = 0
+const load = (data) => {
+  const file = path.join(tempDir, `npcs-${fileCount++}.json`)
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data))
+  return loadNpcDefinitions(file)
+}
+
+const validNpc = (overrides = {}) => Object.assign({
+  id: 'guia',
+  name: 'Guia',
+  spawn: { x: 1, z: 2 },
+  speed: 1.5,
+  idleDuration: [1000, 2000],
+  wander: { radius: [1, 3] }
+}, overrides)
+
+test('npcs.json do repositório é válido', () => {
+  const { definitions, errors } = loadNpcDefinitions('npcs.json')
+  assert.deepEqual(errors, [])
+  assert.ok(definitions.length > 0)
+})
+
+test('definição mínima recebe os padrões', () => {
+  const { definitions, timezone, errors } = load({ npcs: [validNpc()] })
+  assert.deepEqual(errors, [])
+  assert.equal(timezone, null)
+  assert.deepEqual(definitions[0], {
+    id: 'guia',
+    name: 'Guia',
+    model: '/NPCHead.glb',
+    rooms: ['lobby'],
+    spawn: { x: 1, y: 1, z: 2 },
+    speed: 1.5,
+    idleDuration: [1000, 2000],
+    wander: { radius: [1, 3], center: null },
+    patrol: null,
+    schedule: [],
+    dialogue: null
+  })
+})
+
+test('patrulha e agenda (inclusive atravessando a meia-noite) em minutos do dia', () => {
+  const npc = validNpc({
+    wander: undefined,
+    patrol: { waypoints: [{ x: 0, z: 0, wait: 500 }, { x: 5, z: 0 }] },
+    schedule: [{ from: '23:00', to: '01:30', position: { x: 0, z: 10 }, lookAt: { x: 0, z: 20 }, label: 'show' }]
+  })
+  const { definitions, errors } = load({ timezone: 'America/Sao_Paulo', npcs: [npc] })
+
+  assert.deepEqual(errors, [])
+  assert.deepEqual(definitions[0].patrol.waypoints, [{ x: 0, z: 0, wait: 500 }, { x: 5, z: 0, wait: null }])
+  assert.deepEqual(definitions[0].schedule[0], {
+    from: 23 * 60,
+    to: 90,
+    position: { x: 0, z: 10 },
+    radius: 0,
+    lookAt: { x: 0, z: 20 },
+    label: 'show'
+  })
+})
+
+test('erros apontam o caminho do campo e o valor recebido', () => {
+  const { errors } = load({
+    npcs: [validNpc({ id: 'com espaço', speed: 50, idleDuration: [3000, 1000], model: 'npc.fbx', extra: true })]
+  })
+  const messages = errors.map(error => error.split(': ').slice(1).join(': '))
+
+  assert.equal(errors.length, 5)
+  assert.ok(messages.includes('npcs[0]: chave desconhecida "extra"'))
+  assert.ok(messages.some(message => message.startsWith('npcs[0].id: esperado texto') && message.endsWith('"com espaço"')))
+  assert.ok(messages.some(message => message.startsWith('npcs[0].speed: esperado número > 0 e <= 10')))
+  assert.ok(messages.some(message => message.startsWith('npcs[0].model:')))
+  assert.ok(messages.some(message => message.startsWith('npcs[0].idleDuration: esperado [mín, máx]')))
+})
+
+test('exatamente uma rotina por NPC', () => {
+  const both = load({ npcs: [validNpc({ patrol: { waypoints: [{ x: 0, z: 0 }, { x: 1, z: 1 }] } })] })
+  const none = load({ npcs: [validNpc({ wander: undefined })] })
+  assert.match(both.errors[0], /defina exatamente uma rotina/)
+  assert.match(none.errors[0], /defina exatamente uma rotina/)
+
+  const shortPatrol = load({ npcs: [validNpc({ wander: undefined, patrol: { waypoints: [{ x: 0, z: 0 }] } })] })
+  assert.match(shortPatrol.errors[0], /pelo menos 2 pontos/)
+})
+
+test('agenda com horário inválido ou from igual a to', () => {
+  const { errors } = load({
+    npcs: [validNpc({ schedule: [{ from: '24:00', to: '10:00', position: { x: 0, z: 0 } }, { from: '10:00', to: '10:00', position: { x: 0, z: 0 } }] })]
+  })
+  assert.equal(errors.length, 2)
+  assert.match(errors[0], /schedule\[0\]\.from: esperado horário HH:MM/)
+  assert.match(errors[1], /schedule\[1\]: from e to iguais/)
+})
+
+test('ids repetidos, fuso inválido e chaves desconhecidas no topo', () => {
+  const { errors } = load({ timezone: 'Marte/Olympus', outro: 1, npcs: [validNpc(), validNpc()] })
+  assert.equal(errors.length, 3)
+  assert.ok(errors.some(error => /chave desconhecida "outro"/.test(error)))
+  assert.ok(errors.some(error => /timezone: esperado fuso IANA/.test(error)))
+  assert.ok(errors.some(error => /npcs\[1\]\.id: "guia" repetido/.test(error)))
+})
+
+test('arquivo ausente, malformado ou sem lista de npcs', () => {
+  assert.match(loadNpcDefinitions(path.join(tempDir, 'nao-existe.json')).errors[0], /não foi possível ler/)
+  assert.match(load('{ npcs: ').errors[0], /não foi possível ler/)
+  assert.match(load({ npc: [] }).errors[0], /esperado um objeto \{ timezone\?, npcs: \[\.\.\.\] \}/)
+})
@@ -0,0 +1,71 @@
+/**
+ * Presença dos players: ativo, inativo, ausente e desconectado
+ *
+ * Substitui a remoção por falta de playerMove: o cliente para de enviar enquanto
+ * está pausado, então silêncio não quer dizer que ele saiu.
+ *
+ * - ativo: se moveu (ou falou no chat) nos últimos IDLE_TIMEOUT ms
+ * - inativo: continua mandando heartbeat, mas está parado
+ * - ausente: informou pausa/aba oculta ou ficou AWAY_TIMEOUT ms sem heartbeat
+ * - desconectado: socket caiu e a sessão aguarda retomada (expira pelo lib/sessions.js)
+ *
+ * Só quem fica REMOVE_TIMEOUT ms sem heartbeat (com o socket aberto) é removido da sala.
+ */
+
+const { PRESENCE_STATES } = require('../../src/shared/presence')
+
+const PRESENCE_CONFIG = {
+  IDLE_TIMEOUT: 60000, // Parado por 1 minuto: inativo
+  AWAY_TIMEOUT: 10000, // Sem heartbeat por 10 segundos: ausente
+  REMOVE_TIMEOUT: 15 * 60 * 1000 // Sem heartbeat por 15 minutos: removido da sala
+}
+
+const initPresence = (player, now = Date.now()) => {
+  player.presence = PRESENCE_STATES.ACTIVE
+  player.lastActivity = now
+  player.awayReported = false
+}
+
+// Movimento, chat ou volta da pausa
+const recordActivity = (player, now = Date.now()) => {
+  player.lastActivity = now
+}
+
+// Estado informado pelo cliente (evento 'presence'): ausente ao pausar, ativo ao voltar
+const reportPresence = (player, state, now = Date.now()) => {
+  player.awayReported = state === PRESENCE_STATES.AWAY
+  if (!player.awayReported) {
+    player.lastUpdate = now
+    recordActivity(player, now)
+  }
+}
+
+const getPresence = (player, now = Date.now()) => {
+  if (player.disconnectedAt) return PRESENCE_STATES.DISCONNECTED
+  if (player.awayReported || now - player.lastUpdate > PRESENCE_CONFIG.AWAY_TIMEOUT) return PRESENCE_STATES.AWAY
+  if (now - player.lastActivity > PRESENCE_CONFIG.IDLE_TIMEOUT) return PRESENCE_STATES.IDLE
+  return PRESENCE_STATES.ACTIVE
+}
+
+// Recalcular o estado; retorna true se mudou (a sala precisa ser avisada)
+const updatePresence = (player, now = Date.now()) => {
+  const state = getPresence(player, now)
+  if (state === player.presence) return false
+  player.presence = state
+  return true
+}
+
+// Conectado, mas sem heartbeat há tempo demais
+// Desconectados não entram aqui: expiram pelo período de graça da sessão
+const isPresenceExpired = (player, now = Date.now()) => {
+  return !player.disconnectedAt && now - player.lastUpdate > PRESENCE_CONFIG.REMOVE_TIMEOUT
+}
+
+module.exports = {
+  PRESENCE_CONFIG,
+  initPresence,
+  recordActivity,
+  reportPresence,
+  updatePresence,
+  isPresenceExpired
+}
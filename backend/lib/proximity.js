@@ -0,0 +1,79 @@
+/**
+ * Modo de proximidade
+ *
+ * Eventos "locais" (chat, etc.) só chegam para players dentro de um raio
+ * do remetente, calculado com a posição autoritativa (room.players[id].position).
+ * Zonas nomeadas (ex: palco na frente do telão) ignoram a distância:
+ * todo mundo dentro da mesma zona se ouve.
+ */
+
+const PROXIMITY_CONFIG = {
+  ENABLED: false, // Desligado por padrão (chat vai para a sala toda)
+  RADIUS: 15 // Raio de alcance (unidades do mundo)
+}
+
+// Zonas retangulares no plano XZ (y é ignorado)
+// Palco: área na frente do VideoScreen (telão em [0, 8, 28], virado para o centro)
+const ZONES = [
+  { id: 'stage', name: 'Palco', minX: -14, maxX: 14, minZ: 12, maxZ: 28 }
+]
+
+// Zona em que a posição está (ou null)
+const getZoneAt = (position) => {
+  if (!position) return null
+  return ZONES.find(zone =>
+    position.x >= zone.minX && position.x <= zone.maxX &&
+    position.z >= zone.minZ && position.z <= zone.maxZ
+  ) || null
+}
+
+const distanceXZ = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.z - b.z) ** 2)
+
+// Players que devem receber um evento local do remetente (inclui o próprio remetente)
+const getLocalRecipients = (room, senderId, radius = PROXIMITY_CONFIG.RADIUS) => {
+  const sender = room.players[senderId]
+  if (!sender) return []
+
+  const senderZone = getZoneAt(sender.position)
+  const recipients = []
+
+  Object.values(room.players).forEach(player => {
+    if (player.id === senderId) {
+      recipients.push(player.id)
+      return
+    }
+
+    const sameZone = senderZone && getZoneAt(player.position) === senderZone
+    if (sameZone || distanceXZ(sender.position, player.position) <= radius) {
+      recipients.push(player.id)
+    }
+  })
+
+  return recipients
+}
+
+// Emitir evento local (sala toda se o modo de proximidade estiver desligado)
+const emitLocal = (io, room, senderId, event, payload) => {
+  if (!PROXIMITY_CONFIG.ENABLED) {
+    io.to(room.id).emit(event, payload)
+    return
+  }
+
+  const recipients = getLocalRecipients(room, senderId)
+  if (recipients.length > 0) {
+    // Cada socket está no próprio room (socket.id), então dá para emitir para a lista
+    io.to(recipients).emit(event, payload)
+  }
+}
+
+// Dados públicos da zona (enviados para o cliente no zoneChanged)
+const serializeZone = (zone) => zone ? { id: zone.id, name: zone.name } : null
+
+module.exports = {
+  PROXIMITY_CONFIG,
+  ZONES,
+  getZoneAt,
+  getLocalRecipients,
+  emitLocal,
+  serializeZone
+}
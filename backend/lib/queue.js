@@ -0,0 +1,92 @@
+/**
+ * Fila de espera por sala (sala cheia)
+ *
+ * Quem tenta entrar numa sala cheia entra em uma fila ordenada (room.queue) e
+ * recebe a posição e uma estimativa de espera. Quando um slot abre (saída,
+ * queda depois do período de graça, heartbeat, kick) o primeiro da fila entra.
+ *
+ * A estimativa usa o intervalo médio entre as últimas saídas da sala
+ * (room.departures); com pouco histórico, DEFAULT_WAIT_PER_POSITION por posição.
+ */
+
+const QUEUE_CONFIG = {
+  MAX_SIZE: 20, // Pessoas na fila por sala (fila cheia = ROOM_FULL)
+  DEFAULT_WAIT_PER_POSITION: 60000, // Estimativa sem histórico de saídas (ms)
+  DEPARTURE_HISTORY: 10, // Saídas recentes usadas na estimativa
+  MIN_DEPARTURES: 2 // Abaixo disso a média não diz nada: usar o padrão
+}
+
+// Índice reverso: em qual fila cada socket está
+const queuedSockets = {} // { socketId: roomId }
+
+const getQueuedRoomId = (socketId) => queuedSockets[socketId] || null
+
+// Colocar o socket no fim da fila
+// request: { nickname, characterType, role } já validados no join
+// Retorna a posição (1 = próximo) ou null se a fila estiver cheia
+const enqueue = (room, socketId, request, now = Date.now()) => {
+  if (room.queue.length >= QUEUE_CONFIG.MAX_SIZE) return null
+
+  room.queue.push({ socketId, request, enqueuedAt: now })
+  queuedSockets[socketId] = room.id
+  return room.queue.length
+}
+
+// Tirar o socket da fila (desistiu, desconectou ou pediu outra sala)
+// Retorna true se ele estava nesta fila
+const dequeue = (room, socketId) => {
+  const index = room.queue.findIndex(entry => entry.socketId === socketId)
+  if (queuedSockets[socketId] === room.id) delete queuedSockets[socketId]
+  if (index === -1) return false
+
+  room.queue.splice(index, 1)
+  return true
+}
+
+// Próximo da fila (removido dela)
+const shiftQueue = (room) => {
+  const entry = room.queue.shift()
+  if (entry && queuedSockets[entry.socketId] === room.id) delete queuedSockets[entry.socketId]
+  return entry || null
+}
+
+// Registrar que um slot abriu (base da estimativa de espera)
+const recordDeparture = (room, now = Date.now()) => {
+  room.departures.push(now)
+  if (room.departures.length > QUEUE_CONFIG.DEPARTURE_HISTORY) {
+    room.departures.shift()
+  }
+}
+
+// Tempo médio entre saídas (ms)
+const getWaitPerPosition = (room, now) => {
+  const { departures } = room
+  if (departures.length < QUEUE_CONFIG.MIN_DEPARTURES) return QUEUE_CONFIG.DEFAULT_WAIT_PER_POSITION
+
+  // Conta o tempo desde a última saída: sala parada não deve parecer rápida
+  const span = now - departures[0]
+  return Math.max(1000, Math.round(span / departures.length))
+}
+
+// Posição e espera estimada de cada um na fila
+const getQueueStatus = (room, now = Date.now()) => {
+  const waitPerPosition = getWaitPerPosition(room, now)
+  return room.queue.map((entry, index) => ({
+    socketId: entry.socketId,
+    roomId: room.id,
+    roomName: room.name,
+    position: index + 1,
+    size: room.queue.length,
+    estimatedWait: (index + 1) * waitPerPosition
+  }))
+}
+
+module.exports = {
+  QUEUE_CONFIG,
+  getQueuedRoomId,
+  enqueue,
+  dequeue,
+  shiftQueue,
+  recordDeparture,
+  getQueueStatus
+}
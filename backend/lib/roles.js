@@ -0,0 +1,131 @@
+/**
+ * Papéis (host, moderador, convidado) e comandos de moderação
+ *
+ * O papel vem de uma chave enviada no join (staffKey) e conferida aqui com as
+ * chaves do servidor (HOST_KEY e MODERATOR_KEYS, separadas por vírgula).
+ * O cliente só mostra o badge: toda permissão é verificada no servidor.
+ *
+ * Comandos chegam como mensagem de chat começando com "/" e nunca são repassados.
+ * Nicknames com espaço podem vir entre aspas ("/kick "John Doe" spam") ou direto
+ * (vale o nickname mais longo que casa com as primeiras palavras, ver takePlayerArg).
+ */
+
+const crypto = require('crypto')
+const { ROLES } = require('../../src/shared/roles')
+
+const ROLE_LEVELS = {
+  [ROLES.GUEST]: 0,
+  [ROLES.MODERATOR]: 1,
+  [ROLES.HOST]: 2
+}
+
+const parseKeys = (value) => (value || '').split(',').map(key => key.trim()).filter(Boolean)
+
+const ROLE_CONFIG = {
+  HOST_KEYS: parseKeys(process.env.HOST_KEY),
+  MODERATOR_KEYS: parseKeys(process.env.MODERATOR_KEYS),
+  DEFAULT_MUTE_MINUTES: 5,
+  MAX_MUTE_MINUTES: 24 * 60
+}
+
+// Comandos disponíveis (todos exigem moderador ou acima)
+const COMMANDS = {
+  kick: { usage: '/kick <nick> [motivo]', minArgs: 1 },
+  mute: { usage: '/mute <nick> [minutos] (0 = desfazer)', minArgs: 1 },
+  teleport: { usage: '/teleport <nick> <x> <z> | /teleport <nick> <destino>', minArgs: 2 },
+  freeze: { usage: '/freeze <nick> (de novo para liberar)', minArgs: 1 },
+  announce: { usage: '/announce <mensagem>', minArgs: 1 }
+}
+
+const matchesKey = (candidate, keys) => {
+  const received = crypto.createHash('sha256').update(candidate).digest()
+  return keys.some(key => crypto.timingSafeEqual(crypto.createHash('sha256').update(key).digest(), received))
+}
+
+// Papel correspondente à chave (null = chave informada mas inválida)
+const resolveRole = (staffKey) => {
+  if (staffKey === undefined || staffKey === null || staffKey === '') return ROLES.GUEST
+  if (typeof staffKey !== 'string') return null
+  if (matchesKey(staffKey, ROLE_CONFIG.HOST_KEYS)) return ROLES.HOST
+  if (matchesKey(staffKey, ROLE_CONFIG.MODERATOR_KEYS)) return ROLES.MODERATOR
+  return null
+}
+
+const isStaff = (player) => ROLE_LEVELS[player.role] >= ROLE_LEVELS[ROLES.MODERATOR]
+
+// Moderador age sobre convidados; host age sobre todos (menos outros hosts)
+const canModerate = (actor, target) => {
+  if (!isStaff(actor) || actor.id === target.id) return false
+  return ROLE_LEVELS[actor.role] > ROLE_LEVELS[target.role || ROLES.GUEST]
+}
+
+// Argumento entre aspas (pode ter espaços) ou palavra solta
+const COMMAND_ARG = /"([^"]*)"|(\S+)/g
+
+// "/mute bob 10" -> { name: 'mute', args: ['bob', '10'], rest: 'bob 10' } (null se não é comando)
+// '/mute "John Doe" 10' -> args: ['John Doe', '10']; rest é o texto após o nome do comando
+const parseCommand = (text) => {
+  if (typeof text !== 'string' || !text.startsWith('/')) return null
+
+  const body = text.slice(1).trim()
+  const [rawName] = body.split(/\s+/)
+  const rest = body.slice(rawName.length).trim()
+  const args = [...rest.matchAll(COMMAND_ARG)].map(([, quoted, word]) => quoted !== undefined ? quoted : word).filter(Boolean)
+  return { name: rawName.toLowerCase(), args, rest }
+}
+
+// Players da sala com o nickname (sem diferenciar maiúsculas) ou id
+const getPlayersByName = (room, name) => {
+  if (room.players[name]) return [room.players[name]]
+
+  const wanted = name.toLowerCase()
+  return Object.values(room.players).filter(player => player.nickname.toLowerCase() === wanted)
+}
+
+const resolveMatches = (matches, name) => {
+  if (matches.length === 0) return { error: `Player "${name}" não encontrado` }
+  if (matches.length > 1) return { error: `Mais de um player chamado "${name}"` }
+  return { player: matches[0] }
+}
+
+// Player da sala pelo nickname ou id
+// Retorna { player } ou { error }
+const findPlayerByName = (room, name) => resolveMatches(getPlayersByName(room, name), name)
+
+// Player citado no início dos argumentos ("John Doe 10" -> John Doe, resto ['10'])
+// Tenta o nome mais longo primeiro: "Ana" e "Ana Paula" na sala, "/kick Ana Paula" pega Ana Paula
+// Retorna { player, args } (args sem o nome) ou { error }
+const takePlayerArg = (room, args) => {
+  for (let count = args.length; count > 0; count--) {
+    const name = args.slice(0, count).join(' ')
+    const matches = getPlayersByName(room, name)
+    if (matches.length > 0) {
+      const { player, error } = resolveMatches(matches, name)
+      return error ? { error } : { player, args: args.slice(count) }
+    }
+  }
+  return { error: `Player "${args[0] || ''}" não encontrado` }
+}
+
+const getMuteDuration = (value) => {
+  if (value === undefined) return ROLE_CONFIG.DEFAULT_MUTE_MINUTES * 60000
+  const minutes = Number(value)
+  if (!Number.isFinite(minutes) || minutes < 0 || minutes > ROLE_CONFIG.MAX_MUTE_MINUTES) return null
+  return minutes * 60000
+}
+
+const isMuted = (player, now = Date.now()) => !!player.mutedUntil && player.mutedUntil > now
+
+module.exports = {
+  ROLES,
+  ROLE_CONFIG,
+  COMMANDS,
+  resolveRole,
+  isStaff,
+  canModerate,
+  parseCommand,
+  findPlayerByName,
+  takePlayerArg,
+  getMuteDuration,
+  isMuted
+}
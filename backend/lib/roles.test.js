@@ -0,0 +1,38 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseCommand, takePlayerArg } = require('./roles')
+
+const room = {
+  players: {
+    s1: { id: 's1', nickname: 'Ana' },
+    s2: { id: 's2', nickname: 'Ana Paula' },
+    s3: { id: 's3', nickname: 'John Doe' },
+    s4: { id: 's4', nickname: 'Bia' },
+    s5: { id: 's5', nickname: 'bia' }
+  }
+}
+
+test('comando separa nome e argumentos, com aspas para texto com espaço', () => {
+  assert.deepEqual(parseCommand('/Kick  John Doe'), { name: 'kick', args: ['John', 'Doe'], rest: 'John Doe' })
+  assert.deepEqual(parseCommand('/mute "John Doe" 5').args, ['John Doe', '5'])
+  assert.deepEqual(parseCommand('/tp').args, [])
+  assert.equal(parseCommand('oi'), null)
+})
+
+test('alvo com espaço no nickname e o resto dos argumentos', () => {
+  const { player, args } = takePlayerArg(room, ['John', 'Doe', '10', '2'])
+  assert.equal(player.id, 's3')
+  assert.deepEqual(args, ['10', '2'])
+})
+
+test('nome mais longo ganha do prefixo', () => {
+  assert.equal(takePlayerArg(room, ['ana', 'paula']).player.id, 's2')
+  assert.deepEqual(takePlayerArg(room, ['Ana', 'palco']), { player: room.players.s1, args: ['palco'] })
+})
+
+test('alvo ambíguo ou inexistente vira erro', () => {
+  assert.match(takePlayerArg(room, ['BIA']).error, /Mais de um player chamado "BIA"/)
+  assert.equal(takePlayerArg(room, ['s4']).player.nickname, 'Bia') // Pelo id não há ambiguidade
+  assert.match(takePlayerArg(room, ['Carlos', 'Eduardo']).error, /Player "Carlos" não encontrado/)
+  assert.match(takePlayerArg(room, []).error, /não encontrado/)
+})
@@ -0,0 +1,276 @@
+/**
+ * Gerenciamento de salas (rooms)
+ *
+ * Cada sala tem seus próprios players e estado de rate limit.
+ * O id da sala é o mesmo usado no Socket.IO (socket.join(roomId)),
+ * então broadcasts podem ser feitos com io.to(roomId).emit(...)
+ */
+
+const crypto = require('crypto')
+const { promisify } = require('util')
+const { removeFromInterest } = require('./interest')
+const { createSnapshotState } = require('./snapshots')
+
+const DEFAULT_ROOM_ID = 'lobby'
+const DEFAULT_ROOM_NAME = 'Lobby'
+
+// Limites de criação de sala
+const ROOM_LIMITS = {
+  NAME_MAX_LENGTH: 32,
+  PASSWORD_MAX_LENGTH: 64,
+  DEFAULT_CAPACITY: 50,
+  MIN_CAPACITY: 2,
+  MAX_CAPACITY: 100,
+  MAX_ROOMS: 200, // Salas abertas ao mesmo tempo (lobby incluído)
+  CREATE_WINDOW: 60 * 1000, // Janela do limite de criação por endereço (ms)
+  MAX_CREATES_PER_WINDOW: 5,
+  EMPTY_ROOM_TTL: 5 * 60 * 1000 // Salas criadas e nunca usadas somem após 5 minutos
+}
+
+// Apenas letras, números, - e _ (evita ids estranhos nos rooms do Socket.IO)
+const ROOM_ID_PATTERN = /^[a-z0-9_-]{1,32}$/
+
+// Armazenar salas ativas
+const rooms = {} // { roomId: { id, name, maxPlayers, passwordHash, players: {}, playerUpdateRate: {}, chatHistory: [], chatRate: {}, grid, playerCells: {}, interest: {}, snapshots: {}, queue: [], departures: [], npcs: {}, createdAt, lastActivity } }
+
+// Índice reverso: em qual sala cada socket está
+const playerRooms = {} // { socketId: roomId }
+
+// Criações recentes por endereço (POST /rooms não tem login)
+const roomCreations = new Map() // address -> [time]
+
+// scrypt assíncrono: o hash roda fora do event loop
+const scrypt = promisify(crypto.scrypt)
+
+// Normalizar id da sala (retorna null se inválido)
+const normalizeRoomId = (roomId) => {
+  if (roomId === undefined || roomId === null || roomId === '') return DEFAULT_ROOM_ID
+  if (typeof roomId !== 'string') return null
+
+  const normalized = roomId.trim().toLowerCase()
+  return ROOM_ID_PATTERN.test(normalized) ? normalized : null
+}
+
+const getRoom = (roomId) => rooms[roomId] || null
+
+// Hash da senha com salt (nunca guardar senha em texto puro)
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex')
+  const hash = (await scrypt(password, salt, 32)).toString('hex')
+  return `${salt}:${hash}`
+}
+
+const checkRoomPassword = async (room, password) => {
+  if (!room.passwordHash) return true
+  if (typeof password !== 'string' || password.length === 0) return false
+
+  const [salt, hash] = room.passwordHash.split(':')
+  const candidate = await scrypt(password, salt, 32)
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'))
+}
+
+const getOrCreateRoom = (roomId, options = {}) => {
+  if (!rooms[roomId]) {
+    const now = Date.now()
+    rooms[roomId] = {
+      id: roomId,
+      name: options.name || (roomId === DEFAULT_ROOM_ID ? DEFAULT_ROOM_NAME : roomId),
+      maxPlayers: options.maxPlayers || ROOM_LIMITS.DEFAULT_CAPACITY,
+      passwordHash: options.passwordHash || null,
+      players: {},
+      playerUpdateRate: {},
+      chatHistory: [], // Últimas mensagens do chat (ver lib/chat.js)
+      chatRate: {}, // { socketId: [timestamps] }
+      grid: new Map(), // Grid espacial da área de interesse (ver lib/interest.js)
+      playerCells: {}, // { socketId: cellKey }
+      interest: {}, // { socketId: Set<socketId> }
+      snapshots: {}, // { socketId: estado dos snapshots delta (ver lib/snapshots.js) }
+      queue: [], // Fila de espera quando cheia (ver lib/queue.js)
+      npcs: {}, // { npcId: npc } simulados no servidor (ver lib/npcs.js)
+      npcsSpawned: false,
+      departures: [], // Horários das últimas saídas (estimativa de espera da fila)
+      createdAt: now,
+      lastActivity: now
+    }
+  }
+  return rooms[roomId]
+}
+
+// Gerar id a partir do nome ("Show de Sexta" -> "show-de-sexta")
+const slugify = (name) => {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remover acentos
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 24)
+}
+
+const isRoomLimitReached = () => Object.keys(rooms).length >= ROOM_LIMITS.MAX_ROOMS
+
+// Registrar pedido de criação do endereço (false = passou do limite na janela)
+const recordRoomCreation = (address, now = Date.now()) => {
+  const history = (roomCreations.get(address) || []).filter(time => now - time < ROOM_LIMITS.CREATE_WINDOW)
+  const allowed = history.length < ROOM_LIMITS.MAX_CREATES_PER_WINDOW
+  if (allowed) history.push(now)
+  roomCreations.set(address, history)
+  return allowed
+}
+
+// Criar sala a partir do fluxo de criação (REST)
+// Retorna { room } ou { error, status? } (status HTTP quando não é erro de validação)
+const createRoom = async ({ name, maxPlayers, password } = {}) => {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return { error: 'Nome da sala inválido' }
+  }
+  const trimmedName = name.trim().slice(0, ROOM_LIMITS.NAME_MAX_LENGTH)
+
+  let capacity = ROOM_LIMITS.DEFAULT_CAPACITY
+  if (maxPlayers !== undefined && maxPlayers !== null && maxPlayers !== '') {
+    capacity = Number(maxPlayers)
+    if (!Number.isInteger(capacity) || capacity < ROOM_LIMITS.MIN_CAPACITY || capacity > ROOM_LIMITS.MAX_CAPACITY) {
+      return { error: `Capacidade deve ser entre ${ROOM_LIMITS.MIN_CAPACITY} e ${ROOM_LIMITS.MAX_CAPACITY}` }
+    }
+  }
+
+  if (password !== undefined && password !== null && typeof password !== 'string') {
+    return { error: 'Senha inválida' }
+  }
+  if (password && password.length > ROOM_LIMITS.PASSWORD_MAX_LENGTH) {
+    return { error: 'Senha muito longa' }
+  }
+
+  const limitError = { error: 'Limite de salas abertas atingido, tente mais tarde', status: 503 }
+  if (isRoomLimitReached()) return limitError
+
+  const passwordHash = password ? await hashPassword(password) : null
+  // Outras salas podem ter sido criadas enquanto o hash rodava
+  if (isRoomLimitReached()) return limitError
+
+  const baseId = slugify(trimmedName) || 'sala'
+  let roomId = baseId
+  // Se já existe, adicionar sufixo aleatório
+  while (rooms[roomId]) {
+    roomId = `${baseId}-${crypto.randomBytes(2).toString('hex')}`
+  }
+
+  const room = getOrCreateRoom(roomId, { name: trimmedName, maxPlayers: capacity, passwordHash })
+  return { room }
+}
+
+const isRoomFull = (room) => Object.keys(room.players).length >= room.maxPlayers
+
+// Sala em que o socket está (ou null se ainda não entrou)
+const getPlayerRoom = (socketId) => {
+  const roomId = playerRooms[socketId]
+  return roomId ? getRoom(roomId) : null
+}
+
+// Menor índice numérico livre na sala (usado no formato binário no lugar do socket id)
+// NPCs usam o mesmo espaço de índices (vão nos mesmos snapshots)
+const allocatePlayerIndex = (room) => {
+  const used = new Set(Object.values(room.players).concat(Object.values(room.npcs)).map(entity => entity.index))
+  let index = 0
+  while (used.has(index)) index++
+  return index
+}
+
+const addPlayerToRoom = (room, player) => {
+  room.lastActivity = Date.now()
+  player.index = allocatePlayerIndex(room)
+  room.players[player.id] = player
+  room.playerUpdateRate[player.id] = {
+    lastUpdate: Date.now(),
+    updateCount: 0,
+    windowStart: Date.now()
+  }
+  room.snapshots[player.id] = createSnapshotState()
+  playerRooms[player.id] = room.id
+}
+
+const addNpcToRoom = (room, npc) => {
+  npc.index = allocatePlayerIndex(room)
+  room.npcs[npc.id] = npc
+}
+
+// Remover player da sala (retorna a sala de onde saiu, ou null)
+// keepRoom: re-join na mesma sala (a sala vazia não some no meio da troca)
+const removePlayerFromRoom = (socketId, { keepRoom = false } = {}) => {
+  const room = getPlayerRoom(socketId)
+  delete playerRooms[socketId]
+  if (!room) return null
+
+  delete room.players[socketId]
+  delete room.playerUpdateRate[socketId]
+  delete room.chatRate[socketId]
+  delete room.snapshots[socketId]
+  removeFromInterest(room, socketId)
+  room.lastActivity = Date.now()
+
+  // Sala padrão nunca é removida; com fila, o próximo vai ocupar o slot
+  if (!keepRoom && room.id !== DEFAULT_ROOM_ID && Object.keys(room.players).length === 0 && room.queue.length === 0) {
+    delete rooms[room.id]
+  }
+
+  return room
+}
+
+const listRooms = () => Object.values(rooms)
+
+// Remover salas vazias que ficaram sem uso (ex: criadas pelo browser mas ninguém entrou)
+const pruneEmptyRooms = (now = Date.now()) => {
+  listRooms().forEach(room => {
+    if (room.id === DEFAULT_ROOM_ID) return
+    if (Object.keys(room.players).length > 0 || room.queue.length > 0) return
+    if (now - room.lastActivity > ROOM_LIMITS.EMPTY_ROOM_TTL) {
+      delete rooms[room.id]
+    }
+  })
+
+  // Endereços sem criação recente saem do limite
+  roomCreations.forEach((history, address) => {
+    if (history.every(time => now - time >= ROOM_LIMITS.CREATE_WINDOW)) roomCreations.delete(address)
+  })
+}
+
+// Dados públicos da sala (nunca expor o hash da senha)
+const serializeRoom = (room) => ({
+  id: room.id,
+  name: room.name,
+  players: Object.keys(room.players).length,
+  maxPlayers: room.maxPlayers,
+  queued: room.queue.length,
+  hasPassword: !!room.passwordHash
+})
+
+// Contagem de players por sala (usado no /health)
+const getRoomCounts = () => {
+  const counts = {}
+  listRooms().forEach(room => {
+    counts[room.id] = Object.keys(room.players).length
+  })
+  return counts
+}
+
+// Sala padrão sempre existe
+getOrCreateRoom(DEFAULT_ROOM_ID)
+
+module.exports = {
+  DEFAULT_ROOM_ID,
+  ROOM_LIMITS,
+  normalizeRoomId,
+  getRoom,
+  createRoom,
+  recordRoomCreation,
+  checkRoomPassword,
+  isRoomFull,
+  getPlayerRoom,
+  addPlayerToRoom,
+  addNpcToRoom,
+  removePlayerFromRoom,
+  listRooms,
+  pruneEmptyRooms,
+  serializeRoom,
+  getRoomCounts
+}
@@ -0,0 +1,83 @@
+/**
+ * Sessões retomáveis (reconexão)
+ *
+ * No join o player recebe um token. Se a conexão cair, o slot dele (id, nickname,
+ * personagem, última posição) continua na sala durante o período de graça.
+ * Reconectando com o token (resumeSession), o novo socket assume o mesmo player:
+ * os outros não veem ele sair nem entrar de novo.
+ */
+
+const crypto = require('crypto')
+
+const SESSION_CONFIG = {
+  GRACE_PERIOD: 30000, // Slot guardado após a queda (ms)
+  TOKEN_BYTES: 24
+}
+
+const sessions = new Map() // token -> { token, playerId, expiresAt, timer }
+const playerSessions = new Map() // playerId -> token
+
+const getSession = (token) => {
+  if (typeof token !== 'string') return null
+  return sessions.get(token) || null
+}
+
+const getPlayerSession = (playerId) => {
+  const token = playerSessions.get(playerId)
+  return token ? sessions.get(token) || null : null
+}
+
+// Encerrar a sessão do player (saiu da sala, expirou ou foi removido)
+const endSession = (playerId) => {
+  const session = getPlayerSession(playerId)
+  playerSessions.delete(playerId)
+  if (!session) return
+
+  clearTimeout(session.timer)
+  sessions.delete(session.token)
+}
+
+// Nova sessão no join (substitui a anterior do mesmo player)
+const createSession = (playerId) => {
+  endSession(playerId)
+
+  const token = crypto.randomBytes(SESSION_CONFIG.TOKEN_BYTES).toString('base64url')
+  sessions.set(token, { token, playerId, expiresAt: null, timer: null })
+  playerSessions.set(playerId, token)
+  return token
+}
+
+// Conexão caiu: manter o slot até o fim do período de graça
+// onExpire(playerId) é chamado se ninguém retomar a sessão a tempo
+const suspendSession = (playerId, onExpire) => {
+  const session = getPlayerSession(playerId)
+  if (!session) return false
+
+  clearTimeout(session.timer)
+  session.expiresAt = Date.now() + SESSION_CONFIG.GRACE_PERIOD
+  session.timer = setTimeout(() => {
+    endSession(playerId)
+    onExpire(playerId)
+  }, SESSION_CONFIG.GRACE_PERIOD)
+  return true
+}
+
+// Reconexão com token: cancelar a expiração (retorna a sessão ou null)
+const resumeSession = (token) => {
+  const session = getSession(token)
+  if (!session) return null
+
+  clearTimeout(session.timer)
+  session.timer = null
+  session.expiresAt = null
+  return session
+}
+
+module.exports = {
+  SESSION_CONFIG,
+  createSession,
+  getPlayerSession,
+  suspendSession,
+  resumeSession,
+  endSession
+}
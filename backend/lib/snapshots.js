@@ -0,0 +1,133 @@
+/**
+ * Snapshots sequenciados com compressão delta
+ *
+ * Cada cliente tem seu próprio estado de snapshot:
+ * - seq: número sequencial do último snapshot enviado
+ * - ackedSeq: último snapshot confirmado pelo cliente (snapshotAck)
+ * - history: estados enviados recentemente (seq -> Map<id, estado>)
+ *
+ * O delta é calculado contra o último snapshot confirmado: vão apenas os players
+ * que mudaram desde então (players e NPCs). Dados estáticos (nickname, characterType) só vão
+ * quando o player aparece pela primeira vez para aquele cliente.
+ * Sem ack (ou após pedido de resync), o snapshot é completo (full).
+ * Com o ack atrasado, deltas seguidos têm a mesma base: o cliente aplica cada um sobre
+ * a sua cópia do snapshot base (baseSeq), não sobre o último recebido (src/shared/snapshots.js).
+ */
+
+const SNAPSHOT_CONFIG = {
+  HISTORY_SIZE: 32, // Snapshots guardados por cliente esperando ack (~5s a 150ms)
+  POSITION_THRESHOLD: 0.005, // Mudança mínima para considerar posição alterada
+  ROTATION_THRESHOLD: 0.005 // Mudança mínima para considerar rotação alterada
+}
+
+const createSnapshotState = () => ({
+  seq: 0,
+  ackedSeq: null,
+  history: new Map() // Map<seq, Map<playerId, { x, y, z, ry, lastUpdate }>>
+})
+
+const captureState = (player) => ({
+  x: player.position.x,
+  y: player.position.y,
+  z: player.position.z,
+  ry: player.rotation.y,
+  lastUpdate: player.lastUpdate
+})
+
+const hasChanged = (previous, current) => {
+  return Math.abs(previous.x - current.x) > SNAPSHOT_CONFIG.POSITION_THRESHOLD ||
+    Math.abs(previous.y - current.y) > SNAPSHOT_CONFIG.POSITION_THRESHOLD ||
+    Math.abs(previous.z - current.z) > SNAPSHOT_CONFIG.POSITION_THRESHOLD ||
+    Math.abs(previous.ry - current.ry) > SNAPSHOT_CONFIG.ROTATION_THRESHOLD
+}
+
+// Montar o próximo snapshot para um cliente a partir dos players visíveis
+const buildSnapshot = (state, visiblePlayers, now = Date.now()) => {
+  const base = state.ackedSeq !== null ? state.history.get(state.ackedSeq) : null
+  const current = new Map()
+  const players = []
+
+  visiblePlayers.forEach(player => {
+    if (!player) return
+    const captured = captureState(player)
+    current.set(player.id, captured)
+
+    const previous = base ? base.get(player.id) : null
+
+    if (!previous) {
+      // Primeira aparição (ou snapshot completo): dados estáticos + dinâmicos
+      players.push({
+        id: player.id,
+        nickname: player.nickname,
+        characterType: player.characterType,
+        role: player.role,
+        presence: player.presence,
+        kind: player.kind, // 'npc' para NPCs (players não têm)
+        model: player.model,
+        position: player.position,
+        rotation: player.rotation,
+        lastUpdate: player.lastUpdate
+      })
+    } else if (hasChanged(previous, captured)) {
+      players.push({
+        id: player.id,
+        position: player.position,
+        rotation: player.rotation,
+        lastUpdate: player.lastUpdate
+      })
+    }
+  })
+
+  // Players que estavam no snapshot base e não estão mais visíveis
+  const removed = []
+  if (base) {
+    base.forEach((_, id) => {
+      if (!current.has(id)) removed.push(id)
+    })
+  }
+
+  state.seq += 1
+  state.history.set(state.seq, current)
+
+  // Descartar histórico antigo (se o cliente não confirmar, cai para full)
+  if (state.history.size > SNAPSHOT_CONFIG.HISTORY_SIZE) {
+    const oldestSeq = state.history.keys().next().value
+    state.history.delete(oldestSeq)
+    if (state.ackedSeq === oldestSeq) state.ackedSeq = null
+  }
+
+  return {
+    seq: state.seq,
+    baseSeq: base ? state.ackedSeq : null,
+    full: !base,
+    serverTime: now,
+    players,
+    removed
+  }
+}
+
+// Cliente confirmou o snapshot seq (vira a nova base dos deltas)
+const acknowledgeSnapshot = (state, seq) => {
+  if (typeof seq !== 'number' || !state.history.has(seq)) return
+  if (state.ackedSeq !== null && seq <= state.ackedSeq) return
+
+  state.ackedSeq = seq
+
+  // Snapshots mais antigos que o ack não servem mais de base
+  state.history.forEach((_, historySeq) => {
+    if (historySeq < seq) state.history.delete(historySeq)
+  })
+}
+
+// Cliente detectou buraco na sequência: próximo snapshot vai completo
+const requestFullSnapshot = (state) => {
+  state.ackedSeq = null
+}
+
+module.exports = {
+  SNAPSHOT_CONFIG,
+  createSnapshotState,
+  buildSnapshot,
+  acknowledgeSnapshot,
+  requestFullSnapshot
+}
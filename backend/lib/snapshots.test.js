@@ -0,0 +1,167 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  SNAPSHOT_CONFIG,
+  createSnapshotState,
+  buildSnapshot,
+  acknowledgeSnapshot,
+  requestFullSnapshot
+} = require('./snapshots')
+const { createSnapshotHistory, applySnapshot } = require('../../src/shared/snapshots')
+
+const createPlayer = (id, x = 0, z = 0) => ({
+  id,
+  nickname: id,
+  characterType: 0,
+  role: 'guest',
+  presence: 'active',
+  position: { x, y: 1, z },
+  rotation: { x: 0, y: 0, z: 0 },
+  lastUpdate: 1000
+})
+
+test('sem ack o snapshot é completo, com dados estáticos', () => {
+  const state = createSnapshotState()
+  const snapshot = buildSnapshot(state, [createPlayer('ana'), createPlayer('bia')], 5000)
+
+  assert.equal(snapshot.seq, 1)
+  assert.equal(snapshot.full, true)
+  assert.equal(snapshot.baseSeq, null)
+  assert.equal(snapshot.serverTime, 5000)
+  assert.deepEqual(snapshot.players.map(player => player.nickname), ['ana', 'bia'])
+  assert.deepEqual(snapshot.removed, [])
+})
+
+test('depois do ack só vão os players que mudaram', () => {
+  const state = createSnapshotState()
+  const ana = createPlayer('ana')
+  const bia = createPlayer('bia')
+  const first = buildSnapshot(state, [ana, bia])
+  acknowledgeSnapshot(state, first.seq)
+
+  bia.position = { x: 2, y: 1, z: 0 }
+  const delta = buildSnapshot(state, [ana, bia])
+
+  assert.equal(delta.full, false)
+  assert.equal(delta.baseSeq, first.seq)
+  assert.deepEqual(delta.players.map(player => player.id), ['bia'])
+  assert.equal(delta.players[0].nickname, undefined) // Estáticos já foram no snapshot base
+})
+
+test('mudança abaixo do limite não entra no delta', () => {
+  const state = createSnapshotState()
+  const ana = createPlayer('ana')
+  acknowledgeSnapshot(state, buildSnapshot(state, [ana]).seq)
+
+  ana.position = { x: SNAPSHOT_CONFIG.POSITION_THRESHOLD / 2, y: 1, z: 0 }
+  assert.deepEqual(buildSnapshot(state, [ana]).players, [])
+})
+
+test('player que saiu da visão vai em removed; o que entrou vai com estáticos', () => {
+  const state = createSnapshotState()
+  acknowledgeSnapshot(state, buildSnapshot(state, [createPlayer('ana')]).seq)
+
+  const delta = buildSnapshot(state, [createPlayer('bia')])
+  assert.deepEqual(delta.removed, ['ana'])
+  assert.equal(delta.players[0].nickname, 'bia')
+})
+
+test('ack antigo, repetido ou desconhecido é ignorado', () => {
+  const state = createSnapshotState()
+  const ana = createPlayer('ana')
+  buildSnapshot(state, [ana])
+  buildSnapshot(state, [ana])
+
+  acknowledgeSnapshot(state, 2)
+  acknowledgeSnapshot(state, 1)
+  acknowledgeSnapshot(state, 99)
+  acknowledgeSnapshot(state, '2')
+
+  assert.equal(state.ackedSeq, 2)
+  assert.deepEqual([...state.history.keys()], [2]) // Anteriores ao ack não servem mais de base
+})
+
+test('pedido de resync volta para snapshot completo', () => {
+  const state = createSnapshotState()
+  acknowledgeSnapshot(state, buildSnapshot(state, [createPlayer('ana')]).seq)
+
+  requestFullSnapshot(state)
+  const snapshot = buildSnapshot(state, [createPlayer('ana')])
+  assert.equal(snapshot.full, true)
+  assert.equal(snapshot.players[0].nickname, 'ana')
+})
+
+test('base que saiu do histórico (cliente sem confirmar) cai para completo', () => {
+  const state = createSnapshotState()
+  const ana = createPlayer('ana')
+  acknowledgeSnapshot(state, buildSnapshot(state, [ana]).seq)
+
+  for (let i = 0; i < SNAPSHOT_CONFIG.HISTORY_SIZE; i++) buildSnapshot(state, [ana])
+
+  assert.equal(state.ackedSeq, null)
+  assert.equal(buildSnapshot(state, [ana]).full, true)
+})
+
+// Cliente que monta cada snapshot sobre a base e confirma um intervalo depois
+// (o ack do snapshot N chega quando o servidor já vai montar o N+2)
+const createLaggingClient = (state) => {
+  const history = createSnapshotHistory()
+  let pendingAck = null
+  return {
+    receive: (visible) => {
+      const snapshot = buildSnapshot(state, visible)
+      const { state: applied } = applySnapshot(history, snapshot)
+      if (pendingAck !== null) acknowledgeSnapshot(state, pendingAck)
+      pendingAck = snapshot.seq
+      return { snapshot, applied }
+    }
+  }
+}
+
+test('ack atrasado: NPC que apareceu e sumiu entre a base e o delta não fica fantasma', () => {
+  const state = createSnapshotState()
+  const client = createLaggingClient(state)
+  const ana = createPlayer('ana')
+  const npc = Object.assign(createPlayer('npc:guia'), { kind: 'npc' })
+
+  client.receive([ana]) // seq 1 (completo)
+  client.receive([ana, npc]) // seq 2, base 1
+  const { snapshot, applied } = client.receive([ana]) // seq 3, base 1: NPC nem está na base
+
+  assert.equal(snapshot.baseSeq, 1)
+  assert.deepEqual(snapshot.removed, [])
+  assert.deepEqual([...applied.keys()], ['ana'])
+  assert.deepEqual([...client.receive([ana]).applied.keys()], ['ana']) // seq 4, base 2
+})
+
+test('ack atrasado: quem saiu e voltou igual à base reaparece', () => {
+  const state = createSnapshotState()
+  const client = createLaggingClient(state)
+  const ana = createPlayer('ana')
+  const bia = createPlayer('bia')
+
+  client.receive([ana, bia]) // seq 1
+  client.receive([ana, bia]) // seq 2, base 1
+  assert.deepEqual([...client.receive([ana]).applied.keys()], ['ana']) // seq 3, base 1: bia saiu
+  const { snapshot, applied } = client.receive([ana, bia]) // seq 4, base 2: bia igual à base
+
+  assert.deepEqual(snapshot.players, [])
+  assert.equal(applied.get('bia').nickname, 'bia')
+  assert.deepEqual(applied.get('bia').position, bia.position)
+})
+
+test('ack atrasado: posição que mudou e voltou ao valor da base é corrigida', () => {
+  const state = createSnapshotState()
+  const client = createLaggingClient(state)
+  const ana = createPlayer('ana')
+
+  client.receive([ana]) // seq 1
+  client.receive([ana]) // seq 2, base 1
+  ana.position = { x: 3, y: 1, z: 0 }
+  assert.equal(client.receive([ana]).applied.get('ana').position.x, 3) // seq 3, base 1
+  ana.position = { x: 0, y: 1, z: 0 }
+  const { snapshot, applied } = client.receive([ana]) // seq 4, base 2: igual à base, não vem no delta
+
+  assert.deepEqual(snapshot.players, [])
+  assert.equal(applied.get('ana').position.x, 0)
+})
@@ -0,0 +1,106 @@
+/**
+ * Anti-cheat: contagem de violações por player numa janela deslizante
+ *
+ * Cada violação (velocidade, teleporte, fora do mapa, excesso de mensagens)
+ * entra no histórico do player e é registrada em log estruturado.
+ * Conforme o total na janela passa dos limites, a sanção escala:
+ *   aviso -> correção forçada de posição -> kick -> ban temporário
+ * O ban acontece quando o mesmo endereço é expulso várias vezes em pouco tempo.
+ */
+
+const { logEvent } = require('./logger')
+
+const VIOLATION_TYPES = {
+  SPEED: 'speed',
+  TELEPORT: 'teleport',
+  OUT_OF_BOUNDS: 'out_of_bounds',
+  RATE_LIMIT: 'rate_limit'
+}
+
+const SANCTIONS = {
+  WARN: 'warn',
+  CORRECT: 'correct',
+  KICK: 'kick',
+  BAN: 'ban'
+}
+
+const VIOLATION_CONFIG = {
+  WINDOW: 60000, // Janela deslizante (ms)
+  WARN_THRESHOLD: 3,
+  CORRECT_THRESHOLD: 6,
+  KICK_THRESHOLD: 12,
+  KICKS_BEFORE_BAN: 2, // Kicks do mesmo endereço...
+  KICK_WINDOW: 10 * 60 * 1000 // ...dentro desta janela
+}
+
+const violations = new Map() // playerId -> [{ type, time }]
+const kicks = new Map() // address -> [time]
+
+const pruneWindow = (entries, window, now, getTime) => {
+  return (entries || []).filter(entry => now - getTime(entry) < window)
+}
+
+// Sanção correspondente ao total de violações na janela (null = só contar)
+const getSanction = (count) => {
+  if (count >= VIOLATION_CONFIG.KICK_THRESHOLD) return SANCTIONS.KICK
+  if (count >= VIOLATION_CONFIG.CORRECT_THRESHOLD) return SANCTIONS.CORRECT
+  // Aviso só ao cruzar o limite (não repetir a cada violação)
+  if (count === VIOLATION_CONFIG.WARN_THRESHOLD) return SANCTIONS.WARN
+  return null
+}
+
+// Kick do endereço: vira ban se ele já foi expulso recentemente
+const recordKick = (address, now) => {
+  if (!address) return SANCTIONS.KICK
+
+  const history = pruneWindow(kicks.get(address), VIOLATION_CONFIG.KICK_WINDOW, now, time => time)
+  history.push(now)
+  kicks.set(address, history)
+  return history.length >= VIOLATION_CONFIG.KICKS_BEFORE_BAN ? SANCTIONS.BAN : SANCTIONS.KICK
+}
+
+// Registrar violação e decidir a sanção
+// Retorna { count, sanction } (count = violações do player na janela)
+const recordViolation = ({ player, roomId, address, type, details }, now = Date.now()) => {
+  const history = pruneWindow(violations.get(player.id), VIOLATION_CONFIG.WINDOW, now, entry => entry.time)
+  history.push({ type, time: now })
+  violations.set(player.id, history)
+
+  const count = history.length
+  let sanction = getSanction(count)
+  if (sanction === SANCTIONS.KICK) {
+    sanction = recordKick(address, now)
+    violations.delete(player.id) // Quem volta depois do kick começa do zero
+  }
+
+  const counts = {}
+  history.forEach(entry => {
+    counts[entry.type] = (counts[entry.type] || 0) + 1
+  })
+
+  logEvent(sanction ? 'warn' : 'info', 'violation', {
+    type,
+    playerId: player.id,
+    nickname: player.nickname,
+    roomId,
+    address,
+    details,
+    count,
+    counts,
+    sanction
+  })
+
+  return { count, sanction }
+}
+
+const clearViolations = (playerId) => {
+  violations.delete(playerId)
+}
+
+module.exports = {
+  VIOLATION_TYPES,
+  SANCTIONS,
+  VIOLATION_CONFIG,
+  recordViolation,
+  clearViolations
+}
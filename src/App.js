@@ -6,13 +6,73 @@ import * as THREE from 'three'
 import Controller from 'ecctrl'
 import CharacterSelection from './components/CharacterSelection'
 import RemotePlayer from './components/RemotePlayer'
+import NPCs from './components/NPCs'
 import JoinAnimation from './components/JoinAnimation'
 import JoinNotification from './components/JoinNotification'
 import ConnectionStatus from './components/ConnectionStatus'
+import UpdateBanner from './components/UpdateBanner'
+import ChatOverlay from './components/ChatOverlay'
+import SpeechBubbles from './components/SpeechBubbles'
 import VideoScreen from './components/VideoScreen'
+import DialoguePanel from './components/DialoguePanel'
 import { useSocket } from './hooks/useSocket'
 import { usePlayers } from './hooks/usePlayers'
 import { PlayerSync } from './hooks/usePlayerSync'
+import { useChat } from './hooks/useChat'
+import { useSpeechBubbles } from './hooks/useSpeechBubbles'
+import { useNpcDialogue } from './hooks/useNpcDialogue'
+import { isBinaryPayload, decodeMoved, decodeSnapshot } from './shared/binaryProtocol'
+import { MOVEMENT_MODES } from './shared/movement'
+import { ERROR_CODES, validateEvent } from './shared/events'
+import { PRESENCE_STATES } from './shared/presence'
+import { NPC_KIND } from './shared/npcs'
+import { createSnapshotHistory, applySnapshot } from './shared/snapshots'
+
+// Converter snapshot binário para o mesmo formato do JSON
+// indexMap: Map<index, id> (índices numéricos do formato binário)
+// Retorna null se vier índice desconhecido (precisa de snapshot completo)
+function decodeBinarySnapshot(buffer, statics, indexMap) {
+  const decoded = decodeSnapshot(buffer)
+  if (!decoded) return null
+
+  // Dados estáticos (primeira aparição) também registram o índice
+  const staticsByIndex = new Map()
+  if (Array.isArray(statics)) {
+    statics.forEach(entry => {
+      if (!entry || typeof entry.index !== 'number' || !entry.id) return
+      indexMap.set(entry.index, entry.id)
+      staticsByIndex.set(entry.index, entry)
+    })
+  }
+
+  const players = []
+  for (const entry of decoded.entries) {
+    const id = indexMap.get(entry.index)
+    if (!id) return null
+
+    const staticData = staticsByIndex.get(entry.index)
+    players.push({
+      id,
+      position: entry.position,
+      rotation: entry.rotation,
+      lastUpdate: entry.lastUpdate,
+      ...(staticData ? { nickname: staticData.nickname, characterType: staticData.characterType, role: staticData.role, presence: staticData.presence, kind: staticData.kind, model: staticData.model } : {})
+    })
+  }
+
+  return {
+    seq: decoded.seq,
+    baseSeq: decoded.baseSeq,
+    full: decoded.full,
+    serverTime: decoded.serverTime,
+    players,
+    removed: decoded.removed.map(index => indexMap.get(index)).filter(Boolean)
+  }
+}
+
+// Erros com event 'join' significam que o join foi recusado (voltar para a seleção)
+// Expulso/banido pelo servidor: a conexão é encerrada e a sessão não pode ser retomada
+const REMOVED_ERROR_CODES = [ERROR_CODES.KICKED, ERROR_CODES.BANNED]
 
 function SceneSetup() {
   const envMap = useEnvironment({ files: '/night.hdr' })
@@ -88,126 +148,6 @@ const FloatingCharacter = React.memo(function FloatingCharacter({ children }) {
   )
 })
 
-// Memoizar NPC para evitar re-renders desnecessários
-const NPC = memo(function NPC({ position = [0, 0, 0] }) {
-  const npcRef = useRef()
-  const floatGroupRef = useRef()
-  const stateRef = useRef('idle') // 'idle' ou 'walking'
-  const timeRef = useRef(0)
-  const floatTimeRef = useRef(0)
-  const idleTimeRef = useRef(0)
-  const walkTimeRef = useRef(0)
-  const currentPosRef = useRef([position[0], position[1], position[2]])
-  const targetPosRef = useRef([position[0], position[1], position[2]])
-  const idleSwayRef = useRef(0)
-  
-  useFrame((state, delta) => {
-    // Flutuação contínua igual ao personagem principal
-    if (floatGroupRef.current) {
-      floatTimeRef.current += delta
-      const floatAmount = Math.sin(floatTimeRef.current * 2) * 0.1
-      floatGroupRef.current.position.y = floatAmount
-    }
-    
-    if (npcRef.current) {
-      timeRef.current += delta
-      
-      if (stateRef.current === 'idle') {
-        idleTimeRef.current += delta
-        idleSwayRef.current += delta * 0.5
-        
-        // Pequenos movimentos sutis quando parado (como Mii do Wii)
-        const swayX = Math.sin(idleSwayRef.current) * 0.05
-        const swayZ = Math.cos(idleSwayRef.current * 0.7) * 0.05
-        
-        npcRef.current.position.set(
-          currentPosRef.current[0] + swayX,
-          currentPosRef.current[1],
-          currentPosRef.current[2] + swayZ
-        )
-        
-        // Pequena rotação sutil
-        npcRef.current.rotation.y = Math.sin(idleSwayRef.current * 0.3) * 0.1
-        
-        // Após 3-5 segundos parado, decide caminhar
-        if (idleTimeRef.current > 3 + Math.random() * 2) {
-          stateRef.current = 'walking'
-          walkTimeRef.current = 0
-          idleTimeRef.current = 0
-          
-          // Define um destino aleatório próximo (2-4 unidades de distância)
-          const angle = Math.random() * Math.PI * 2
-          const distance = 2 + Math.random() * 2
-          targetPosRef.current = [
-            position[0] + Math.cos(angle) * distance,
-            position[1],
-            position[2] + Math.sin(angle) * distance
-          ]
-        }
-      } else if (stateRef.current === 'walking') {
-        walkTimeRef.current += delta
-        
-        // Move suavemente em direção ao alvo
-        const dx = targetPosRef.current[0] - currentPosRef.current[0]
-        const dz = targetPosRef.current[2] - currentPosRef.current[2]
-        const distance = Math.sqrt(dx * dx + dz * dz)
-        
-        if (distance > 0.1) {
-          // Caminha em direção ao alvo
-          const speed = 1.5 * delta
-          currentPosRef.current[0] += (dx / distance) * speed
-          currentPosRef.current[2] += (dz / distance) * speed
-          
-          npcRef.current.position.set(
-            currentPosRef.current[0],
-            currentPosRef.current[1],
-            currentPosRef.current[2]
-          )
-          
-          // Olha na direção do movimento
-          npcRef.current.lookAt(
-            targetPosRef.current[0],
-            currentPosRef.current[1],
-            targetPosRef.current[2]
-          )
-        } else {
-          // Chegou ao destino, volta para idle
-          currentPosRef.current = [...targetPosRef.current]
-          stateRef.current = 'idle'
-          idleTimeRef.current = 0
-          idleSwayRef.current = 0
-        }
-        
-        // Limite de tempo de caminhada (máximo 4 segundos)
-        if (walkTimeRef.current > 4) {
-          currentPosRef.current = [...targetPosRef.current]
-          stateRef.current = 'idle'
-          idleTimeRef.current = 0
-          idleSwayRef.current = 0
-        }
-      }
-    }
-  })
-  
-  return (
-    <group ref={npcRef} position={position}>
-      <group ref={floatGroupRef}>
-        <Gltf 
-          castShadow 
-          receiveShadow 
-          scale={1.15} 
-          src="/NPCHead.glb" 
-        />
-      </group>
-    </group>
-  )
-}, (prevProps, nextProps) => {
-  // Comparação customizada para evitar re-renders desnecessários
-  return prevProps.position[0] === nextProps.position[0] &&
-         prevProps.position[1] === nextProps.position[1] &&
-         prevProps.position[2] === nextProps.position[2]
-})
-
 function PauseMenu({ isPaused, onResume }) {
   if (!isPaused) return null
   
@@ -250,44 +190,126 @@ function PauseMenu({ isPaused, onResume }) {
 
 export default function App() {
   const [isPaused, setIsPaused] = useState(false)
+  const [isChatOpen, setIsChatOpen] = useState(false)
   const [hasJoined, setHasJoined] = useState(false)
-  const [playerData, setPlayerData] = useState(null) // { nickname, characterType }
+  const [playerData, setPlayerData] = useState(null) // { nickname, characterType, roomId, staffKey }
+  const [joinError, setJoinError] = useState(null) // { message, field?, suggestions? } quando o join é recusado
+  const [queueStatus, setQueueStatus] = useState(null) // { roomId, roomName, position, size, estimatedWait } na fila de sala cheia
   const [spawnPosition, setSpawnPosition] = useState([0, 0, 0]) // Posição inicial do player local
+  const [selfId, setSelfId] = useState(null) // Id do próprio player (mantido ao retomar a sessão)
+  const [movementMode, setMovementMode] = useState(MOVEMENT_MODES.CLIENT) // Definido pelo servidor
+  const [movementSession, setMovementSession] = useState(null) // Estado autoritativo no join/retomada
+  const [isFrozen, setIsFrozen] = useState(false) // Congelado por um moderador (/freeze)
+  const [isTabHidden, setIsTabHidden] = useState(document.hidden) // Aba em segundo plano (conta como ausente)
   
   // CORREÇÃO: Ref para o Controller (garantir referência única)
   const controllerRef = useRef()
   
   // Socket.IO e gerenciamento de players
-  const { socket, isConnected } = useSocket()
-  // FASE 2: Nova estrutura - playersList (estático) e getDynamic (dinâmico)
-  const { playersList, getDynamic, addPlayer, updatePlayer, removePlayer, clearPlayers } = usePlayers()
+  const { socket, isConnected, wireFormat, getServerTime, latency, protocolStatus, stateSyncInterval } = useSocket()
+  // FASE 2: Nova estrutura - playersList (estático) e getInterpolated (dinâmico, interpolado)
+  const { playersList, getInterpolated, addPlayer, updatePlayer, setPlayerInterest, renamePlayer, setPlayerPresence, removePlayer, clearPlayers } = usePlayers(getServerTime, stateSyncInterval)
   const playersStaticRef = useRef(playersList)
+  // Snapshots delta: estados aplicados (base dos próximos deltas) e se já pedimos um snapshot completo
+  const snapshotHistoryRef = useRef(createSnapshotHistory())
+  const awaitingFullSnapshotRef = useRef(false)
+  // Formato binário: índice numérico -> socket id
+  const playerIndexRef = useRef(new Map())
+  // Sessão retomável: após reconectar, o socket.id muda mas o id do player continua
+  const selfIdRef = useRef(null)
+  const hasJoinedRef = useRef(false)
+  const joinPayloadRef = useRef(null) // Último join (repetido se a sessão expirar)
+  const sessionTokenRef = useRef(null)
+  const sessionSocketIdRef = useRef(null) // Socket que entrou/retomou a sessão
+  const { messages: chatMessages, zone: chatZone, sendMessage, clearMessages } = useChat(socket)
+  const bubblesByPlayer = useSpeechBubbles(chatMessages)
 
   useEffect(() => {
     playersStaticRef.current = playersList
   }, [playersList])
-  
-  // Estado para animações e notificações de entrada
-  const [joinAnimations, setJoinAnimations] = useState([]) // [{ id, position, timestamp }]
-  const [notifications, setNotifications] = useState([]) // [{ id, nickname, timestamp }]
-  
-  const keyboardMap = [
+
+  // Memoizado: também é usado pelo PlayerSync no modo autoritativo e pelo diálogo com NPCs
+  const keyboardMap = useMemo(() => [
     { name: 'forward', keys: ['ArrowUp', 'KeyW'] },
     { name: 'backward', keys: ['ArrowDown', 'KeyS'] },
     { name: 'leftward', keys: ['ArrowLeft', 'KeyA'] },
     { name: 'rightward', keys: ['ArrowRight', 'KeyD'] },
     { name: 'jump', keys: ['Space'] },
     { name: 'run', keys: ['Shift'] },
-  ]
+    { name: 'interact', keys: ['KeyE'] },
+  ], [])
+  const interactKey = keyboardMap.find(({ name }) => name === 'interact').keys[0].replace(/^Key/, '')
+
+  // Diálogo com NPCs: com o painel aberto o movimento fica pausado como no isPaused
+  // (física parada e teclas suspensas), mas o PlayerSync segue mandando heartbeat (não fica ausente)
+  const { nearbyNpc, dialogue, notice: dialogueNotice, choose: chooseDialogue, close: closeDialogue } = useNpcDialogue(socket, {
+    isInRoom: isConnected && hasJoined,
+    keyboardMap,
+    enabled: hasJoined && !isPaused && !isChatOpen
+  })
+  const isDialogueOpen = dialogue !== null
+  const isMovementPaused = isPaused || isDialogueOpen
+
+  // Refs para o handler de teclado global (evita recriar o listener)
+  const isPausedRef = useRef(isPaused)
+  const isChatOpenRef = useRef(isChatOpen)
+  const isDialogueOpenRef = useRef(isDialogueOpen)
+  const closeDialogueRef = useRef(closeDialogue)
+
+  useEffect(() => {
+    isPausedRef.current = isPaused
+    isChatOpenRef.current = isChatOpen
+    isDialogueOpenRef.current = isDialogueOpen
+    closeDialogueRef.current = closeDialogue
+  }, [isPaused, isChatOpen, isDialogueOpen, closeDialogue])
+
+  // Painel do diálogo precisa do mouse para as escolhas
+  useEffect(() => {
+    if (isDialogueOpen && document.pointerLockElement) {
+      document.exitPointerLock()
+    }
+  }, [isDialogueOpen])
+
+  // Enquanto digita no chat, o KeyboardControls escuta um elemento que nunca recebe eventos
+  // (assim WASD/Space no input não movem o Controller)
+  const suspendedKeyboardTarget = useMemo(() => document.createElement('div'), [])
+  
+  // Estado para animações e notificações de entrada
+  const [joinAnimations, setJoinAnimations] = useState([]) // [{ id, position, timestamp }]
+  const [notifications, setNotifications] = useState([]) // [{ id, nickname, timestamp }]
+  
+  const isAuthoritativeMovement = movementMode === MOVEMENT_MODES.AUTHORITATIVE
   
   useEffect(() => {
     const handleKeyDown = (event) => {
       if (event.key === 'Escape') {
+        // Escape com o chat aberto apenas fecha o chat (não pausa)
+        if (isChatOpenRef.current) {
+          setIsChatOpen(false)
+          return
+        }
+        // Escape com um diálogo aberto encerra a conversa (não pausa)
+        if (isDialogueOpenRef.current) {
+          closeDialogueRef.current()
+          return
+        }
+
         setIsPaused(prev => !prev)
         // Libera o pointer lock quando pausar
         if (document.pointerLockElement) {
           document.exitPointerLock()
         }
+        return
+      }
+
+      // Enter abre o chat (não abre com o jogo pausado nem durante um diálogo)
+      if (event.key === 'Enter' && !isChatOpenRef.current && !isPausedRef.current && !isDialogueOpenRef.current) {
+        event.preventDefault()
+        setIsChatOpen(true)
+        // Libera o pointer lock para poder digitar
+        if (document.pointerLockElement) {
+          document.exitPointerLock()
+        }
       }
     }
     
@@ -299,6 +321,56 @@ export default function App() {
   useEffect(() => {
     if (!socket || !socket.connected) return
 
+    const getSelfId = () => selfIdRef.current || socket.id
+
+    // Evento: Sessão iniciada/retomada (token para reconectar)
+    const handleSessionStarted = ({ playerId, token, movementMode: mode, movement, frozen } = {}) => {
+      if (!playerId || !token) return
+      selfIdRef.current = playerId
+      sessionTokenRef.current = token
+      setSelfId(playerId)
+      setMovementMode(mode === MOVEMENT_MODES.AUTHORITATIVE ? MOVEMENT_MODES.AUTHORITATIVE : MOVEMENT_MODES.CLIENT)
+      setMovementSession(movement || null)
+      setIsFrozen(frozen === true)
+      // Vindo da fila de espera: o slot abriu e o servidor já colocou o player na sala
+      setQueueStatus(null)
+      setHasJoined(true)
+    }
+
+    // Evento: Sala cheia, aguardando na fila (posição muda a cada saída)
+    // hasJoinedRef continua true: se a conexão cair, o join é repetido e volta para a fila
+    const handleQueueUpdate = (status) => {
+      if (!status || typeof status.position !== 'number') return
+      setQueueStatus(status)
+      setHasJoined(false)
+    }
+
+    // Evento: Moderador congelou/liberou o próprio player
+    const handleFrozenChanged = ({ frozen } = {}) => {
+      setIsFrozen(frozen === true)
+    }
+
+    socket.on('sessionStarted', handleSessionStarted)
+    socket.on('frozenChanged', handleFrozenChanged)
+    socket.on('queueUpdate', handleQueueUpdate)
+
+    // Reconectou depois de já ter entrado: retomar a sessão (sem novo join,
+    // animação ou notificação). Sem token, repetir o join com os mesmos dados
+    if (hasJoinedRef.current && sessionSocketIdRef.current !== socket.id) {
+      sessionSocketIdRef.current = socket.id
+      if (sessionTokenRef.current) {
+        socket.emit('resumeSession', { token: sessionTokenRef.current })
+      } else if (joinPayloadRef.current) {
+        socket.emit('join', joinPayloadRef.current)
+      }
+    }
+
+    // Registrar índice numérico do player (usado no formato binário)
+    const registerPlayerIndex = (player) => {
+      if (player && player.id && typeof player.index === 'number') {
+        playerIndexRef.current.set(player.index, player.id)
+      }
+    }
 
     // Evento: Receber lista de players ao conectar
     // CORREÇÃO: Processar TODOS os players, incluindo si mesmo
@@ -306,13 +378,18 @@ export default function App() {
     socket.on('currentPlayers', (playersList) => {
       // Limpar players antigos antes de adicionar novos (evitar duplicatas)
       clearPlayers()
+      // Novo join: servidor recomeça a sequência de snapshots com um completo
+      snapshotHistoryRef.current = createSnapshotHistory()
+      awaitingFullSnapshotRef.current = false
+      playerIndexRef.current.clear()
       
       Object.values(playersList).forEach(player => {
         // Adicionar TODOS os players (incluindo si mesmo para sincronização)
+        registerPlayerIndex(player)
         addPlayer(player)
         
         // Se for o próprio player, usar a posição do servidor para spawn
-        if (player.id === socket.id && player.position) {
+        if (player.id === getSelfId() && player.position) {
           const spawnY = player.position.y === 0 ? 1.0 : player.position.y
           setSpawnPosition([player.position.x, spawnY, player.position.z])
           
@@ -335,8 +412,9 @@ export default function App() {
     // Evento: Novo player entrou
     // CORREÇÃO: Processar apenas se não for o próprio player (evitar duplicatas)
     socket.on('newPlayer', (player) => {
-      if (player.id !== socket.id) {
+      if (player.id !== getSelfId()) {
         // Adicionar player (addPlayer já verifica se existe)
+        registerPlayerIndex(player)
         addPlayer(player)
         
         // Adicionar animação de entrada na posição do player
@@ -359,21 +437,64 @@ export default function App() {
     })
 
     // Evento: Player se moveu (atualizações de baixa latência)
-    socket.on('playerMoved', ({ id, position, rotation }) => {
+    // Formato binário: ArrayBuffer com índice + posição/rotação quantizadas
+    socket.on('playerMoved', (payload) => {
+      let data = payload
+      if (isBinaryPayload(payload)) {
+        const decoded = decodeMoved(payload)
+        if (!decoded) return
+        data = {
+          id: playerIndexRef.current.get(decoded.index),
+          position: decoded.position,
+          rotation: decoded.rotation,
+          lastUpdate: decoded.lastUpdate
+        }
+      }
+
+      const { id, position, rotation, lastUpdate } = data || {}
       if (!id || !position || typeof position.x !== 'number') return
-      updatePlayer(id, position, rotation)
+      updatePlayer(id, position, rotation, lastUpdate)
     })
 
     // Evento: Snapshot completo do estado (servidor autoritativo)
-    const handleStateSnapshot = (snapshot) => {
-      if (!Array.isArray(snapshot)) return
-      const seenIds = new Set()
+    // Snapshot: { seq, baseSeq, full, serverTime, players: [...], removed: [ids] }
+    // Delta: só vêm players que mudaram desde o snapshot base (último confirmado com snapshotAck)
+    // O estado é montado a partir da cópia guardada do snapshot base (ver shared/snapshots.js)
+    const requestFullSnapshot = () => {
+      if (awaitingFullSnapshotRef.current) return
+      awaitingFullSnapshotRef.current = true
+      socket.emit('requestFullSnapshot')
+    }
 
-      snapshot.forEach(player => {
-        if (!player || !player.id || !player.position) return
-        seenIds.add(player.id)
+    const handleStateSnapshot = (payload, statics) => {
+      let snapshot = payload
+      if (isBinaryPayload(payload)) {
+        snapshot = decodeBinarySnapshot(payload, statics, playerIndexRef.current)
+        if (!snapshot) {
+          // Índice desconhecido: pedir snapshot completo (traz os dados estáticos)
+          requestFullSnapshot()
+          return
+        }
+      }
 
-        if (player.id === socket.id) {
+      if (!snapshot || typeof snapshot.seq !== 'number' || !Array.isArray(snapshot.players)) return
+
+      const result = applySnapshot(snapshotHistoryRef.current, snapshot)
+      // Snapshot atrasado/duplicado: ignorar
+      if (result.stale) return
+      // Sem a base (ou player novo sem dados estáticos): pedir snapshot completo
+      if (result.resync) {
+        requestFullSnapshot()
+        return
+      }
+
+      const { state, previous } = result
+      state.forEach((player, playerId) => {
+        // Igual ao último estado aplicado: nada a atualizar
+        if (previous && previous.get(playerId) === player) return
+
+        if (playerId === getSelfId()) {
+          if (!player.position) return
           const spawnY = player.position.y === 0 ? 1.0 : player.position.y
           setSpawnPosition(prev => {
             if (
@@ -388,60 +509,173 @@ export default function App() {
           return
         }
 
-        const hasPlayer = playersStaticRef.current.some(p => p.id === player.id)
+        const hasPlayer = playersStaticRef.current.some(p => p.id === playerId)
         if (!hasPlayer) {
           addPlayer(player)
         }
 
-        updatePlayer(player.id, player.position, player.rotation)
-      })
-
-      playersStaticRef.current.forEach(existing => {
-        if (existing.id === socket.id) return
-        if (!seenIds.has(existing.id)) {
-          removePlayer(existing.id)
+        if (player.position) {
+          updatePlayer(playerId, player.position, player.rotation, player.lastUpdate ?? snapshot.serverTime)
         }
+        setPlayerInterest(playerId, true)
       })
+
+      if (snapshot.full || !previous) {
+        // Quem não veio no snapshot completo está fora da área de interesse (não é desconexão)
+        playersStaticRef.current.forEach(existing => {
+          if (existing.id === getSelfId()) return
+          if (!state.has(existing.id)) {
+            setPlayerInterest(existing.id, false)
+          }
+        })
+      } else {
+        // Saíram da visão desde o último snapshot aplicado
+        previous.forEach((_, playerId) => {
+          if (!state.has(playerId)) setPlayerInterest(playerId, false)
+        })
+      }
+
+      if (snapshot.full) {
+        awaitingFullSnapshotRef.current = false
+      }
+      socket.emit('snapshotAck', { seq: snapshot.seq })
     }
 
     socket.on('stateSnapshot', handleStateSnapshot)
 
+    // Evento: Players entraram na área de interesse (ficam visíveis)
+    const handlePlayersEnteredInterest = (players) => {
+      if (!Array.isArray(players)) return
+      players.forEach(player => {
+        if (!player || !player.id || player.id === getSelfId()) return
+        // Atualizar posição antes de mostrar (RemotePlayer inicializa direto na posição)
+        registerPlayerIndex(player)
+        addPlayer({ ...player, inInterest: true })
+      })
+    }
+
+    // Evento: Players saíram da área de interesse (escondidos, continuam na sala)
+    const handlePlayersLeftInterest = (playerIds) => {
+      if (!Array.isArray(playerIds)) return
+      playerIds.forEach(playerId => setPlayerInterest(playerId, false))
+    }
+
+    socket.on('playersEnteredInterest', handlePlayersEnteredInterest)
+    socket.on('playersLeftInterest', handlePlayersLeftInterest)
+
     // Evento: Player saiu
     socket.on('playerDisconnected', (playerId) => {
       if (playerId) {
         removePlayer(playerId)
+        // Tirar dos snapshots guardados (no binário o servidor não manda removed de quem saiu da sala)
+        snapshotHistoryRef.current.states.forEach(state => state.delete(playerId))
+        // Liberar índice (o servidor pode reutilizar para outro player)
+        playerIndexRef.current.forEach((id, index) => {
+          if (id === playerId) playerIndexRef.current.delete(index)
+        })
       }
     })
 
-    // Evento: Próprio usuário desconectou (limpar todos os players remotos)
+    // Evento: Player renomeado pela moderação (inclusive o próprio)
+    const handlePlayerRenamed = ({ id, nickname } = {}) => {
+      if (!id || typeof nickname !== 'string') return
+      renamePlayer(id, nickname)
+      if (id === getSelfId()) {
+        setPlayerData(prev => prev ? { ...prev, nickname } : prev)
+        if (joinPayloadRef.current) {
+          joinPayloadRef.current = { ...joinPayloadRef.current, nickname }
+        }
+      }
+    }
+
+    socket.on('playerRenamed', handlePlayerRenamed)
+
+    // Evento: Presença de um player mudou (ativo, inativo, ausente, desconectado)
+    const handlePlayerPresence = ({ playerId, state } = {}) => {
+      setPlayerPresence(playerId, state)
+    }
+
+    socket.on('playerPresence', handlePlayerPresence)
+
+    // Evento: Próprio usuário desconectou
+    // Com sessão a retomar, manter os players na tela (sem sumir e reaparecer)
     socket.on('disconnect', () => {
-      clearPlayers()
+      if (!sessionTokenRef.current) {
+        clearPlayers()
+      }
     })
 
     // Evento: Erro
-    socket.on('error', ({ message }) => {
-    })
+    const handleError = ({ code, message, event, field, suggestions } = {}) => {
+      // Token da reconexão não vale mais (período de graça acabou): entrar de novo
+      if (code === ERROR_CODES.SESSION_EXPIRED) {
+        sessionTokenRef.current = null
+        if (joinPayloadRef.current) {
+          socket.emit('join', joinPayloadRef.current)
+        }
+        return
+      }
+
+      // Join recusado (senha errada, sala cheia...): voltar para a seleção de sala
+      if (event === 'join' || REMOVED_ERROR_CODES.includes(code)) {
+        hasJoinedRef.current = false
+        sessionTokenRef.current = null
+        clearPlayers()
+        clearMessages()
+        setJoinAnimations([])
+        setIsChatOpen(false)
+        setJoinError({ message: message || 'Não foi possível entrar na sala', field, suggestions })
+        setQueueStatus(null)
+        setHasJoined(false)
+      }
+    }
+
+    socket.on('error', handleError)
 
     return () => {
+      socket.off('sessionStarted', handleSessionStarted)
+      socket.off('frozenChanged', handleFrozenChanged)
+      socket.off('queueUpdate', handleQueueUpdate)
       socket.off('currentPlayers')
       socket.off('newPlayer')
       socket.off('playerMoved')
       socket.off('playerDisconnected')
+      socket.off('playerRenamed', handlePlayerRenamed)
+      socket.off('playerPresence', handlePlayerPresence)
       socket.off('disconnect')
       socket.off('stateSnapshot', handleStateSnapshot)
-      socket.off('error')
+      socket.off('playersEnteredInterest', handlePlayersEnteredInterest)
+      socket.off('playersLeftInterest', handlePlayersLeftInterest)
+      socket.off('error', handleError)
     }
-  }, [socket, socket?.connected, addPlayer, updatePlayer, removePlayer, clearPlayers])
+  }, [socket, socket?.connected, addPlayer, updatePlayer, setPlayerInterest, renamePlayer, setPlayerPresence, removePlayer, clearPlayers, clearMessages])
   
-  const handleJoin = (nickname, characterType) => {
-    setPlayerData({ nickname, characterType })
+  const handleJoin = (nickname, characterType, room, staffKey) => {
+    // Mesmo schema do servidor (src/shared/events.js): erro aparece sem ir ao servidor
+    const { value: joinPayload, error } = validateEvent('join', {
+      nickname,
+      characterType,
+      roomId: room?.roomId,
+      password: room?.password,
+      staffKey: staffKey || undefined // Chave de host/moderador (conferida no servidor)
+    })
+
+    setPlayerData({ nickname, characterType, roomId: room?.roomId, staffKey })
+    if (error) {
+      setJoinError({ message: error.message, field: error.field })
+      return
+    }
+    setJoinError(null)
     setHasJoined(true)
+    hasJoinedRef.current = true
+    joinPayloadRef.current = joinPayload
     
     // Conectar ao servidor e enviar dados do player
     // Aguardar socket estar conectado antes de enviar
     if (socket) {
       if (socket.connected) {
-        socket.emit('join', { nickname, characterType })
+        sessionSocketIdRef.current = socket.id
+        socket.emit('join', joinPayload)
         
         // Adicionar animação de entrada para o próprio player
         // A posição será definida quando receber currentPlayers do servidor
@@ -455,8 +689,13 @@ export default function App() {
         }])
       } else {
         // Se ainda não conectou, aguardar conexão
+        // (após kick o servidor encerra a conexão e o cliente não reconecta sozinho)
+        if (!socket.active) {
+          socket.connect()
+        }
         socket.once('connect', () => {
-          socket.emit('join', { nickname, characterType })
+          sessionSocketIdRef.current = socket.id
+          socket.emit('join', joinPayload)
           
           // Adicionar animação de entrada para o próprio player
           const initialPosition = { x: 0, y: 0, z: 0 }
@@ -473,6 +712,28 @@ export default function App() {
     }
   }
   
+  // Desistir da fila de espera: volta para o navegador de salas
+  const handleLeaveQueue = () => {
+    hasJoinedRef.current = false
+    if (socket?.connected) {
+      socket.emit('leaveQueue')
+    }
+    setQueueStatus(null)
+  }
+
+  useEffect(() => {
+    const handleVisibilityChange = () => setIsTabHidden(document.hidden)
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange)
+  }, [])
+
+  // Presença: pausado ou com a aba oculta o PlayerSync não envia nada, então avisar
+  // o servidor (os outros veem "ausente" em vez do player sumir). Repetido ao reconectar
+  useEffect(() => {
+    if (!socket || !isConnected || !hasJoined || !selfId) return
+    socket.emit('presence', { state: isPaused || isTabHidden ? PRESENCE_STATES.AWAY : PRESENCE_STATES.ACTIVE })
+  }, [socket, isConnected, hasJoined, selfId, isPaused, isTabHidden])
+
   // Remover animações antigas após duração (2.5 segundos)
   useEffect(() => {
     const interval = setInterval(() => {
@@ -485,7 +746,18 @@ export default function App() {
   
   // Se ainda não entrou, mostrar tela de seleção
   if (!hasJoined) {
-    return <CharacterSelection onJoin={handleJoin} />
+    return (
+      <>
+        <UpdateBanner protocolStatus={protocolStatus} />
+        <CharacterSelection
+          onJoin={handleJoin}
+          joinError={joinError}
+          initialData={playerData}
+          queueStatus={queueStatus}
+          onLeaveQueue={handleLeaveQueue}
+        />
+      </>
+    )
   }
   
   // Determinar qual modelo usar baseado no characterType
@@ -499,7 +771,7 @@ export default function App() {
       <Canvas 
         shadows 
         onPointerDown={(e) => {
-          if (!isPaused) {
+          if (!isPaused && !isChatOpen && !isDialogueOpen) {
             e.target.requestPointerLock()
           }
         }}
@@ -529,10 +801,26 @@ export default function App() {
           height={13.5}
           muted={false} // Com som
         />
-        <Physics timeStep={1/60} gravity={[0, -9.81, 0]} paused={isPaused}>
-          <PhysicsPauser isPaused={isPaused} />
-          <PlayerSync socket={socket} isPaused={isPaused} spawnPosition={spawnPosition} controllerRef={controllerRef} />
-          <KeyboardControls map={keyboardMap} enabled={!isPaused}>
+        <Physics timeStep={1/60} gravity={[0, -9.81, 0]} paused={isMovementPaused}>
+          <PhysicsPauser isPaused={isMovementPaused} />
+          <PlayerSync
+            socket={socket}
+            isPaused={isPaused}
+            spawnPosition={spawnPosition}
+            controllerRef={controllerRef}
+            wireFormat={wireFormat}
+            movementMode={movementMode}
+            movementSession={movementSession}
+            keyboardMap={keyboardMap}
+            controlsEnabled={!isChatOpen && !isFrozen && !isDialogueOpen}
+          />
+          {/* Modo autoritativo: ecctrl não recebe teclas (PlayerSync envia inputs e posiciona o corpo) */}
+          {/* Congelado por moderador: teclas suspensas também (o servidor ignora o movimento) */}
+          <KeyboardControls
+            map={keyboardMap}
+            enabled={!isMovementPaused}
+            domElement={isChatOpen || isFrozen || isAuthoritativeMovement ? suspendedKeyboardTarget : undefined}
+          >
             <Controller 
               ref={controllerRef}
               maxVelLimit={5}
@@ -563,6 +851,8 @@ export default function App() {
                     </Text>
                   </group>
                 )}
+                {/* Balões de fala do próprio player */}
+                <SpeechBubbles messages={bubblesByPlayer.get(selfId)} />
                 <Gltf 
                   castShadow 
                   receiveShadow 
@@ -573,17 +863,20 @@ export default function App() {
               </FloatingCharacter>
             </Controller>
             
-            {/* FASE 2: Renderizar players remotos - passar apenas dados estáticos + getDynamic */}
+            {/* FASE 2: Renderizar players remotos - passar apenas dados estáticos + getInterpolated */}
             {/* CORREÇÃO: Filtrar próprio player (já renderizado como Controller local) */}
             {playersList
-              .filter(player => player.id !== socket?.id)
+              .filter(player => player.id !== selfId && player.inInterest !== false && player.kind !== NPC_KIND)
               .map(player => (
                 <RemotePlayer 
                   key={player.id} 
                   id={player.id}
                   nickname={player.nickname}
                   characterType={player.characterType}
-                  getDynamic={getDynamic}
+                  role={player.role}
+                  presence={player.presence}
+                  getInterpolated={getInterpolated}
+                  bubbles={bubblesByPlayer.get(player.id)}
                 />
               ))}
             
@@ -604,14 +897,44 @@ export default function App() {
             </mesh>
           </RigidBody>
         </Physics>
-        {/* NPC com comportamento estilo Mii do Wii */}
-        <NPC position={[10, 1, 0]} />
+        {/* NPCs simulados no servidor (chegam nos snapshots, interpolados como os players) */}
+        <NPCs
+          npcs={playersList.filter(player => player.kind === NPC_KIND && player.inInterest !== false)}
+          getInterpolated={getInterpolated}
+        />
       </Fisheye>
     </Canvas>
     <PauseMenu isPaused={isPaused} onResume={() => setIsPaused(false)} />
     
     {/* Indicador de status do Socket.IO - Pronto para receber usuários */}
-    {hasJoined && <ConnectionStatus isConnected={isConnected} />}
+    {hasJoined && <ConnectionStatus isConnected={isConnected} latency={latency} />}
+
+    {/* Versão do app diferente da do servidor: pedir para recarregar */}
+    <UpdateBanner protocolStatus={protocolStatus} />
+    
+    {/* Chat de texto */}
+    {!isPaused && (
+      <ChatOverlay
+        messages={chatMessages}
+        isOpen={isChatOpen}
+        onSend={sendMessage}
+        onClose={() => setIsChatOpen(false)}
+        selfId={selfId}
+        zone={chatZone}
+      />
+    )}
+    
+    {/* Conversa com NPCs (convite ao chegar perto e painel do diálogo) */}
+    {!isPaused && (
+      <DialoguePanel
+        nearbyNpc={nearbyNpc}
+        dialogue={dialogue}
+        notice={dialogueNotice}
+        interactKey={interactKey}
+        onChoose={chooseDialogue}
+        onClose={closeDialogue}
+      />
+    )}
     
     {/* Notificações de entrada */}
     {notifications.map(notif => (
@@ -2,6 +2,17 @@ import { useState, useRef, useEffect, useMemo } from 'react'
 import { Canvas, useFrame, useThree } from '@react-three/fiber'
 import { Gltf, useEnvironment, Text } from '@react-three/drei'
 import * as THREE from 'three'
+import RoomBrowser from './RoomBrowser'
+import QueueStatus from './QueueStatus'
+import { normalizeNickname } from '../shared/nicknames'
+
+const nicknameMessageStyle = {
+  fontSize: '0.85rem',
+  fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
+  letterSpacing: '0.01em',
+  maxWidth: '300px',
+  textAlign: 'center',
+}
 
 // Componente para renderizar o modelo 3D no carrossel
 function CharacterPreview({ modelPath, nickname }) {
@@ -126,9 +137,22 @@ function BackgroundScene({ mousePosition }) {
   )
 }
 
-export default function CharacterSelection({ onJoin }) {
-  const [selectedCharacter, setSelectedCharacter] = useState(0)
-  const [nickname, setNickname] = useState('')
+export default function CharacterSelection({ onJoin, joinError, initialData, queueStatus, onLeaveQueue }) {
+  const [selectedCharacter, setSelectedCharacter] = useState(initialData?.characterType || 0)
+  const [nickname, setNickname] = useState(initialData?.nickname || '')
+  // Chave de staff (host/moderador) - opcional, validada pelo servidor no join
+  const [staffKey, setStaffKey] = useState(initialData?.staffKey || '')
+  const [showStaffKey, setShowStaffKey] = useState(!!initialData?.staffKey)
+  // Nickname recusado pelo servidor (em uso, bloqueado, reservado): { message, suggestions? }
+  // Some quando o nickname é editado
+  const isNicknameError = joinError?.field === 'nickname'
+  const [serverNicknameError, setServerNicknameError] = useState(isNicknameError ? joinError : null)
+  // Etapas: 'character' (personagem + nickname) -> 'room' (navegador de salas)
+  // Se voltou por erro de entrada ou está na fila de espera, abrir direto no navegador de salas
+  // (ou no nickname, se foi ele o recusado)
+  const [step, setStep] = useState(
+    (queueStatus || joinError) && initialData?.nickname && !isNicknameError ? 'room' : 'character'
+  )
   const mousePosition = useRef({ x: 0, y: 0 })
   const containerRef = useRef(null)
   
@@ -169,11 +193,35 @@ export default function CharacterSelection({ onJoin }) {
     )
   }
   
+  // Erro do nickname vindo depois da montagem (validação local no App antes de enviar)
+  useEffect(() => {
+    if (joinError?.field === 'nickname') {
+      setServerNicknameError(joinError)
+      setStep('character')
+    }
+  }, [joinError])
+
+  // Mesmas regras de formato do servidor (src/shared/nicknames.js), conferidas enquanto digita
+  const formatError = useMemo(() => {
+    return nickname.trim() ? normalizeNickname(nickname).error || null : null
+  }, [nickname])
+  const nicknameError = formatError || serverNicknameError
+  const canContinue = !!nickname.trim() && !formatError
+
+  const handleNicknameChange = (value) => {
+    setNickname(value.slice(0, 12))
+    setServerNicknameError(null)
+  }
+
   const handleJoin = () => {
-    if (nickname.trim()) {
-      onJoin(nickname.trim(), selectedCharacter)
+    if (canContinue) {
+      setStep('room')
     }
   }
+
+  const handleRoomSelect = (room) => {
+    onJoin(nickname.trim(), selectedCharacter, room, staffKey.trim())
+  }
   
   return (
     <div 
@@ -234,228 +282,303 @@ export default function CharacterSelection({ onJoin }) {
         alignItems: 'center',
         gap: '2rem',
       }}>
-        {/* Carrossel de personagens */}
-        <div style={{
-          display: 'flex',
-          alignItems: 'center',
-          gap: '2rem',
-        }}>
-          {/* Botão seta esquerda */}
-          <button
-            onClick={handlePrevious}
-            style={{
-              background: 'rgba(255, 255, 255, 0.07)',
-              backdropFilter: 'blur(20px) saturate(180%)',
-              WebkitBackdropFilter: 'blur(20px) saturate(180%)',
-              border: '0.5px solid rgba(255, 255, 255, 0.18)',
-              color: '#ffffff',
-              width: '38px',
-              height: '38px',
-              borderRadius: '50%',
-              cursor: 'pointer',
-              fontSize: '1.1rem',
-              fontWeight: 300,
+        {queueStatus ? (
+          <QueueStatus status={queueStatus} onLeave={onLeaveQueue} />
+        ) : step === 'room' ? (
+          <RoomBrowser
+            onSelect={handleRoomSelect}
+            onBack={() => setStep('character')}
+            error={joinError && !isNicknameError ? joinError.message : null}
+          />
+        ) : (
+          <>
+            {/* Carrossel de personagens */}
+            <div style={{
               display: 'flex',
               alignItems: 'center',
-              justifyContent: 'center',
-              transition: 'all 0.2s cubic-bezier(0.4, 0, 0.2, 1)',
-              boxShadow: '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset',
-              padding: 0,
-              lineHeight: 1,
-            }}
-            onMouseEnter={(e) => {
-              e.target.style.background = 'rgba(255, 255, 255, 0.12)'
-              e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.25)'
-              e.target.style.boxShadow = '0 6px 20px rgba(0, 0, 0, 0.15), 0 0 0 0.5px rgba(255, 255, 255, 0.08) inset'
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.background = 'rgba(255, 255, 255, 0.07)'
-              e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.18)'
-              e.target.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset'
-            }}
-          >
-            ‹
-          </button>
-          
-          {/* Preview 3D do personagem */}
-          <div style={{
-            width: '300px',
-            height: '300px',
-            position: 'relative',
-            display: 'flex',
-            flexDirection: 'column',
-            alignItems: 'center',
-            gap: '1rem',
-          }}>
-            <div style={{
-              width: '100%',
-              height: '250px',
-              border: 'none',
-              borderRadius: '20px',
-              overflow: 'hidden',
-              background: 'transparent',
+              gap: '2rem',
             }}>
-              <Canvas camera={{ position: [0, -0.5, 5], fov: 60 }}>
-                <ambientLight intensity={0.5} />
-                <directionalLight intensity={0.8} position={[5, 5, 5]} />
-                <CharacterPreview 
-                  modelPath={characters[selectedCharacter].model}
-                  nickname={nickname || undefined}
-                />
-              </Canvas>
-            </div>
+              {/* Botão seta esquerda */}
+              <button
+                onClick={handlePrevious}
+                style={{
+                  background: 'rgba(255, 255, 255, 0.07)',
+                  backdropFilter: 'blur(20px) saturate(180%)',
+                  WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+                  border: '0.5px solid rgba(255, 255, 255, 0.18)',
+                  color: '#ffffff',
+                  width: '38px',
+                  height: '38px',
+                  borderRadius: '50%',
+                  cursor: 'pointer',
+                  fontSize: '1.1rem',
+                  fontWeight: 300,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  transition: 'all 0.2s cubic-bezier(0.4, 0, 0.2, 1)',
+                  boxShadow: '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset',
+                  padding: 0,
+                  lineHeight: 1,
+                }}
+                onMouseEnter={(e) => {
+                  e.target.style.background = 'rgba(255, 255, 255, 0.12)'
+                  e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.25)'
+                  e.target.style.boxShadow = '0 6px 20px rgba(0, 0, 0, 0.15), 0 0 0 0.5px rgba(255, 255, 255, 0.08) inset'
+                }}
+                onMouseLeave={(e) => {
+                  e.target.style.background = 'rgba(255, 255, 255, 0.07)'
+                  e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.18)'
+                  e.target.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset'
+                }}
+              >
+                ‹
+              </button>
+          
+              {/* Preview 3D do personagem */}
+              <div style={{
+                width: '300px',
+                height: '300px',
+                position: 'relative',
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                gap: '1rem',
+              }}>
+                <div style={{
+                  width: '100%',
+                  height: '250px',
+                  border: 'none',
+                  borderRadius: '20px',
+                  overflow: 'hidden',
+                  background: 'transparent',
+                }}>
+                  <Canvas camera={{ position: [0, -0.5, 5], fov: 60 }}>
+                    <ambientLight intensity={0.5} />
+                    <directionalLight intensity={0.8} position={[5, 5, 5]} />
+                    <CharacterPreview 
+                      modelPath={characters[selectedCharacter].model}
+                      nickname={nickname || undefined}
+                    />
+                  </Canvas>
+                </div>
             
-            {/* Título do personagem */}
-            <div style={{
-              color: '#ffffff',
-              fontSize: '1.5rem',
-              fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
-              fontWeight: 600,
-              textAlign: 'center',
-              letterSpacing: '-0.02em',
-            }}>
-              {characters[selectedCharacter].name}
-            </div>
-          </div>
+                {/* Título do personagem */}
+                <div style={{
+                  color: '#ffffff',
+                  fontSize: '1.5rem',
+                  fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
+                  fontWeight: 600,
+                  textAlign: 'center',
+                  letterSpacing: '-0.02em',
+                }}>
+                  {characters[selectedCharacter].name}
+                </div>
+              </div>
           
-          {/* Botão seta direita */}
-          <button
-            onClick={handleNext}
-            style={{
-              background: 'rgba(255, 255, 255, 0.07)',
-              backdropFilter: 'blur(20px) saturate(180%)',
-              WebkitBackdropFilter: 'blur(20px) saturate(180%)',
-              border: '0.5px solid rgba(255, 255, 255, 0.18)',
-              color: '#ffffff',
-              width: '38px',
-              height: '38px',
-              borderRadius: '50%',
-              cursor: 'pointer',
-              fontSize: '1.1rem',
-              fontWeight: 300,
+              {/* Botão seta direita */}
+              <button
+                onClick={handleNext}
+                style={{
+                  background: 'rgba(255, 255, 255, 0.07)',
+                  backdropFilter: 'blur(20px) saturate(180%)',
+                  WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+                  border: '0.5px solid rgba(255, 255, 255, 0.18)',
+                  color: '#ffffff',
+                  width: '38px',
+                  height: '38px',
+                  borderRadius: '50%',
+                  cursor: 'pointer',
+                  fontSize: '1.1rem',
+                  fontWeight: 300,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  transition: 'all 0.2s cubic-bezier(0.4, 0, 0.2, 1)',
+                  boxShadow: '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset',
+                  padding: 0,
+                  lineHeight: 1,
+                }}
+                onMouseEnter={(e) => {
+                  e.target.style.background = 'rgba(255, 255, 255, 0.12)'
+                  e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.25)'
+                  e.target.style.boxShadow = '0 6px 20px rgba(0, 0, 0, 0.15), 0 0 0 0.5px rgba(255, 255, 255, 0.08) inset'
+                }}
+                onMouseLeave={(e) => {
+                  e.target.style.background = 'rgba(255, 255, 255, 0.07)'
+                  e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.18)'
+                  e.target.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset'
+                }}
+              >
+                ›
+              </button>
+            </div>
+        
+            {/* Campo de texto para nickname */}
+            <div style={{
               display: 'flex',
+              flexDirection: 'column',
               alignItems: 'center',
-              justifyContent: 'center',
-              transition: 'all 0.2s cubic-bezier(0.4, 0, 0.2, 1)',
-              boxShadow: '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset',
-              padding: 0,
-              lineHeight: 1,
-            }}
-            onMouseEnter={(e) => {
-              e.target.style.background = 'rgba(255, 255, 255, 0.12)'
-              e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.25)'
-              e.target.style.boxShadow = '0 6px 20px rgba(0, 0, 0, 0.15), 0 0 0 0.5px rgba(255, 255, 255, 0.08) inset'
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.background = 'rgba(255, 255, 255, 0.07)'
-              e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.18)'
-              e.target.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset'
-            }}
-          >
-            ›
-          </button>
-        </div>
-        
-        {/* Campo de texto para nickname */}
-        <div style={{
-          display: 'flex',
-          flexDirection: 'column',
-          alignItems: 'center',
-          gap: '0.5rem',
-        }}>
-          <input
-            type="text"
-            value={nickname}
-            onChange={(e) => setNickname(e.target.value.slice(0, 12))}
-            placeholder="Digite seu nome"
-            maxLength={12}
-            onKeyPress={(e) => {
-              if (e.key === 'Enter' && nickname.trim()) {
-                handleJoin()
-              }
-            }}
-            onFocus={(e) => {
-              e.target.style.background = 'rgba(255, 255, 255, 0.12)'
-              e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.3)'
-              e.target.style.boxShadow = '0 6px 20px rgba(0, 0, 0, 0.15), 0 0 0 0.5px rgba(255, 255, 255, 0.08) inset'
-            }}
-            onBlur={(e) => {
-              e.target.style.background = 'rgba(255, 255, 255, 0.07)'
-              e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.18)'
-              e.target.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset'
-            }}
-            style={{
-              background: 'rgba(255, 255, 255, 0.07)',
-              backdropFilter: 'blur(20px) saturate(180%)',
-              WebkitBackdropFilter: 'blur(20px) saturate(180%)',
-              border: '0.5px solid rgba(255, 255, 255, 0.18)',
-              color: '#ffffff',
-              padding: '1rem 1.5rem',
-              fontSize: '1.2rem',
-              fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
-              borderRadius: '12px',
-              width: '300px',
-              textAlign: 'center',
-              outline: 'none',
-              boxShadow: '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset',
-              transition: 'all 0.2s cubic-bezier(0.4, 0, 0.2, 1)',
-            }}
-          />
-          <div style={{
-            color: 'rgba(255, 255, 255, 0.6)',
-            fontSize: '0.85rem',
-            fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
-            fontWeight: 400,
-            letterSpacing: '0.01em',
-          }}>
-            {nickname.length}/12 caracteres
-          </div>
-        </div>
+              gap: '0.5rem',
+            }}>
+              <input
+                type="text"
+                value={nickname}
+                onChange={(e) => handleNicknameChange(e.target.value)}
+                placeholder="Digite seu nome"
+                maxLength={12}
+                onKeyPress={(e) => {
+                  if (e.key === 'Enter' && canContinue) {
+                    handleJoin()
+                  }
+                }}
+                onFocus={(e) => {
+                  e.target.style.background = 'rgba(255, 255, 255, 0.12)'
+                  e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.3)'
+                  e.target.style.boxShadow = '0 6px 20px rgba(0, 0, 0, 0.15), 0 0 0 0.5px rgba(255, 255, 255, 0.08) inset'
+                }}
+                onBlur={(e) => {
+                  e.target.style.background = 'rgba(255, 255, 255, 0.07)'
+                  e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.18)'
+                  e.target.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset'
+                }}
+                style={{
+                  background: 'rgba(255, 255, 255, 0.07)',
+                  backdropFilter: 'blur(20px) saturate(180%)',
+                  WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+                  border: '0.5px solid rgba(255, 255, 255, 0.18)',
+                  color: '#ffffff',
+                  padding: '1rem 1.5rem',
+                  fontSize: '1.2rem',
+                  fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
+                  borderRadius: '12px',
+                  width: '300px',
+                  textAlign: 'center',
+                  outline: 'none',
+                  boxShadow: '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset',
+                  transition: 'all 0.2s cubic-bezier(0.4, 0, 0.2, 1)',
+                }}
+              />
+              <div style={{
+                color: 'rgba(255, 255, 255, 0.6)',
+                fontSize: '0.85rem',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
+                fontWeight: 400,
+                letterSpacing: '0.01em',
+              }}>
+                {nickname.length}/12 caracteres
+              </div>
+              {nicknameError && (
+                <div role="alert" style={{ ...nicknameMessageStyle, color: '#f87171' }}>
+                  {nicknameError.message}
+                </div>
+              )}
+              {!formatError && serverNicknameError?.suggestions?.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '0.4rem' }}>
+                  <span style={{ ...nicknameMessageStyle, color: 'rgba(255, 255, 255, 0.6)' }}>Sugestões:</span>
+                  {serverNicknameError.suggestions.map(suggestion => (
+                    <button
+                      key={suggestion}
+                      onClick={() => handleNicknameChange(suggestion)}
+                      style={{
+                        ...nicknameMessageStyle,
+                        background: 'rgba(255, 255, 255, 0.1)',
+                        border: '0.5px solid rgba(255, 255, 255, 0.25)',
+                        color: '#ffffff',
+                        borderRadius: '8px',
+                        padding: '0.2rem 0.6rem',
+                        cursor: 'pointer',
+                      }}
+                    >
+                      {suggestion}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {showStaffKey ? (
+                <input
+                  type="password"
+                  value={staffKey}
+                  onChange={(e) => setStaffKey(e.target.value)}
+                  placeholder="Chave de moderação"
+                  autoComplete="off"
+                  style={{
+                    background: 'rgba(255, 255, 255, 0.05)',
+                    border: '0.5px solid rgba(255, 255, 255, 0.15)',
+                    color: '#ffffff',
+                    padding: '0.6rem 1rem',
+                    fontSize: '0.9rem',
+                    fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
+                    borderRadius: '10px',
+                    width: '220px',
+                    textAlign: 'center',
+                    outline: 'none',
+                  }}
+                />
+              ) : (
+                <button
+                  onClick={() => setShowStaffKey(true)}
+                  style={{
+                    background: 'none',
+                    border: 'none',
+                    color: 'rgba(255, 255, 255, 0.45)',
+                    fontSize: '0.8rem',
+                    fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
+                    cursor: 'pointer',
+                    textDecoration: 'underline',
+                  }}
+                >
+                  Sou moderador
+                </button>
+              )}
+            </div>
         
-        {/* Botão entrar */}
-        <button
-          onClick={handleJoin}
-          disabled={!nickname.trim()}
-          style={{
-            background: nickname.trim() 
-              ? 'rgba(255, 255, 255, 0.12)' 
-              : 'rgba(255, 255, 255, 0.04)',
-            backdropFilter: 'blur(20px) saturate(180%)',
-            WebkitBackdropFilter: 'blur(20px) saturate(180%)',
-            color: nickname.trim() ? '#ffffff' : 'rgba(255, 255, 255, 0.4)',
-            border: nickname.trim() 
-              ? '0.5px solid rgba(255, 255, 255, 0.25)' 
-              : '0.5px solid rgba(255, 255, 255, 0.1)',
-            padding: '1rem 3rem',
-            fontSize: '1.1rem',
-            fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
-            fontWeight: 600,
-            borderRadius: '12px',
-            cursor: nickname.trim() ? 'pointer' : 'not-allowed',
-            transition: 'all 0.2s cubic-bezier(0.4, 0, 0.2, 1)',
-            textTransform: 'uppercase',
-            letterSpacing: '0.05em',
-            boxShadow: nickname.trim()
-              ? '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset'
-              : '0 2px 8px rgba(0, 0, 0, 0.08), 0 0 0 0.5px rgba(255, 255, 255, 0.03) inset',
-          }}
-          onMouseEnter={(e) => {
-            if (nickname.trim()) {
-              e.target.style.background = 'rgba(255, 255, 255, 0.16)'
-              e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.3)'
-              e.target.style.boxShadow = '0 6px 20px rgba(0, 0, 0, 0.15), 0 0 0 0.5px rgba(255, 255, 255, 0.08) inset'
-            }
-          }}
-          onMouseLeave={(e) => {
-            if (nickname.trim()) {
-              e.target.style.background = 'rgba(255, 255, 255, 0.12)'
-              e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.25)'
-              e.target.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset'
-            }
-          }}
-        >
-          Entrar na Sala
-        </button>
+            {/* Botão entrar */}
+            <button
+              onClick={handleJoin}
+              disabled={!canContinue}
+              style={{
+                background: canContinue 
+                  ? 'rgba(255, 255, 255, 0.12)' 
+                  : 'rgba(255, 255, 255, 0.04)',
+                backdropFilter: 'blur(20px) saturate(180%)',
+                WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+                color: canContinue ? '#ffffff' : 'rgba(255, 255, 255, 0.4)',
+                border: canContinue 
+                  ? '0.5px solid rgba(255, 255, 255, 0.25)' 
+                  : '0.5px solid rgba(255, 255, 255, 0.1)',
+                padding: '1rem 3rem',
+                fontSize: '1.1rem',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
+                fontWeight: 600,
+                borderRadius: '12px',
+                cursor: canContinue ? 'pointer' : 'not-allowed',
+                transition: 'all 0.2s cubic-bezier(0.4, 0, 0.2, 1)',
+                textTransform: 'uppercase',
+                letterSpacing: '0.05em',
+                boxShadow: canContinue
+                  ? '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset'
+                  : '0 2px 8px rgba(0, 0, 0, 0.08), 0 0 0 0.5px rgba(255, 255, 255, 0.03) inset',
+              }}
+              onMouseEnter={(e) => {
+                if (canContinue) {
+                  e.target.style.background = 'rgba(255, 255, 255, 0.16)'
+                  e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.3)'
+                  e.target.style.boxShadow = '0 6px 20px rgba(0, 0, 0, 0.15), 0 0 0 0.5px rgba(255, 255, 255, 0.08) inset'
+                }
+              }}
+              onMouseLeave={(e) => {
+                if (canContinue) {
+                  e.target.style.background = 'rgba(255, 255, 255, 0.12)'
+                  e.target.style.border = '0.5px solid rgba(255, 255, 255, 0.25)'
+                  e.target.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 0.5px rgba(255, 255, 255, 0.05) inset'
+                }
+              }}
+            >
+              Continuar
+            </button>
+          </>
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,94 @@
+import { useEffect, useRef, useState } from 'react'
+import './ChatOverlay.css'
+
+const VISIBLE_MESSAGES = 8 // Mensagens mostradas no log
+const FADE_AFTER = 10000 // Com o chat fechado, mensagens somem após 10 segundos
+
+/**
+ * Overlay do chat de texto (canto inferior direito)
+ * Enter abre o campo de texto, Enter envia, Escape fecha (tratado no App)
+ */
+export default function ChatOverlay({ messages, isOpen, onSend, onClose, maxLength = 200, selfId, zone }) {
+  const [text, setText] = useState('')
+  const [now, setNow] = useState(Date.now())
+  const inputRef = useRef()
+  const listRef = useRef()
+
+  // Focar o input quando abrir
+  useEffect(() => {
+    if (isOpen && inputRef.current) {
+      inputRef.current.focus()
+    }
+    if (!isOpen) {
+      setText('')
+    }
+  }, [isOpen])
+
+  // Relógio para esconder mensagens antigas com o chat fechado
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [])
+
+  // Rolar para a última mensagem
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight
+    }
+  }, [messages, isOpen])
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      if (text.trim()) {
+        onSend(text)
+      }
+      onClose()
+    }
+  }
+
+  const visibleMessages = isOpen
+    ? messages
+    : messages.slice(-VISIBLE_MESSAGES).filter(msg => now - msg.timestamp < FADE_AFTER)
+
+  if (!isOpen && visibleMessages.length === 0) {
+    return (
+      <div className="chat-overlay">
+        <div className="chat-hint">Enter para conversar</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className={`chat-overlay ${isOpen ? 'open' : ''}`}>
+      <ul ref={listRef} className="chat-messages">
+        {visibleMessages.map(msg => (
+          <li
+            key={msg.id}
+            className={`chat-message ${msg.system ? 'system' : ''} ${msg.playerId === selfId ? 'self' : ''}`}
+          >
+            {msg.scope === 'local' && <span className="chat-message-scope">{msg.zone ? `[${msg.zone.name}]` : '[perto]'}</span>}
+            {!msg.system && <span className="chat-message-name">{msg.nickname}:</span>}
+            <span className="chat-message-text">{msg.text}</span>
+          </li>
+        ))}
+      </ul>
+      {isOpen && zone && (
+        <div className="chat-zone">Você está no {zone.name} - todos na área te ouvem</div>
+      )}
+      {isOpen && (
+        <input
+          ref={inputRef}
+          className="chat-input"
+          type="text"
+          value={text}
+          maxLength={maxLength}
+          placeholder="Digite uma mensagem..."
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={onClose}
+        />
+      )}
+    </div>
+  )
+}
@@ -3,13 +3,17 @@ import './ConnectionStatus.css'
 /**
  * Indicador de status do Socket.IO no canto superior esquerdo
  * Indica se o Socket.IO está conectado e pronto para receber usuários
+ * latency: RTT medido pela sincronização de relógio (useSocket)
  */
-export default function ConnectionStatus({ isConnected }) {
+export default function ConnectionStatus({ isConnected, latency }) {
   return (
     <div className="connection-status">
       <div className={`connection-indicator ${isConnected ? 'connected' : 'disconnected'}`}>
         <div className="connection-dot"></div>
       </div>
+      {isConnected && typeof latency === 'number' && (
+        <span className="connection-text">{latency} ms</span>
+      )}
     </div>
   )
 }
@@ -0,0 +1,66 @@
+import { useEffect } from 'react'
+import './DialoguePanel.css'
+
+/**
+ * Diálogo com um NPC (ver useNpcDialogue)
+ *
+ * Sem diálogo aberto, mostra o convite para conversar com o NPC ao alcance.
+ * Escolhas por clique ou teclas 1 a 9; nó sem escolhas só oferece fechar.
+ * Esc fecha (tratado no App, junto com a pausa).
+ */
+export default function DialoguePanel({ nearbyNpc, dialogue, notice, interactKey, onChoose, onClose }) {
+  // Teclas 1-9 escolhem; Enter/Espaço fecham um nó final
+  useEffect(() => {
+    if (!dialogue) return
+
+    const handleKeyDown = (event) => {
+      const number = Number(event.key)
+      if (Number.isInteger(number) && number >= 1 && number <= dialogue.choices.length) {
+        event.preventDefault()
+        onChoose(number - 1)
+        return
+      }
+      if (dialogue.choices.length === 0 && (event.key === 'Enter' || event.code === 'Space')) {
+        event.preventDefault()
+        onClose()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [dialogue, onChoose, onClose])
+
+  if (!dialogue) {
+    if (notice) return <div className="dialogue-prompt" role="status">{notice}</div>
+    if (!nearbyNpc) return null
+    return (
+      <div className="dialogue-prompt" role="status">
+        <kbd className="dialogue-key">{interactKey}</kbd> Conversar com {nearbyNpc.name}
+      </div>
+    )
+  }
+
+  return (
+    <div className="dialogue-panel" role="dialog" aria-label={`Conversa com ${dialogue.npcName}`}>
+      <div className="dialogue-name">{dialogue.npcName}</div>
+      <p className="dialogue-text">{dialogue.text}</p>
+      {notice && <div className="dialogue-notice">{notice}</div>}
+
+      <ol className="dialogue-choices">
+        {dialogue.choices.map((choice, index) => (
+          <li key={`${index}-${choice}`}>
+            <button className="dialogue-choice" onClick={() => onChoose(index)}>
+              <kbd className="dialogue-key">{index + 1}</kbd> {choice}
+            </button>
+          </li>
+        ))}
+        {dialogue.choices.length === 0 && (
+          <li>
+            <button className="dialogue-choice" onClick={onClose}>Fechar</button>
+          </li>
+        )}
+      </ol>
+      <div className="dialogue-hint">Esc para sair da conversa</div>
+    </div>
+  )
+}
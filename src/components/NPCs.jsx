@@ -0,0 +1,88 @@
+import { useRef, useCallback, memo } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { Gltf } from '@react-three/drei'
+import * as THREE from 'three'
+
+const DEFAULT_MODEL = '/NPCHead.glb'
+const IDLE_SWAY = 0.05 // Balanço parado (estilo Mii do Wii), só visual
+
+/**
+ * NPCs simulados no servidor (ver backend/lib/npcs.js)
+ *
+ * Posição e rotação vêm dos snapshots, interpoladas pelo usePlayers como as do
+ * RemotePlayer. A máquina de estados fica no servidor: aqui um único useFrame
+ * atualiza todos os NPCs (muitos NPCs não viram muitos loops por frame) e só
+ * acrescenta a flutuação e o balanço quando parado, que são decorativos.
+ */
+const NPCs = memo(function NPCs({ npcs, getInterpolated }) {
+  // id -> { group, float, phase, sway, last: THREE.Vector3 }
+  const entriesRef = useRef(new Map())
+
+  // Registrar/remover o grupo de cada NPC (ref callback por id)
+  const registerRefs = useRef({})
+  const getRegister = useCallback((id) => {
+    if (!registerRefs.current[id]) {
+      registerRefs.current[id] = (group) => {
+        if (!group) {
+          entriesRef.current.delete(id)
+          delete registerRefs.current[id]
+          return
+        }
+
+        // Começar direto na posição do servidor (sem deslizar da origem)
+        const dyn = getInterpolated(id)
+        if (dyn && dyn.position) {
+          group.position.copy(dyn.position)
+          group.rotation.y = dyn.rotY
+        }
+        entriesRef.current.set(id, {
+          group,
+          float: group.children[0],
+          phase: Math.random() * Math.PI * 2, // NPCs não flutuam em sincronia
+          sway: 0,
+          last: dyn && dyn.position ? new THREE.Vector3().copy(dyn.position) : new THREE.Vector3()
+        })
+      }
+    }
+    return registerRefs.current[id]
+  }, [getInterpolated])
+
+  useFrame((state, delta) => {
+    const time = state.clock.elapsedTime
+
+    entriesRef.current.forEach((entry, id) => {
+      // Flutuação contínua igual ao personagem principal
+      if (entry.float) entry.float.position.y = Math.sin(time * 2 + entry.phase) * 0.1
+
+      const dyn = getInterpolated(id)
+      if (!dyn || !dyn.position) return
+
+      // Parado: pequenos movimentos sutis em volta da posição do servidor
+      const isMoving = entry.last.distanceToSquared(dyn.position) > 1e-6
+      entry.last.copy(dyn.position)
+      entry.sway = isMoving ? 0 : entry.sway + delta * 0.5
+
+      const { sway } = entry
+      entry.group.position.set(
+        dyn.position.x + Math.sin(sway) * IDLE_SWAY,
+        dyn.position.y,
+        dyn.position.z + Math.sin(sway * 0.7) * IDLE_SWAY
+      )
+      entry.group.rotation.y = dyn.rotY + (isMoving ? 0 : Math.sin(sway * 0.3) * 0.1)
+    })
+  })
+
+  return npcs.map(npc => (
+    <group key={npc.id} ref={getRegister(npc.id)}>
+      <group>
+        <Gltf castShadow receiveShadow scale={1.15} src={npc.model || DEFAULT_MODEL} />
+      </group>
+    </group>
+  ))
+}, (prev, next) => {
+  // Re-render só quando a lista de NPCs (ou o modelo de algum) muda
+  if (prev.getInterpolated !== next.getInterpolated || prev.npcs.length !== next.npcs.length) return false
+  return prev.npcs.every((npc, index) => npc.id === next.npcs[index].id && npc.model === next.npcs[index].model)
+})
+
+export default NPCs
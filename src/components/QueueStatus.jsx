@@ -0,0 +1,42 @@
+import { useRef } from 'react'
+import './QueueStatus.css'
+
+// Espera estimada em texto ("menos de 1 min", "~3 min")
+function formatWait(ms) {
+  const minutes = Math.round(ms / 60000)
+  return minutes < 1 ? 'menos de 1 min' : `~${minutes} min`
+}
+
+/**
+ * Fila de espera de uma sala cheia (no lugar do navegador de salas)
+ * Posição e espera estimada vêm do servidor (queueUpdate); a entrada é automática
+ */
+export default function QueueStatus({ status, onLeave }) {
+  // Posição inicial na fila desta sala (base da barra de progresso)
+  const startRef = useRef({ roomId: null, position: 1 })
+  if (startRef.current.roomId !== status.roomId || status.position > startRef.current.position) {
+    startRef.current = { roomId: status.roomId, position: status.position }
+  }
+
+  const start = startRef.current.position
+  const progress = start > 1 ? (start - status.position) / (start - 1) : 0
+
+  return (
+    <div className="queue-status" role="status">
+      <h2 className="queue-status-title">Sala cheia</h2>
+      <div className="queue-status-room">{status.roomName || status.roomId}</div>
+
+      <div className="queue-status-position">{status.position}º</div>
+      <div className="queue-status-detail">
+        na fila ({status.size} {status.size === 1 ? 'pessoa' : 'pessoas'}) · espera estimada {formatWait(status.estimatedWait)}
+      </div>
+
+      <div className="queue-status-progress">
+        <div className="queue-status-progress-bar" style={{ width: `${Math.round(progress * 100)}%` }} />
+      </div>
+      <div className="queue-status-detail">Você vai entrar automaticamente quando abrir uma vaga</div>
+
+      <button className="queue-status-button" onClick={onLeave}>Sair da fila</button>
+    </div>
+  )
+}
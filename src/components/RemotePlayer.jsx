@@ -1,17 +1,41 @@
 import { useRef, useEffect, memo, useMemo, useState } from 'react'
 import { useFrame } from '@react-three/fiber'
 import { Gltf, Text } from '@react-three/drei'
-import * as THREE from 'three'
+import SpeechBubbles from './SpeechBubbles'
+import { ROLES } from '../shared/roles'
+import { PRESENCE_STATES } from '../shared/presence'
+
+// Badge acima do nickname (convidados não têm)
+const ROLE_BADGES = {
+  [ROLES.HOST]: { label: 'HOST', color: '#f5a623' },
+  [ROLES.MODERATOR]: { label: 'MOD', color: '#4a90e2' }
+}
+
+// Presença: avatar esmaecido + etiqueta abaixo do nickname (ativo não tem)
+const PRESENCE_OPACITY = {
+  [PRESENCE_STATES.ACTIVE]: 1,
+  [PRESENCE_STATES.IDLE]: 0.8,
+  [PRESENCE_STATES.AWAY]: 0.45,
+  [PRESENCE_STATES.DISCONNECTED]: 0.25
+}
+const PRESENCE_TAGS = {
+  [PRESENCE_STATES.IDLE]: { label: 'inativo', color: '#6b7280' },
+  [PRESENCE_STATES.AWAY]: { label: 'ausente', color: '#92400e' },
+  [PRESENCE_STATES.DISCONNECTED]: { label: 'desconectado', color: '#991b1b' }
+}
 
 /**
  * FASE 2: RemotePlayer otimizado
  * 
- * Recebe apenas dados estáticos (id, nickname, characterType) e getDynamic
- * Movimento 100% no useFrame usando getDynamic (não depende de React re-renders)
+ * Recebe apenas dados estáticos (id, nickname, characterType, role, presence) e getInterpolated
+ * Movimento 100% no useFrame usando getInterpolated (não depende de React re-renders)
+ *
+ * A posição vem do buffer de interpolação do usePlayers: renderiza um atraso fixo
+ * atrás do tempo do servidor, interpolando entre amostras (sem lerp exponencial)
  */
-const RemotePlayer = memo(function RemotePlayer({ id, nickname, characterType, getDynamic }) {
+const RemotePlayer = memo(function RemotePlayer({ id, nickname, characterType, role, presence, getInterpolated, bubbles }) {
   // Validar dados
-  if (!id || !getDynamic) {
+  if (!id || !getInterpolated) {
     return null
   }
   
@@ -20,28 +44,19 @@ const RemotePlayer = memo(function RemotePlayer({ id, nickname, characterType, g
   const timeRef = useRef(0)
   const fadeTimeRef = useRef(0)
   const [opacity, setOpacity] = useState(0) // Começar invisível para fade in
-  
-  // FASE 2: Target position/rotation (atualizados no useFrame via getDynamic)
-  const targetPos = useRef(new THREE.Vector3(0, 1.0, 0))
-  const targetRotY = useRef(0)
-  const isInitialized = useRef(false) // CORREÇÃO: Flag para primeira inicialização
+  // Opacidade final do modelo: fade in x presença
+  const modelOpacity = opacity * (PRESENCE_OPACITY[presence] ?? 1)
   
   // CORREÇÃO 3: Inicializar posição imediatamente quando componente monta
   useEffect(() => {
     // Tentar pegar dados imediatamente
-    const dyn = getDynamic(id)
+    const dyn = getInterpolated(id)
     if (dyn && dyn.position && groupRef.current) {
       // Teleportar imediatamente para posição correta do servidor
       groupRef.current.position.copy(dyn.position)
       groupRef.current.rotation.y = dyn.rotY
-      targetPos.current.copy(dyn.position)
-      targetRotY.current = dyn.rotY
-      isInitialized.current = true
-    } else {
-      // Se não encontrou dados, marcar como não inicializado
-      isInitialized.current = false
     }
-  }, [id, getDynamic]) // Re-executar se id mudar
+  }, [id, getInterpolated]) // Re-executar se id mudar
   
   // Fade in quando o player é criado
   useEffect(() => {
@@ -61,48 +76,18 @@ const RemotePlayer = memo(function RemotePlayer({ id, nickname, characterType, g
     return () => clearInterval(interval)
   }, [id]) // Reset quando id muda
 
-  // FASE 2: Movimento 100% no useFrame - pega dados dinâmicos via getDynamic
-  // CORREÇÃO: Abordagem mais direta baseada em three-arena
+  // FASE 2: Movimento 100% no useFrame - pega estado interpolado via getInterpolated
   useFrame((_, delta) => {
     const g = groupRef.current
     if (!g) return
 
-    // Pegar dados dinâmicos do Map
-    const dyn = getDynamic(id)
-    if (!dyn || !dyn.position) {
-      if (!isInitialized.current) return
-      return
-    }
-
-    // Primeira vez: inicializar imediatamente
-    if (!isInitialized.current) {
-      g.position.set(dyn.position.x, dyn.position.y, dyn.position.z)
-      g.rotation.y = dyn.rotY
-      targetPos.current.set(dyn.position.x, dyn.position.y, dyn.position.z)
-      targetRotY.current = dyn.rotY
-      isInitialized.current = true
-      return
-    }
+    // Estado no tempo de render (interpolado/extrapolado pelo usePlayers)
+    // Teleportes e pacotes atrasados já são tratados no buffer
+    const dyn = getInterpolated(id)
+    if (!dyn || !dyn.position) return
 
-    // Atualizar target position/rotation (sempre usar valores diretos)
-    targetPos.current.set(dyn.position.x, dyn.position.y, dyn.position.z)
-    targetRotY.current = dyn.rotY
-
-    // Teleporte se muito longe (lag severo)
-    const TELEPORT_DISTANCE = 10
-    const distance = g.position.distanceTo(targetPos.current)
-    if (distance > TELEPORT_DISTANCE) {
-      g.position.copy(targetPos.current)
-      g.rotation.y = targetRotY.current
-      return
-    }
-
-    // Interpolação exponencial (frame-rate independent)
-    // Baseado em three-arena: usar lerp mais agressivo para movimento mais responsivo
-    const t = 1 - Math.exp(-30 * delta) // Aumentado de 25 para 30 (mais responsivo)
-
-    g.position.lerp(targetPos.current, t)
-    g.rotation.y += (targetRotY.current - g.rotation.y) * t
+    g.position.copy(dyn.position)
+    g.rotation.y = dyn.rotY
 
     // Animação de flutuação (igual ao player local)
     if (floatGroupRef.current) {
@@ -110,20 +95,25 @@ const RemotePlayer = memo(function RemotePlayer({ id, nickname, characterType, g
       const floatAmount = Math.sin(timeRef.current * 2) * 0.1
       floatGroupRef.current.position.y = floatAmount
       
-      // Aplicar fade in no modelo GLTF (otimizado)
-      if (opacity < 1) {
+      // Aplicar fade in e presença no modelo GLTF (só quando a opacidade muda)
+      if (floatGroupRef.current.userData.appliedOpacity !== modelOpacity) {
         // Cache de materiais para evitar traverse repetido
+        // Materiais clonados: o GLTF é compartilhado entre avatares e cada um tem a sua opacidade
         if (!floatGroupRef.current.userData.materialsCached) {
           floatGroupRef.current.userData.materials = []
           floatGroupRef.current.traverse((child) => {
             if (child.isMesh && child.material) {
               if (Array.isArray(child.material)) {
+                child.material = child.material.map(mat => mat.clone())
                 floatGroupRef.current.userData.materials.push(...child.material)
               } else {
+                child.material = child.material.clone()
                 floatGroupRef.current.userData.materials.push(child.material)
               }
             }
           })
+          // Modelo ainda carregando: tentar de novo no próximo frame
+          if (floatGroupRef.current.userData.materials.length === 0) return
           floatGroupRef.current.userData.materialsCached = true
         }
         
@@ -131,9 +121,10 @@ const RemotePlayer = memo(function RemotePlayer({ id, nickname, characterType, g
         floatGroupRef.current.userData.materials.forEach(mat => {
           if (mat && typeof mat.transparent !== 'undefined') {
             mat.transparent = true
-            mat.opacity = opacity
+            mat.opacity = modelOpacity
           }
         })
+        floatGroupRef.current.userData.appliedOpacity = modelOpacity
       }
     }
   })
@@ -149,6 +140,9 @@ const RemotePlayer = memo(function RemotePlayer({ id, nickname, characterType, g
     return (nickname?.length || 0) * 0.18 + 0.3
   }, [nickname])
 
+  const badge = ROLE_BADGES[role]
+  const presenceTag = PRESENCE_TAGS[presence]
+
   return (
     <group ref={groupRef}>
       {/* Grupo de flutuação */}
@@ -172,8 +166,48 @@ const RemotePlayer = memo(function RemotePlayer({ id, nickname, characterType, g
             >
               {nickname}
             </Text>
+            {/* Badge de host/moderador */}
+            {badge && (
+              <group position={[0, 0.42, 0]}>
+                <mesh position={[0, 0, -0.01]}>
+                  <planeGeometry args={[badge.label.length * 0.13 + 0.2, 0.28]} />
+                  <meshBasicMaterial color={badge.color} transparent opacity={0.9 * opacity} />
+                </mesh>
+                <Text
+                  position={[0, 0, 0]}
+                  fontSize={0.18}
+                  color="#ffffff"
+                  anchorX="center"
+                  anchorY="middle"
+                  opacity={opacity}
+                >
+                  {badge.label}
+                </Text>
+              </group>
+            )}
+            {/* Etiqueta de presença (inativo, ausente, desconectado) */}
+            {presenceTag && (
+              <group position={[0, -0.4, 0]}>
+                <mesh position={[0, 0, -0.01]}>
+                  <planeGeometry args={[presenceTag.label.length * 0.1 + 0.2, 0.26]} />
+                  <meshBasicMaterial color={presenceTag.color} transparent opacity={0.85 * opacity} />
+                </mesh>
+                <Text
+                  position={[0, 0, 0]}
+                  fontSize={0.16}
+                  color="#ffffff"
+                  anchorX="center"
+                  anchorY="middle"
+                  opacity={opacity}
+                >
+                  {presenceTag.label}
+                </Text>
+              </group>
+            )}
           </group>
         )}
+        {/* Balões de fala (mensagens recentes do chat) */}
+        <SpeechBubbles messages={bubbles} />
         {/* Modelo 3D do avatar remoto com fade in */}
         <Gltf 
           castShadow 
@@ -186,10 +220,13 @@ const RemotePlayer = memo(function RemotePlayer({ id, nickname, characterType, g
   )
 }, (prevProps, nextProps) => {
   // FASE 2: Comparação simplificada - apenas dados estáticos
-  // Posição/rotação não importam mais (são gerenciadas no useFrame via getDynamic)
+  // Posição/rotação não importam mais (são gerenciadas no useFrame via getInterpolated)
   if (prevProps.id !== nextProps.id) return false
   if (prevProps.nickname !== nextProps.nickname) return false
   if (prevProps.characterType !== nextProps.characterType) return false
+  if (prevProps.role !== nextProps.role) return false
+  if (prevProps.presence !== nextProps.presence) return false
+  if (prevProps.bubbles !== nextProps.bubbles) return false
   
   // Se dados estáticos são iguais, não precisa re-render
   // (movimento é gerenciado no useFrame, não depende de props)
@@ -0,0 +1,181 @@
+import { useState, useEffect, useCallback } from 'react'
+import { getServerUrl } from '../hooks/useSocket'
+import './RoomBrowser.css'
+
+const REFRESH_INTERVAL = 5000 // Atualizar lista de salas a cada 5 segundos
+
+/**
+ * Navegador de salas (etapa depois da seleção de personagem)
+ * Lista as salas do backend (GET /rooms) e permite criar uma nova (POST /rooms)
+ */
+export default function RoomBrowser({ onSelect, onBack, error }) {
+  const [rooms, setRooms] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [loadError, setLoadError] = useState(null)
+  const [selectedRoomId, setSelectedRoomId] = useState(null)
+  const [password, setPassword] = useState('')
+  const [isCreating, setIsCreating] = useState(false)
+  const [createForm, setCreateForm] = useState({ name: '', maxPlayers: 20, password: '' })
+  const [createError, setCreateError] = useState(null)
+
+  const fetchRooms = useCallback(async () => {
+    try {
+      const response = await fetch(`${getServerUrl()}/rooms`)
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+      const data = await response.json()
+      setRooms(Array.isArray(data.rooms) ? data.rooms : [])
+      setLoadError(null)
+    } catch (err) {
+      console.error('Erro ao carregar salas:', err)
+      setLoadError('Não foi possível carregar as salas')
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchRooms()
+    const interval = setInterval(fetchRooms, REFRESH_INTERVAL)
+    return () => clearInterval(interval)
+  }, [fetchRooms])
+
+  const selectedRoom = rooms.find(room => room.id === selectedRoomId) || null
+  const isSelectedFull = selectedRoom ? selectedRoom.players >= selectedRoom.maxPlayers : false
+  // Sala cheia também pode ser escolhida: o servidor coloca na fila de espera
+  const canJoin = selectedRoom && (!selectedRoom.hasPassword || password.length > 0)
+
+  const handleJoin = () => {
+    if (!canJoin) return
+    onSelect({ roomId: selectedRoom.id, password: selectedRoom.hasPassword ? password : undefined })
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!createForm.name.trim()) return
+
+    try {
+      const response = await fetch(`${getServerUrl()}/rooms`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: createForm.name.trim(),
+          maxPlayers: Number(createForm.maxPlayers),
+          password: createForm.password || undefined
+        })
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        setCreateError(data.error || 'Não foi possível criar a sala')
+        return
+      }
+
+      // Sala criada: entrar direto nela
+      setCreateError(null)
+      onSelect({ roomId: data.room.id, password: createForm.password || undefined })
+    } catch (err) {
+      console.error('Erro ao criar sala:', err)
+      setCreateError('Não foi possível criar a sala')
+    }
+  }
+
+  return (
+    <div className="room-browser">
+      <div className="room-browser-header">
+        <button className="room-browser-link" onClick={onBack}>‹ Voltar</button>
+        <h2 className="room-browser-title">Escolha uma sala</h2>
+        <button className="room-browser-link" onClick={() => setIsCreating(prev => !prev)}>
+          {isCreating ? 'Cancelar' : '+ Nova sala'}
+        </button>
+      </div>
+
+      {error && <div className="room-browser-error">{error}</div>}
+
+      {isCreating ? (
+        <form className="room-browser-create" onSubmit={handleCreate}>
+          <input
+            className="room-browser-input"
+            type="text"
+            placeholder="Nome da sala"
+            maxLength={32}
+            value={createForm.name}
+            onChange={(e) => setCreateForm(prev => ({ ...prev, name: e.target.value }))}
+          />
+          <label className="room-browser-label">
+            Máximo de players
+            <input
+              className="room-browser-input"
+              type="number"
+              min={2}
+              max={100}
+              value={createForm.maxPlayers}
+              onChange={(e) => setCreateForm(prev => ({ ...prev, maxPlayers: e.target.value }))}
+            />
+          </label>
+          <input
+            className="room-browser-input"
+            type="password"
+            placeholder="Senha (opcional)"
+            maxLength={64}
+            value={createForm.password}
+            onChange={(e) => setCreateForm(prev => ({ ...prev, password: e.target.value }))}
+          />
+          {createError && <div className="room-browser-error">{createError}</div>}
+          <button className="room-browser-button" type="submit" disabled={!createForm.name.trim()}>
+            Criar e entrar
+          </button>
+        </form>
+      ) : (
+        <>
+          <ul className="room-browser-list">
+            {isLoading && <li className="room-browser-empty">Carregando salas...</li>}
+            {!isLoading && loadError && <li className="room-browser-empty">{loadError}</li>}
+            {!isLoading && !loadError && rooms.length === 0 && (
+              <li className="room-browser-empty">Nenhuma sala disponível</li>
+            )}
+            {rooms.map(room => {
+              const isFull = room.players >= room.maxPlayers
+              return (
+                <li
+                  key={room.id}
+                  className={`room-browser-item ${room.id === selectedRoomId ? 'selected' : ''} ${isFull ? 'full' : ''}`}
+                  onClick={() => {
+                    setSelectedRoomId(room.id)
+                    setPassword('')
+                  }}
+                >
+                  <span className="room-browser-name">
+                    {room.hasPassword && <span className="room-browser-lock">🔒</span>}
+                    {room.name}
+                  </span>
+                  <span className="room-browser-occupancy">
+                    {room.players}/{room.maxPlayers}
+                    {room.queued > 0 && ` · ${room.queued} na fila`}
+                  </span>
+                </li>
+              )
+            })}
+          </ul>
+
+          {selectedRoom?.hasPassword && (
+            <input
+              className="room-browser-input"
+              type="password"
+              placeholder="Senha da sala"
+              maxLength={64}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              onKeyPress={(e) => {
+                if (e.key === 'Enter') handleJoin()
+              }}
+            />
+          )}
+
+          <button className="room-browser-button" onClick={handleJoin} disabled={!canJoin}>
+            {isSelectedFull ? 'Entrar na fila' : 'Entrar na Sala'}
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
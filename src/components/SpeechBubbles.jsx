@@ -0,0 +1,122 @@
+import { useRef, memo } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { Billboard, Text } from '@react-three/drei'
+import * as THREE from 'three'
+
+// Configurações dos balões de fala
+const BUBBLE_DURATION = 6000 // Tempo total visível (ms)
+const BUBBLE_FADE = 1000 // Duração do fade out no final (ms)
+const MAX_BUBBLES = 3 // Máximo de balões empilhados por avatar
+const MAX_TEXT_LENGTH = 120 // Textos maiores são cortados com "…"
+const FONT_SIZE = 0.22
+const MAX_WIDTH = 3.2 // Largura máxima antes de quebrar linha
+const PADDING = 0.15
+const GAP = 0.08 // Espaço entre balões empilhados
+const BASE_DISTANCE = 12 // Distância em que a escala é 1
+const MAX_SCALE = 2.5
+
+// Estimar tamanho do balão (mesma ideia do frame do nickname: largura por caractere)
+const CHAR_WIDTH = FONT_SIZE * 0.55
+const LINE_HEIGHT = FONT_SIZE * 1.25
+
+const truncateBubbleText = (text) => {
+  return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH - 1)}…` : text
+}
+
+const measureBubble = (text) => {
+  const charsPerLine = Math.floor(MAX_WIDTH / CHAR_WIDTH)
+  const lines = Math.max(1, Math.ceil(text.length / charsPerLine))
+  const width = Math.min(text.length * CHAR_WIDTH, MAX_WIDTH) + PADDING * 2
+  const height = lines * LINE_HEIGHT + PADDING * 2
+  return { width, height }
+}
+
+// Opacidade pelo tempo de vida (0 quando expirou)
+const getBubbleOpacity = (age) => {
+  if (age >= BUBBLE_DURATION) return 0
+  if (age <= BUBBLE_DURATION - BUBBLE_FADE) return 1
+  return (BUBBLE_DURATION - age) / BUBBLE_FADE
+}
+
+function SpeechBubble({ message, offsetY, size }) {
+  const groupRef = useRef()
+  const planeMaterialRef = useRef()
+  const textRef = useRef()
+
+  // Fade out direto no useFrame (sem re-render do React)
+  useFrame(() => {
+    const opacity = getBubbleOpacity(Date.now() - message.receivedAt)
+    if (groupRef.current) {
+      groupRef.current.visible = opacity > 0
+    }
+    if (planeMaterialRef.current) {
+      planeMaterialRef.current.opacity = 0.75 * opacity
+    }
+    if (textRef.current) {
+      textRef.current.fillOpacity = opacity
+    }
+  })
+
+  return (
+    <group ref={groupRef} position={[0, offsetY + size.height / 2, 0]}>
+      {/* Fundo branco semi-transparente */}
+      <mesh position={[0, 0, -0.01]}>
+        <planeGeometry args={[size.width, size.height]} />
+        <meshBasicMaterial ref={planeMaterialRef} color="#ffffff" transparent opacity={0.75} depthWrite={false} />
+      </mesh>
+      <Text
+        ref={textRef}
+        fontSize={FONT_SIZE}
+        maxWidth={MAX_WIDTH}
+        lineHeight={1.25}
+        color="#111111"
+        anchorX="center"
+        anchorY="middle"
+        textAlign="center"
+      >
+        {message.text}
+      </Text>
+    </group>
+  )
+}
+
+/**
+ * Balões de fala acima do nickname de um avatar
+ * Recebe as mensagens recentes do player (com receivedAt local) e empilha as últimas
+ */
+const SpeechBubbles = memo(function SpeechBubbles({ messages, position = [0, 2.65, 0] }) {
+  const rootRef = useRef()
+  const worldPosition = useRef(new THREE.Vector3())
+
+  // Escalar com a distância da câmera para continuar legível de longe
+  useFrame(({ camera }) => {
+    if (!rootRef.current) return
+    rootRef.current.getWorldPosition(worldPosition.current)
+    const distance = camera.position.distanceTo(worldPosition.current)
+    const scale = THREE.MathUtils.clamp(distance / BASE_DISTANCE, 1, MAX_SCALE)
+    rootRef.current.scale.setScalar(scale)
+  })
+
+  if (!messages || messages.length === 0) return null
+
+  // Mais recente embaixo (perto do nickname), mais antigas sobem
+  const recent = messages.slice(-MAX_BUBBLES).map(msg => ({ ...msg, text: truncateBubbleText(msg.text) }))
+  let offsetY = 0
+  const stacked = []
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const size = measureBubble(recent[i].text)
+    stacked.push({ message: recent[i], offsetY, size })
+    offsetY += size.height + GAP
+  }
+
+  return (
+    <Billboard ref={rootRef} position={position}>
+      {stacked.map(({ message, offsetY, size }) => (
+        <SpeechBubble key={message.id} message={message} offsetY={offsetY} size={size} />
+      ))}
+    </Billboard>
+  )
+})
+
+export { BUBBLE_DURATION }
+export default SpeechBubbles
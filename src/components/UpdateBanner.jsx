@@ -0,0 +1,33 @@
+import { useState } from 'react'
+import { PROTOCOL_STATUS } from '../shared/protocol'
+import './UpdateBanner.css'
+
+/**
+ * Aviso de versão do app (handshake de protocolo, ver src/shared/protocol.js)
+ * - outdated: ainda conectado, sugere recarregar (pode ser dispensado)
+ * - incompatible: conexão recusada, só recarregando
+ */
+export default function UpdateBanner({ protocolStatus }) {
+  const [dismissed, setDismissed] = useState(false)
+
+  const status = protocolStatus?.status
+  if (status !== PROTOCOL_STATUS.OUTDATED && status !== PROTOCOL_STATUS.INCOMPATIBLE) return null
+
+  const isBlocking = status === PROTOCOL_STATUS.INCOMPATIBLE
+  if (dismissed && !isBlocking) return null
+
+  return (
+    <div className={`update-banner ${isBlocking ? 'blocking' : ''}`} role="alert">
+      <span className="update-banner-icon">{isBlocking ? '⚠️' : '🔄'}</span>
+      <span className="update-banner-message">{protocolStatus.message}</span>
+      <button className="update-banner-button" onClick={() => window.location.reload()}>
+        Recarregar
+      </button>
+      {!isBlocking && (
+        <button className="update-banner-dismiss" onClick={() => setDismissed(true)} aria-label="Dispensar">
+          ✕
+        </button>
+      )}
+    </div>
+  )
+}
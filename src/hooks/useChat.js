@@ -0,0 +1,93 @@
+import { useState, useEffect, useCallback } from 'react'
+import { ERROR_CODES } from '../shared/events'
+
+const MAX_MESSAGES = 50 // Mesmo tamanho do histórico do servidor
+const CHAT_MAX_LENGTH = 200
+// Avisos do servidor fora do chat que também aparecem como mensagem de sistema
+const SYSTEM_NOTICE_CODES = [ERROR_CODES.VIOLATION_WARNING]
+
+/**
+ * Hook do chat de texto
+ *
+ * - Recebe histórico no join (chatHistory) e novas mensagens (chatMessage)
+ * - Erros do chat (rate limit, tamanho), avisos do anti-cheat e respostas dos comandos
+ *   de moderação viram mensagens de sistema locais
+ * - Modo de proximidade: zona atual do player (zoneChanged)
+ */
+export function useChat(socket) {
+  const [messages, setMessages] = useState([]) // [{ id, playerId, nickname, text, timestamp, receivedAt?, system?, scope?, zone? }]
+  const [zone, setZone] = useState(null) // { id, name } quando dentro de uma zona (ex: palco)
+
+  useEffect(() => {
+    if (!socket) return
+
+    const handleHistory = (history) => {
+      if (!Array.isArray(history)) return
+      setMessages(history.slice(-MAX_MESSAGES))
+    }
+
+    const handleMessage = (message) => {
+      if (!message || typeof message.text !== 'string') return
+      // receivedAt local: usado pelos balões de fala (histórico não gera balão)
+      setMessages(prev => [...prev, { ...message, receivedAt: Date.now() }].slice(-MAX_MESSAGES))
+    }
+
+    const addSystemMessage = (text) => {
+      if (typeof text !== 'string' || !text) return
+      setMessages(prev => [...prev, {
+        id: `system-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+        system: true,
+        text,
+        timestamp: Date.now()
+      }].slice(-MAX_MESSAGES))
+    }
+
+    // Apenas erros do chat (CHAT_*) e avisos - os outros são tratados no App
+    const handleError = ({ code, message } = {}) => {
+      if (typeof code !== 'string') return
+      if (!code.startsWith('CHAT_') && !SYSTEM_NOTICE_CODES.includes(code)) return
+      addSystemMessage(message)
+    }
+
+    // Resposta dos comandos de moderação (/kick, /mute...) e avisos recebidos
+    const handleCommandResult = ({ message } = {}) => addSystemMessage(message)
+    const handleSystemNotice = ({ text } = {}) => addSystemMessage(text)
+
+    const handleZoneChanged = (nextZone) => {
+      setZone(nextZone && nextZone.id ? nextZone : null)
+    }
+
+    socket.on('chatHistory', handleHistory)
+    socket.on('chatMessage', handleMessage)
+    socket.on('error', handleError)
+    socket.on('commandResult', handleCommandResult)
+    socket.on('systemNotice', handleSystemNotice)
+    socket.on('zoneChanged', handleZoneChanged)
+
+    return () => {
+      socket.off('chatHistory', handleHistory)
+      socket.off('chatMessage', handleMessage)
+      socket.off('error', handleError)
+      socket.off('commandResult', handleCommandResult)
+      socket.off('systemNotice', handleSystemNotice)
+      socket.off('zoneChanged', handleZoneChanged)
+    }
+  }, [socket])
+
+  const sendMessage = useCallback((text) => {
+    if (!socket || !socket.connected) return false
+
+    const trimmed = typeof text === 'string' ? text.trim() : ''
+    if (!trimmed) return false
+
+    socket.emit('chatMessage', { text: trimmed.slice(0, CHAT_MAX_LENGTH) })
+    return true
+  }, [socket])
+
+  const clearMessages = useCallback(() => {
+    setMessages([])
+    setZone(null)
+  }, [])
+
+  return { messages, zone, sendMessage, clearMessages, maxLength: CHAT_MAX_LENGTH }
+}
@@ -0,0 +1,104 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { ERROR_CODES } from '../shared/events'
+
+const NOTICE_DURATION = 3000 // ms com o aviso de recusa na tela
+
+/**
+ * Conversa com NPCs (a árvore roda no servidor, ver backend/lib/dialogues.js)
+ *
+ * - nearbyNpc: NPC com diálogo ao alcance ({ npcId, name }), avisado pelo servidor (npcNearby)
+ * - dialogue: nó atual ({ npcId, npcName, text, choices }) ou null com o painel fechado
+ * - notice: recusa do servidor (longe demais, NPC não conversa), some sozinha
+ *
+ * A ação 'interact' do keyboardMap abre a conversa com o NPC ao alcance;
+ * enabled desliga a tecla (pausado, digitando no chat); isInRoom falso (conexão
+ * caiu, saiu da sala) limpa tudo.
+ */
+export function useNpcDialogue(socket, { isInRoom, keyboardMap, enabled }) {
+  const [nearbyNpc, setNearbyNpc] = useState(null)
+  const [dialogue, setDialogue] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  // Para o handler de teclado (evita recriar o listener a cada nó)
+  const stateRef = useRef({ nearbyNpc, dialogue })
+  stateRef.current = { nearbyNpc, dialogue }
+
+  useEffect(() => {
+    if (!socket) return
+
+    const handleNearby = ({ npcId, name } = {}) => {
+      setNearbyNpc(typeof npcId === 'string' ? { npcId, name } : null)
+    }
+    const handleNode = (node) => {
+      if (!node || typeof node.text !== 'string') return
+      setDialogue({ npcId: node.npcId, npcName: node.npcName, text: node.text, choices: Array.isArray(node.choices) ? node.choices : [] })
+    }
+    const handleEnded = () => setDialogue(null)
+
+    const handleError = ({ code, message, event } = {}) => {
+      if (code !== ERROR_CODES.DIALOGUE_UNAVAILABLE) return
+      // Escolha recusada (nó mudou no servidor) mantém o painel; o resto é um aviso
+      if (event !== 'dialogueChoice') setDialogue(null)
+      setNotice(message || 'NPC indisponível')
+    }
+
+    socket.on('npcNearby', handleNearby)
+    socket.on('dialogueNode', handleNode)
+    socket.on('dialogueEnded', handleEnded)
+    socket.on('error', handleError)
+
+    return () => {
+      socket.off('npcNearby', handleNearby)
+      socket.off('dialogueNode', handleNode)
+      socket.off('dialogueEnded', handleEnded)
+      socket.off('error', handleError)
+    }
+  }, [socket])
+
+  // Conexão caiu ou saiu da sala: o servidor encerra o diálogo e reenvia o npcNearby na volta
+  useEffect(() => {
+    if (isInRoom) return
+    setNearbyNpc(null)
+    setDialogue(null)
+  }, [isInRoom])
+
+  useEffect(() => {
+    if (!notice) return
+    const timeout = setTimeout(() => setNotice(null), NOTICE_DURATION)
+    return () => clearTimeout(timeout)
+  }, [notice])
+
+  const interact = useCallback(() => {
+    const { nearbyNpc: npc, dialogue: current } = stateRef.current
+    if (!socket || !socket.connected || !npc || current) return
+    socket.emit('npcInteract', { npcId: npc.npcId })
+  }, [socket])
+
+  const choose = useCallback((index) => {
+    if (!socket || !socket.connected || !stateRef.current.dialogue) return
+    socket.emit('dialogueChoice', { index })
+  }, [socket])
+
+  const close = useCallback(() => {
+    if (!stateRef.current.dialogue) return
+    setDialogue(null)
+    if (socket && socket.connected) socket.emit('dialogueClose')
+  }, [socket])
+
+  // Tecla de interação (keyboardMap usa event.code, ex: KeyE)
+  useEffect(() => {
+    if (!enabled || !keyboardMap) return
+    const action = keyboardMap.find(({ name }) => name === 'interact')
+    if (!action) return
+
+    const handleKeyDown = (event) => {
+      if (event.repeat || !(action.keys.includes(event.code) || action.keys.includes(event.key))) return
+      interact()
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [enabled, keyboardMap, interact])
+
+  return { nearbyNpc, dialogue, notice, choose, close }
+}
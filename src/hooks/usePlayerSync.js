@@ -1,11 +1,86 @@
 import { useRef, useEffect } from 'react'
 import { useThree, useFrame } from '@react-three/fiber'
 import { useRapier } from '@react-three/rapier'
+import * as THREE from 'three'
+import { WIRE_FORMATS, encodeMove } from '../shared/binaryProtocol'
+import {
+  MOVEMENT_MODES,
+  MOVEMENT_CONFIG,
+  INPUT_ACTIONS,
+  hasMovementInput,
+  stepMovement
+} from '../shared/movement'
+
+// Predição do modo autoritativo
+const MAX_FRAME_TIME = 250 // ms acumulados no máximo (aba em segundo plano não gera rajada de inputs)
+const CORRECTION_DECAY = 10 // Correções pequenas da reconciliação somem em ~100ms
+const SNAP_DISTANCE = 5 // Correções maiores (teleporte) são aplicadas na hora
+const HEARTBEAT_INTERVAL = 1500
+
+const isValidMovementState = (state) => {
+  return !!state && ['x', 'y', 'z', 'vy', 'ry'].every(key => typeof state[key] === 'number')
+}
+
+// Corpo do Rapier do Controller (único corpo dinâmico da cena)
+const findControllerBody = (world) => {
+  let found = null
+  world.bodies.forEach(body => {
+    if (!found && body.isDynamic()) found = body
+  })
+  return found
+}
+
+// Modo autoritativo: o KeyboardControls fica suspenso (o ecctrl não move o corpo),
+// então as ações do keyboardMap são lidas direto do teclado
+function usePressedActions(keyboardMap, enabled) {
+  const pressedRef = useRef({})
+
+  useEffect(() => {
+    pressedRef.current = {}
+    if (!enabled || !keyboardMap) return
+
+    const keyToAction = new Map()
+    keyboardMap.forEach(({ name, keys }) => keys.forEach(key => keyToAction.set(key, name)))
+
+    // keyboardMap usa event.code (KeyW) ou event.key (Shift)
+    const setKey = (event, pressed) => {
+      const action = keyToAction.get(event.code) || keyToAction.get(event.key)
+      if (action) pressedRef.current[action] = pressed
+    }
+    const handleKeyDown = (event) => setKey(event, true)
+    const handleKeyUp = (event) => setKey(event, false)
+    const handleBlur = () => { pressedRef.current = {} }
+
+    window.addEventListener('keydown', handleKeyDown)
+    window.addEventListener('keyup', handleKeyUp)
+    window.addEventListener('blur', handleBlur)
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown)
+      window.removeEventListener('keyup', handleKeyUp)
+      window.removeEventListener('blur', handleBlur)
+    }
+  }, [keyboardMap, enabled])
+
+  return pressedRef
+}
 
 // Componente interno para capturar posição do controller
 // CORREÇÃO: Receber controllerRef para garantir referência única
-export function PlayerSync({ socket, isPaused, spawnPosition, controllerRef }) {
-  const { scene } = useThree()
+// Modo autoritativo (movementMode): envia inputs sequenciados (playerInput), prevê
+// localmente com a mesma simulação do servidor e reconcilia no inputAck
+// movementSession: estado do servidor no join/retomada ({ seq, state } do sessionStarted)
+export function PlayerSync({
+  socket,
+  isPaused,
+  spawnPosition,
+  controllerRef,
+  wireFormat = WIRE_FORMATS.JSON,
+  movementMode = MOVEMENT_MODES.CLIENT,
+  movementSession,
+  keyboardMap,
+  controlsEnabled = true
+}) {
+  const { scene, camera } = useThree()
   const { world } = useRapier()
   const lastSentRef = useRef({ position: null, rotation: null })
   const lastTimeRef = useRef(0)
@@ -14,6 +89,14 @@ export function PlayerSync({ socket, isPaused, spawnPosition, controllerRef }) {
   const searchStartTimeRef = useRef(Date.now())
   const fallbackPositionRef = useRef(spawnPosition ? { x: spawnPosition[0], y: spawnPosition[1], z: spawnPosition[2] } : null)
 
+  // Predição: estado previsto, inputs ainda não confirmados e correção visual pendente
+  const isAuthoritative = movementMode === MOVEMENT_MODES.AUTHORITATIVE
+  const predictionRef = useRef({ state: null, pending: [], seq: 0, accumulator: 0 })
+  const correctionRef = useRef(new THREE.Vector3())
+  const cameraDirectionRef = useRef(new THREE.Vector3())
+  const bodyRotationRef = useRef(new THREE.Quaternion())
+  const pressedRef = usePressedActions(keyboardMap, isAuthoritative && controlsEnabled && !isPaused)
+
   // Múltiplas estratégias de busca do controller
   const findController = () => {
     if (controllerObjectRef.current) return true
@@ -77,6 +160,113 @@ export function PlayerSync({ socket, isPaused, spawnPosition, controllerRef }) {
     }
   }, [scene, world])
 
+  // Estado do servidor + reaplicar inputs que ele ainda não processou
+  const reconcile = (seq, serverState, resetPending) => {
+    const prediction = predictionRef.current
+    prediction.pending = resetPending ? [] : prediction.pending.filter(input => input.seq > seq)
+
+    let replayed = serverState
+    prediction.pending.forEach(input => {
+      replayed = stepMovement(replayed, input)
+    })
+
+    // Erro pequeno vira correção suavizada; grande (teleporte) é aplicado direto
+    const previous = prediction.state
+    const correction = correctionRef.current
+    if (previous && !resetPending) {
+      correction.x += previous.x - replayed.x
+      correction.y += previous.y - replayed.y
+      correction.z += previous.z - replayed.z
+      if (correction.length() > SNAP_DISTANCE) correction.set(0, 0, 0)
+    } else {
+      correction.set(0, 0, 0)
+    }
+
+    prediction.state = replayed
+  }
+
+  // Modo autoritativo: reconciliar com o estado confirmado pelo servidor
+  useEffect(() => {
+    if (!socket || !isAuthoritative) return
+
+    const handleInputAck = ({ seq, state } = {}) => {
+      if (typeof seq !== 'number' || !isValidMovementState(state)) return
+      reconcile(seq, state, false)
+    }
+
+    socket.on('inputAck', handleInputAck)
+    return () => socket.off('inputAck', handleInputAck)
+  }, [socket, isAuthoritative])
+
+  // Join/retomada: servidor manda o estado atual, inputs antigos não valem mais
+  useEffect(() => {
+    if (!isAuthoritative || !movementSession || !isValidMovementState(movementSession.state)) return
+    reconcile(movementSession.seq, movementSession.state, true)
+  }, [isAuthoritative, movementSession])
+
+  // Anti-cheat: servidor recusou a posição e manda voltar para a que ele aceitou
+  useEffect(() => {
+    if (!socket) return
+
+    const handlePositionCorrection = ({ position, movement } = {}) => {
+      if (isAuthoritative) {
+        if (movement && typeof movement.seq === 'number' && isValidMovementState(movement.state)) {
+          reconcile(movement.seq, movement.state, true)
+        }
+        return
+      }
+
+      const body = world ? findControllerBody(world) : null
+      if (!body || !position || ![position.x, position.y, position.z].every(Number.isFinite)) return
+      body.setTranslation({ x: position.x, y: position.y, z: position.z }, true)
+      body.setLinvel({ x: 0, y: 0, z: 0 }, true)
+      lastSentRef.current = { position: null, rotation: null } // Reenviar a partir da posição corrigida
+    }
+
+    socket.on('positionCorrection', handlePositionCorrection)
+    return () => socket.off('positionCorrection', handlePositionCorrection)
+  }, [socket, isAuthoritative, world])
+
+  // Gerar um input por tick (mesma taxa do servidor), prever e posicionar o corpo
+  const runPrediction = (delta, now) => {
+    const prediction = predictionRef.current
+    const body = findControllerBody(world)
+    if (!prediction.state || !body) return
+
+    // Yaw da câmera: frente do ecctrl é para onde a câmera olha
+    camera.getWorldDirection(cameraDirectionRef.current)
+    const yaw = Math.atan2(cameraDirectionRef.current.x, cameraDirectionRef.current.z)
+
+    prediction.accumulator = Math.min(prediction.accumulator + delta * 1000, MAX_FRAME_TIME)
+    while (prediction.accumulator >= MOVEMENT_CONFIG.TICK_MS) {
+      prediction.accumulator -= MOVEMENT_CONFIG.TICK_MS
+
+      const input = { seq: prediction.seq + 1, yaw }
+      INPUT_ACTIONS.forEach(action => {
+        input[action] = !!pressedRef.current[action]
+      })
+
+      // Parado no chão sem teclas: nada muda, só envia o heartbeat
+      const needsHeartbeat = now - lastHeartbeatRef.current > HEARTBEAT_INTERVAL
+      if (!hasMovementInput(input) && prediction.state.grounded && !needsHeartbeat) continue
+
+      prediction.seq = input.seq
+      prediction.state = stepMovement(prediction.state, input)
+      prediction.pending.push(input)
+      socket.emit('playerInput', input)
+      lastHeartbeatRef.current = now
+    }
+
+    const correction = correctionRef.current
+    correction.multiplyScalar(Math.exp(-CORRECTION_DECAY * delta))
+
+    const { x, y, z, ry } = prediction.state
+    body.setTranslation({ x: x + correction.x, y: y + correction.y, z: z + correction.z }, true)
+    body.setLinvel({ x: 0, y: 0, z: 0 }, true)
+    bodyRotationRef.current.setFromAxisAngle(THREE.Object3D.DEFAULT_UP, ry)
+    body.setRotation(bodyRotationRef.current, true)
+  }
+
   // Atualizar fallback position quando spawnPosition mudar
   useEffect(() => {
     if (spawnPosition && spawnPosition.length === 3) {
@@ -89,6 +279,11 @@ export function PlayerSync({ socket, isPaused, spawnPosition, controllerRef }) {
     if (!socket || !socket.connected || isPaused || !world) return
 
     const now = Date.now()
+
+    if (isAuthoritative) {
+      runPrediction(delta, now)
+      return
+    }
     
     // Buscar controller menos frequentemente (a cada 2 segundos) para melhor performance
     const searchInterval = 2000
@@ -174,13 +369,14 @@ export function PlayerSync({ socket, isPaused, spawnPosition, controllerRef }) {
       const needsHeartbeat = now - lastHeartbeatRef.current > 1500
 
       if ((hasChanged || needsHeartbeat) && socket.connected) {
-        // Payload enxuto - apenas x, y, z, ry
-        socket.emit('playerMove', {
+        // Payload enxuto - apenas x, y, z, ry (binário: 8 bytes quantizados)
+        const move = {
           x: position.x,
           y: position.y,
           z: position.z,
           ry: rotation.y
-        })
+        }
+        socket.emit('playerMove', wireFormat === WIRE_FORMATS.BINARY ? encodeMove(move) : move)
         lastSentRef.current = { position: { ...position }, rotation: { ...rotation } }
         if (needsHeartbeat) {
           lastHeartbeatRef.current = now
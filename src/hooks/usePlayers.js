@@ -1,25 +1,131 @@
 import { useState, useCallback, useRef } from 'react'
 import * as THREE from 'three'
+import { ROLES } from '../shared/roles'
+import { PRESENCE_STATES } from '../shared/presence'
+import { NPC_KIND } from '../shared/npcs'
+
+// Buffer de interpolação (tempos em ms do relógio do servidor)
+export const INTERPOLATION_CONFIG = {
+  DELAY: 100, // Renderizar 100ms atrás do tempo real (~2 pacotes de 50ms)
+  SNAPSHOT_INTERVAL: 150, // Intervalo dos snapshots até o servidor informar o dele (syncSettings)
+  SNAPSHOT_MARGIN: 50, // NPCs só chegam nos snapshots: atraso = intervalo + folga
+  HISTORY_SIZE: 20, // Amostras guardadas por player
+  MAX_EXTRAPOLATION: 200, // Pacotes atrasados: extrapolar no máximo 200ms
+  TELEPORT_DISTANCE: 10 // Amostras mais distantes que isso não são interpoladas (teleporte)
+}
+
+const TWO_PI = Math.PI * 2
+
+// Interpolar ângulo pelo caminho mais curto
+const lerpAngle = (from, to, t) => {
+  let diff = (to - from) % TWO_PI
+  if (diff > Math.PI) diff -= TWO_PI
+  if (diff < -Math.PI) diff += TWO_PI
+  return from + diff * t
+}
+
+const createSample = (time, x, y, z, rotY) => ({ time, x, y, z, rotY })
+
+// Adicionar amostra no histórico (ignora fora de ordem, substitui mesmo timestamp)
+const pushSample = (history, sample) => {
+  const last = history[history.length - 1]
+  if (last && sample.time < last.time) return
+  if (last && sample.time === last.time) {
+    history[history.length - 1] = sample
+    return
+  }
+  history.push(sample)
+  if (history.length > INTERPOLATION_CONFIG.HISTORY_SIZE) history.shift()
+}
+
+const sampleDistance = (a, b) => Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2 + (b.z - a.z) ** 2)
+
+// Estado no instante renderTime: interpola entre as duas amostras que o cercam,
+// ou extrapola (limitado) a partir das duas últimas se os pacotes atrasaram
+const sampleHistory = (history, renderTime) => {
+  const first = history[0]
+  const last = history[history.length - 1]
+
+  if (history.length === 1 || renderTime <= first.time) return first
+
+  if (renderTime <= last.time) {
+    for (let i = history.length - 1; i > 0; i--) {
+      const from = history[i - 1]
+      const to = history[i]
+      if (renderTime < from.time) continue
+
+      // Distância grande entre amostras = teleporte, não interpolar
+      if (sampleDistance(from, to) > INTERPOLATION_CONFIG.TELEPORT_DISTANCE) return to
+
+      const t = to.time > from.time ? (renderTime - from.time) / (to.time - from.time) : 1
+      return createSample(
+        renderTime,
+        from.x + (to.x - from.x) * t,
+        from.y + (to.y - from.y) * t,
+        from.z + (to.z - from.z) * t,
+        lerpAngle(from.rotY, to.rotY, t)
+      )
+    }
+  }
+
+  // Depois da última amostra: extrapolar pela velocidade das duas últimas
+  const previous = history[history.length - 2]
+  const elapsed = last.time - previous.time
+  if (elapsed <= 0 || sampleDistance(previous, last) > INTERPOLATION_CONFIG.TELEPORT_DISTANCE) return last
+
+  const ahead = Math.min(renderTime - last.time, INTERPOLATION_CONFIG.MAX_EXTRAPOLATION) / elapsed
+  return createSample(
+    renderTime,
+    last.x + (last.x - previous.x) * ahead,
+    last.y + (last.y - previous.y) * ahead,
+    last.z + (last.z - previous.z) * ahead,
+    last.rotY
+  )
+}
 
 /**
  * FASE 2: Hook otimizado para gerenciar players
  * 
  * Separação de responsabilidades:
- * - State (React): Apenas dados estáticos { id, nickname, characterType }
- * - Map (dinâmico): Posições e rotações atualizadas { position: Vector3, rotY: number, lastUpdate: number }
+ * - State (React): Apenas dados estáticos { id, nickname, characterType, role }
+ * - Map (dinâmico): Posições e rotações atualizadas { position: Vector3, rotY: number, lastUpdate: number, history }
  * 
  * Isso elimina re-renders desnecessários do React quando apenas a posição muda.
+ *
+ * Interpolação: cada player guarda um histórico curto de amostras com o timestamp
+ * do servidor. O RemotePlayer renderiza INTERPOLATION_CONFIG.DELAY atrás do tempo
+ * do servidor (getInterpolated), então pacotes irregulares não causam tremidas.
+ * NPCs usam o intervalo dos snapshots (snapshotInterval, vindo do servidor) + SNAPSHOT_MARGIN:
+ * com o atraso dos players eles ficariam extrapolando entre um snapshot e outro.
+ * O tempo do servidor vem do relógio sincronizado do useSocket (getServerTime).
+ *
+ * Área de interesse: players fora do raio continuam na lista (inInterest: false),
+ * apenas não são renderizados. Sair do interesse NÃO é desconexão.
  */
-export function usePlayers() {
+export function usePlayers(getServerTime = Date.now, snapshotInterval = null) {
   // FASE 2: State apenas para dados estáticos (que precisam trigger re-render)
-  const [playersList, setPlayersList] = useState([]) // Array de { id, nickname, characterType }
+  const [playersList, setPlayersList] = useState([]) // Array de { id, nickname, characterType, role, inInterest }
   
   // FASE 2: Map para dados dinâmicos (posições atualizadas sem trigger re-render)
-  const dynamicRef = useRef(new Map()) // Map<id, { position: Vector3, rotY: number, lastUpdate: number }>
+  const dynamicRef = useRef(new Map()) // Map<id, { position: Vector3, rotY: number, lastUpdate: number, snapshotOnly: boolean, history: [] }>
+
+  // Ref para não recriar callbacks se a função mudar
+  const getServerTimeRef = useRef(getServerTime)
+  getServerTimeRef.current = getServerTime
+  const getServerNow = useCallback(() => getServerTimeRef.current(), [])
+
+  // Intervalo pode mudar com o servidor rodando (recarga de configuração)
+  const snapshotIntervalRef = useRef(INTERPOLATION_CONFIG.SNAPSHOT_INTERVAL)
+  snapshotIntervalRef.current = snapshotInterval || INTERPOLATION_CONFIG.SNAPSHOT_INTERVAL
 
   // FASE 2: Adicionar player - cria entry no Map e adiciona no state
   const addPlayer = useCallback((playerData) => {
-    const { id, nickname, characterType, position, rotation } = playerData
+    const { id, nickname, characterType, role, position, rotation, lastUpdate } = playerData
+    const inInterest = playerData.inInterest !== false
+    // Snapshots binários não trazem a presença: manter a que já era conhecida
+    const presence = typeof playerData.presence === 'string' ? playerData.presence : null
+    // NPCs (kind 'npc') usam o mesmo buffer de interpolação, com o modelo vindo do servidor
+    const entity = playerData.kind ? { kind: playerData.kind, model: playerData.model || null } : {}
     
     // Validação
     if (!id || typeof id !== 'string') return
@@ -36,10 +142,16 @@ export function usePlayers() {
       typeof pos.z === 'number' ? pos.z : 0
     )
     
+    // Histórico recomeça (re-entrada no interesse não interpola da posição antiga)
+    const time = typeof lastUpdate === 'number' ? lastUpdate : getServerNow()
+    const rotY = typeof rot.y === 'number' ? rot.y : 0
+
     dynamicRef.current.set(id, {
       position: positionVector,
-      rotY: typeof rot.y === 'number' ? rot.y : 0,
-      lastUpdate: Date.now()
+      rotY,
+      lastUpdate: time,
+      snapshotOnly: entity.kind === NPC_KIND,
+      history: [createSample(time, positionVector.x, positionVector.y, positionVector.z, rotY)]
     })
 
 
@@ -49,7 +161,7 @@ export function usePlayers() {
       if (prev.some(p => p.id === id)) {
         return prev.map(p => 
           p.id === id 
-            ? { id, nickname: nickname?.trim().slice(0, 12) || 'Unknown', characterType: characterType || 0 }
+            ? { id, nickname: nickname?.trim().slice(0, 12) || 'Unknown', characterType: characterType || 0, role: role || ROLES.GUEST, inInterest, presence: presence || p.presence, ...entity }
             : p
         )
       }
@@ -58,17 +170,23 @@ export function usePlayers() {
       return [...prev, {
         id,
         nickname: nickname?.trim().slice(0, 12) || 'Unknown',
-        characterType: characterType || 0
+        characterType: characterType || 0,
+        role: role || ROLES.GUEST,
+        inInterest,
+        presence: presence || PRESENCE_STATES.ACTIVE,
+        ...entity
       }]
     })
-  }, [])
+  }, [getServerNow])
 
   // FASE 2: Atualizar posição/rotação - NÃO usa setState, apenas atualiza Map
   // CORREÇÃO: Abordagem mais robusta baseada em three-arena
-  const updatePlayer = useCallback((id, position, rotation) => {
+  // serverTime: timestamp do servidor da amostra (lastUpdate do player)
+  const updatePlayer = useCallback((id, position, rotation, serverTime) => {
     if (!id || typeof id !== 'string') return
     if (!position || typeof position.x !== 'number') return // Validação rigorosa
 
+    const time = typeof serverTime === 'number' ? serverTime : getServerNow()
     let dyn = dynamicRef.current.get(id)
     
     // Se player não existe no Map, criar entry defensivamente
@@ -81,8 +199,10 @@ export function usePlayers() {
           position.z || 0
         ),
         rotY: rotation?.y || 0,
-        lastUpdate: Date.now()
+        lastUpdate: time,
+        snapshotOnly: false
       }
+      dyn.history = [createSample(time, dyn.position.x, dyn.position.y, dyn.position.z, dyn.rotY)]
       dynamicRef.current.set(id, dyn)
       
       // Adicionar no state também se não existir
@@ -91,7 +211,9 @@ export function usePlayers() {
         return [...prev, { 
           id, 
           nickname: `Player-${id.slice(0, 6)}`, 
-          characterType: 0 
+          characterType: 0,
+          role: ROLES.GUEST,
+          inInterest: true
         }]
       })
       return // Primeira vez, já criou
@@ -104,10 +226,47 @@ export function usePlayers() {
     const newZ = position.z
     const newRotY = rotation?.y ?? dyn.rotY
     
+    // Amostra fora de ordem (mais antiga que a última) é descartada
+    if (time < dyn.lastUpdate) return
+    pushSample(dyn.history, createSample(time, newX, newY, newZ, newRotY))
+
     // SEMPRE criar novo Vector3 (garante atualização)
     dyn.position = new THREE.Vector3(newX, newY, newZ)
     dyn.rotY = newRotY
-    dyn.lastUpdate = Date.now()
+    dyn.lastUpdate = time
+  }, [getServerNow])
+
+  // Área de interesse: marcar player como visível/fora do raio (sem remover)
+  const setPlayerInterest = useCallback((id, inInterest) => {
+    if (!id || typeof id !== 'string') return
+
+    setPlayersList(prev => {
+      const existing = prev.find(p => p.id === id)
+      if (!existing || existing.inInterest === inInterest) return prev
+      return prev.map(p => p.id === id ? { ...p, inInterest } : p)
+    })
+  }, [])
+
+  // Trocar nickname (renomeado pela moderação)
+  const renamePlayer = useCallback((id, nickname) => {
+    if (!id || typeof id !== 'string' || typeof nickname !== 'string') return
+
+    setPlayersList(prev => {
+      const existing = prev.find(p => p.id === id)
+      if (!existing || existing.nickname === nickname) return prev
+      return prev.map(p => p.id === id ? { ...p, nickname: nickname.trim().slice(0, 12) } : p)
+    })
+  }, [])
+
+  // Trocar estado de presença (ativo, inativo, ausente, desconectado)
+  const setPlayerPresence = useCallback((id, presence) => {
+    if (!id || typeof id !== 'string' || typeof presence !== 'string') return
+
+    setPlayersList(prev => {
+      const existing = prev.find(p => p.id === id)
+      if (!existing || existing.presence === presence) return prev
+      return prev.map(p => p.id === id ? { ...p, presence } : p)
+    })
   }, [])
 
   // FASE 2: Remover player - remove do Map e do state
@@ -143,14 +302,34 @@ export function usePlayers() {
     }
   }, [])
 
+  // Posição/rotação interpolada no tempo de render (servidor - atraso do player/NPC)
+  // Usado no useFrame do RemotePlayer
+  const getInterpolated = useCallback((id) => {
+    const dyn = dynamicRef.current.get(id)
+    if (!dyn || !dyn.history || dyn.history.length === 0) return null
+
+    const delay = dyn.snapshotOnly
+      ? snapshotIntervalRef.current + INTERPOLATION_CONFIG.SNAPSHOT_MARGIN
+      : INTERPOLATION_CONFIG.DELAY
+    const state = sampleHistory(dyn.history, getServerNow() - delay)
+    return {
+      position: new THREE.Vector3(state.x, state.y, state.z),
+      rotY: state.rotY
+    }
+  }, [getServerNow])
+
   return {
     // FASE 2: Expor lista de players (dados estáticos) para renderização
     playersList,
     // FASE 2: Função para pegar dados dinâmicos
     getDynamic,
+    getInterpolated,
     // Funções de gerenciamento
     addPlayer,
     updatePlayer,
+    setPlayerInterest,
+    renamePlayer,
+    setPlayerPresence,
     removePlayer,
     clearPlayers
   }
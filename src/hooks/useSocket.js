@@ -1,16 +1,69 @@
-import { useEffect, useRef, useState } from 'react'
+import { useCallback, useEffect, useRef, useState } from 'react'
 import { io } from 'socket.io-client'
+import { WIRE_FORMATS } from '../shared/binaryProtocol'
+import { PROTOCOL, PROTOCOL_STATUS } from '../shared/protocol'
+import { ERROR_CODES } from '../shared/events'
+
+// Build do frontend (diagnóstico no servidor; na Vercel vem do commit publicado)
+const BUILD_ID = process.env.REACT_APP_BUILD_ID || process.env.REACT_APP_VERCEL_GIT_COMMIT_SHA || 'dev'
+
+// Formatos suportados, em ordem de preferência (REACT_APP_WIRE_FORMAT=json força JSON)
+const SUPPORTED_FORMATS = process.env.REACT_APP_WIRE_FORMAT === 'json'
+  ? [WIRE_FORMATS.JSON]
+  : [WIRE_FORMATS.BINARY, WIRE_FORMATS.JSON]
+const NEGOTIATION_TIMEOUT = 3000
+
+// Sincronização de relógio com o servidor (ping/pong 'timeSync')
+const TIME_SYNC_CONFIG = {
+  INITIAL_SAMPLES: 5, // Rajada ao conectar (estimativa rápida)
+  INITIAL_INTERVAL: 200, // ms entre pings da rajada
+  INTERVAL: 5000, // ms entre pings depois da rajada
+  TIMEOUT: 2000, // Ping sem resposta é descartado
+  WINDOW: 8, // Amostras consideradas para escolher o offset
+  OFFSET_SMOOTHING: 0.2, // Suavização do offset (evita saltos no relógio)
+  RTT_SMOOTHING: 0.125 // Suavização do RTT (mesmo fator do SRTT do TCP)
+}
+
+const createClockState = () => ({ offset: null, rtt: null, samples: [] })
+
+// Nova amostra: o offset vem da amostra de menor RTT da janela
+// (menos atraso de fila = estimativa mais confiável)
+const applyTimeSample = (clock, rtt, offset) => {
+  clock.samples.push({ rtt, offset })
+  if (clock.samples.length > TIME_SYNC_CONFIG.WINDOW) clock.samples.shift()
+
+  const best = clock.samples.reduce((min, sample) => sample.rtt < min.rtt ? sample : min)
+  clock.offset = clock.offset === null
+    ? best.offset
+    : clock.offset + (best.offset - clock.offset) * TIME_SYNC_CONFIG.OFFSET_SMOOTHING
+  clock.rtt = clock.rtt === null
+    ? rtt
+    : clock.rtt + (rtt - clock.rtt) * TIME_SYNC_CONFIG.RTT_SMOOTHING
+}
+
+// URL do servidor
+// Prioridade: serverUrl > REACT_APP_SOCKET_URL > localhost (dev)
+// Também usada para os endpoints REST do backend (ex: /rooms)
+export function getServerUrl(serverUrl) {
+  return serverUrl || process.env.REACT_APP_SOCKET_URL || 
+    (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3001')
+}
 
 export function useSocket(serverUrl) {
   const [socket, setSocket] = useState(null)
   const [isConnected, setIsConnected] = useState(false)
+  const [wireFormat, setWireFormat] = useState(WIRE_FORMATS.JSON) // Formato do tráfego de movimento
+  const [latency, setLatency] = useState(null) // RTT suavizado em ms (null = ainda sem medida)
+  const [protocolStatus, setProtocolStatus] = useState(null) // { status, message } do handshake de versão
+  const [stateSyncInterval, setStateSyncInterval] = useState(null) // ms entre snapshots (null = ainda não informado)
   const socketRef = useRef(null)
+  const clockRef = useRef(createClockState())
+
+  // Horário estimado do servidor (ms) - sem sincronização ainda, usa o relógio local
+  const getServerTime = useCallback(() => Date.now() + (clockRef.current.offset ?? 0), [])
 
   useEffect(() => {
-    // URL do servidor
-    // Prioridade: serverUrl > REACT_APP_SOCKET_URL > localhost (dev)
-    const url = serverUrl || process.env.REACT_APP_SOCKET_URL || 
-      (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3001')
+    const url = getServerUrl(serverUrl)
     
     if (!url) {
       console.error('❌ REACT_APP_SOCKET_URL não configurada!')
@@ -20,7 +73,9 @@ export function useSocket(serverUrl) {
     console.log('Conectando ao servidor Socket.IO:', url)
     
     // Criar conexão Socket.IO
+    // Handshake de versão: o servidor aceita, avisa (protocolStatus) ou recusa (connect_error)
     const socketInstance = io(url, {
+      auth: { protocolVersion: PROTOCOL.VERSION, buildId: BUILD_ID },
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionDelay: 1000,
@@ -30,30 +85,75 @@ export function useSocket(serverUrl) {
     socketRef.current = socketInstance
     setSocket(socketInstance)
 
+    let syncTimeout = null
+    const sendTimeSync = (remaining) => {
+      const clientTime = Date.now()
+      socketInstance.timeout(TIME_SYNC_CONFIG.TIMEOUT).emit('timeSync', { clientTime }, (err, response) => {
+        if (!err && typeof response?.serverTime === 'number') {
+          const now = Date.now()
+          const rtt = now - clientTime
+          applyTimeSample(clockRef.current, rtt, response.serverTime + rtt / 2 - now)
+          setLatency(Math.round(clockRef.current.rtt))
+        }
+      })
+
+      if (!socketInstance.connected) return
+      const delay = remaining > 0 ? TIME_SYNC_CONFIG.INITIAL_INTERVAL : TIME_SYNC_CONFIG.INTERVAL
+      syncTimeout = setTimeout(() => sendTimeSync(remaining - 1), delay)
+    }
+
     // Eventos de conexão
     socketInstance.on('connect', () => {
       console.log('✅ Conectado ao servidor Socket.IO')
       setIsConnected(true)
+
+      // Negociar formato do movimento (servidor antigo/sem resposta = JSON)
+      socketInstance.timeout(NEGOTIATION_TIMEOUT).emit('negotiateFormat', { formats: SUPPORTED_FORMATS }, (err, response) => {
+        const format = !err && SUPPORTED_FORMATS.includes(response?.format) ? response.format : WIRE_FORMATS.JSON
+        setWireFormat(format)
+      })
+
+      // Relógio: rajada inicial e depois pings periódicos (offset é mantido entre reconexões)
+      clearTimeout(syncTimeout)
+      sendTimeSync(TIME_SYNC_CONFIG.INITIAL_SAMPLES - 1)
     })
 
     socketInstance.on('disconnect', () => {
       console.log('❌ Desconectado do servidor Socket.IO')
       setIsConnected(false)
+      setWireFormat(WIRE_FORMATS.JSON)
+      setLatency(null)
+      clearTimeout(syncTimeout)
     })
 
     socketInstance.on('connect_error', (error) => {
       console.error('Erro ao conectar:', error)
       setIsConnected(false)
+
+      // Recusado pelo handshake: sem reconexão automática, só recarregando a página
+      if (error?.data?.code === ERROR_CODES.PROTOCOL_INCOMPATIBLE) {
+        setProtocolStatus({ status: PROTOCOL_STATUS.INCOMPATIBLE, message: error.data.message })
+      }
+    })
+
+    socketInstance.on('protocolStatus', ({ status, message } = {}) => {
+      setProtocolStatus({ status, message })
+    })
+
+    // Parâmetros de sincronização do servidor (na conexão e quando a configuração muda)
+    socketInstance.on('syncSettings', ({ stateSyncInterval } = {}) => {
+      if (typeof stateSyncInterval === 'number' && stateSyncInterval > 0) setStateSyncInterval(stateSyncInterval)
     })
 
     // Cleanup ao desmontar
     return () => {
+      clearTimeout(syncTimeout)
       if (socketInstance) {
         socketInstance.disconnect()
       }
     }
   }, [serverUrl])
 
-  return { socket, isConnected }
+  return { socket, isConnected, wireFormat, getServerTime, latency, protocolStatus, stateSyncInterval }
 }
 
@@ -0,0 +1,28 @@
+import { useMemo } from 'react'
+import { BUBBLE_DURATION } from '../components/SpeechBubbles'
+
+/**
+ * Agrupar mensagens recentes do chat por player (para os balões de fala)
+ *
+ * Só entram mensagens recebidas ao vivo (com receivedAt), nunca o histórico.
+ * O fade/expiração acontece no useFrame do SpeechBubbles, então os arrays
+ * só mudam quando chega mensagem nova (evita re-render dos RemotePlayers).
+ */
+export function useSpeechBubbles(messages) {
+  return useMemo(() => {
+    const now = Date.now()
+    const byPlayer = new Map() // Map<playerId, message[]>
+
+    messages.forEach(message => {
+      if (message.system || !message.playerId || !message.receivedAt) return
+      if (now - message.receivedAt > BUBBLE_DURATION) return
+
+      if (!byPlayer.has(message.playerId)) {
+        byPlayer.set(message.playerId, [])
+      }
+      byPlayer.get(message.playerId).push(message)
+    })
+
+    return byPlayer
+  }, [messages])
+}
@@ -0,0 +1,221 @@
+/**
+ * Formato binário compacto para o tráfego de movimento
+ *
+ * Compartilhado entre frontend (import) e backend (require), por isso em CommonJS.
+ * Sem spread de objeto: o Babel do CRA injetaria um import de helper e o
+ * webpack passaria a tratar o arquivo como ES module (quebrando module.exports).
+ *
+ * - Posições quantizadas em int16 (centímetros: ±327.67 unidades)
+ * - Ângulos quantizados em uint16 (0..2π -> 0..65535)
+ * - Players identificados por índice numérico curto (uint16) em vez do socket id
+ * - Little-endian em tudo
+ *
+ * Mensagens:
+ *   playerMove   (cliente -> servidor): x, y, z, ry                        =  8 bytes
+ *   playerMoved  (servidor -> cliente): index, x, y, z, ry, lastUpdate     = 18 bytes
+ *   stateSnapshot (servidor -> cliente): cabeçalho + entradas + removidos
+ *     cada entrada: index, x, y, z, ry, idade do lastUpdate em ms (uint16)
+ *     dados estáticos (id, nickname, characterType, role, presence, kind, model) vão em JSON no 2º argumento
+ */
+
+const WIRE_FORMATS = {
+  BINARY: 'binary-v1',
+  JSON: 'json'
+}
+
+const POSITION_SCALE = 100 // 1 unidade = 100 passos (precisão de 1cm)
+const INT16_MIN = -32768
+const INT16_MAX = 32767
+const ANGLE_STEPS = 65536
+const TWO_PI = Math.PI * 2
+const NO_BASE_SEQ = 0xffffffff // baseSeq null
+
+const MOVE_SIZE = 8
+const MOVED_SIZE = 18
+const SNAPSHOT_HEADER_SIZE = 4 + 4 + 1 + 8 + 2 // seq, baseSeq, flags, serverTime, count
+const SNAPSHOT_ENTRY_SIZE = 12
+const MAX_AGE = 0xffff // Idade máxima representável (~65s)
+
+const FLAG_FULL = 1
+
+const quantizePosition = (value) => {
+  const quantized = Math.round((Number(value) || 0) * POSITION_SCALE)
+  return Math.max(INT16_MIN, Math.min(INT16_MAX, quantized))
+}
+
+const dequantizePosition = (value) => value / POSITION_SCALE
+
+const quantizeAngle = (angle) => {
+  const normalized = (((Number(angle) || 0) % TWO_PI) + TWO_PI) % TWO_PI
+  return Math.round((normalized / TWO_PI) * ANGLE_STEPS) % ANGLE_STEPS
+}
+
+// Ângulo de volta em (-π, π] para interpolar sem dar a volta inteira
+const dequantizeAngle = (value) => {
+  const angle = (value / ANGLE_STEPS) * TWO_PI
+  return angle > Math.PI ? angle - TWO_PI : angle
+}
+
+// Aceita ArrayBuffer (browser), Buffer (Node) ou qualquer TypedArray
+const toDataView = (data) => {
+  if (data instanceof ArrayBuffer) return new DataView(data)
+  if (data && data.buffer instanceof ArrayBuffer) {
+    return new DataView(data.buffer, data.byteOffset, data.byteLength)
+  }
+  return null
+}
+
+const isBinaryPayload = (data) => {
+  return data instanceof ArrayBuffer || (!!data && ArrayBuffer.isView(data))
+}
+
+const writeTransform = (view, offset, position, ry) => {
+  view.setInt16(offset, quantizePosition(position.x), true)
+  view.setInt16(offset + 2, quantizePosition(position.y), true)
+  view.setInt16(offset + 4, quantizePosition(position.z), true)
+  view.setUint16(offset + 6, quantizeAngle(ry), true)
+}
+
+const readTransform = (view, offset) => ({
+  position: {
+    x: dequantizePosition(view.getInt16(offset, true)),
+    y: dequantizePosition(view.getInt16(offset + 2, true)),
+    z: dequantizePosition(view.getInt16(offset + 4, true))
+  },
+  rotation: {
+    x: 0,
+    y: dequantizeAngle(view.getUint16(offset + 6, true)),
+    z: 0
+  }
+})
+
+// playerMove: { x, y, z, ry } -> ArrayBuffer
+const encodeMove = ({ x, y, z, ry }) => {
+  const buffer = new ArrayBuffer(MOVE_SIZE)
+  writeTransform(new DataView(buffer), 0, { x, y, z }, ry)
+  return buffer
+}
+
+// ArrayBuffer -> { x, y, z, ry } (null se inválido)
+const decodeMove = (data) => {
+  const view = toDataView(data)
+  if (!view || view.byteLength !== MOVE_SIZE) return null
+
+  const { position, rotation } = readTransform(view, 0)
+  return { x: position.x, y: position.y, z: position.z, ry: rotation.y }
+}
+
+// playerMoved: índice + posição + rotação + timestamp do servidor -> ArrayBuffer
+const encodeMoved = (index, position, rotation, lastUpdate) => {
+  const buffer = new ArrayBuffer(MOVED_SIZE)
+  const view = new DataView(buffer)
+  view.setUint16(0, index, true)
+  writeTransform(view, 2, position, rotation ? rotation.y : 0)
+  view.setFloat64(10, lastUpdate || 0, true)
+  return buffer
+}
+
+// ArrayBuffer -> { index, position, rotation, lastUpdate } (null se inválido)
+const decodeMoved = (data) => {
+  const view = toDataView(data)
+  if (!view || view.byteLength !== MOVED_SIZE) return null
+
+  return Object.assign(
+    { index: view.getUint16(0, true), lastUpdate: view.getFloat64(10, true) },
+    readTransform(view, 2)
+  )
+}
+
+// Snapshot (mesmo formato do JSON de lib/snapshots.js) -> { buffer, statics }
+// getIndex(id) devolve o índice numérico do player
+const encodeSnapshot = (snapshot, getIndex) => {
+  const entries = snapshot.players.filter(player => getIndex(player.id) !== undefined)
+  const removed = snapshot.removed.filter(id => getIndex(id) !== undefined)
+  const statics = []
+
+  const size = SNAPSHOT_HEADER_SIZE + entries.length * SNAPSHOT_ENTRY_SIZE + 2 + removed.length * 2
+  const buffer = new ArrayBuffer(size)
+  const view = new DataView(buffer)
+
+  view.setUint32(0, snapshot.seq, true)
+  view.setUint32(4, snapshot.baseSeq === null ? NO_BASE_SEQ : snapshot.baseSeq, true)
+  view.setUint8(8, snapshot.full ? FLAG_FULL : 0)
+  view.setFloat64(9, snapshot.serverTime, true)
+  view.setUint16(17, entries.length, true)
+
+  let offset = SNAPSHOT_HEADER_SIZE
+  entries.forEach(player => {
+    const index = getIndex(player.id)
+    view.setUint16(offset, index, true)
+    writeTransform(view, offset + 2, player.position, player.rotation ? player.rotation.y : 0)
+    const age = Math.round(snapshot.serverTime - (player.lastUpdate || snapshot.serverTime))
+    view.setUint16(offset + 10, Math.max(0, Math.min(MAX_AGE, age)), true)
+    offset += SNAPSHOT_ENTRY_SIZE
+
+    // Primeira aparição: dados estáticos vão em JSON
+    if (player.nickname !== undefined) {
+      statics.push({ index, id: player.id, nickname: player.nickname, characterType: player.characterType, role: player.role, presence: player.presence, kind: player.kind, model: player.model })
+    }
+  })
+
+  view.setUint16(offset, removed.length, true)
+  offset += 2
+  removed.forEach(id => {
+    view.setUint16(offset, getIndex(id), true)
+    offset += 2
+  })
+
+  return { buffer, statics: statics.length > 0 ? statics : null }
+}
+
+// ArrayBuffer -> { seq, baseSeq, full, serverTime, entries: [{ index, position, rotation, lastUpdate }], removed: [index] }
+const decodeSnapshot = (data) => {
+  const view = toDataView(data)
+  if (!view || view.byteLength < SNAPSHOT_HEADER_SIZE + 2) return null
+
+  const baseSeq = view.getUint32(4, true)
+  const serverTime = view.getFloat64(9, true)
+  const count = view.getUint16(17, true)
+  const entries = []
+
+  let offset = SNAPSHOT_HEADER_SIZE
+  if (view.byteLength < offset + count * SNAPSHOT_ENTRY_SIZE + 2) return null
+
+  for (let i = 0; i < count; i++) {
+    entries.push(Object.assign(
+      { index: view.getUint16(offset, true), lastUpdate: serverTime - view.getUint16(offset + 10, true) },
+      readTransform(view, offset + 2)
+    ))
+    offset += SNAPSHOT_ENTRY_SIZE
+  }
+
+  const removedCount = view.getUint16(offset, true)
+  offset += 2
+  if (view.byteLength < offset + removedCount * 2) return null
+
+  const removed = []
+  for (let i = 0; i < removedCount; i++) {
+    removed.push(view.getUint16(offset, true))
+    offset += 2
+  }
+
+  return {
+    seq: view.getUint32(0, true),
+    baseSeq: baseSeq === NO_BASE_SEQ ? null : baseSeq,
+    full: (view.getUint8(8) & FLAG_FULL) !== 0,
+    serverTime,
+    entries,
+    removed
+  }
+}
+
+module.exports = {
+  WIRE_FORMATS,
+  isBinaryPayload,
+  encodeMove,
+  decodeMove,
+  encodeMoved,
+  decodeMoved,
+  encodeSnapshot,
+  decodeSnapshot
+}
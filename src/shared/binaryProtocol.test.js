@@ -0,0 +1,113 @@
+import {
+  isBinaryPayload,
+  encodeMove,
+  decodeMove,
+  encodeMoved,
+  decodeMoved,
+  encodeSnapshot,
+  decodeSnapshot
+} from './binaryProtocol'
+
+const PRECISION = 2 // Posições com precisão de 1cm
+const ANGLE_PRECISION = 4 // 2π / 65536 ≈ 0.0001
+
+test('playerMove ida e volta (8 bytes)', () => {
+  const buffer = encodeMove({ x: 1.234, y: -0.5, z: 42.1, ry: 1.5 })
+  expect(buffer.byteLength).toBe(8)
+  expect(isBinaryPayload(buffer)).toBe(true)
+
+  const move = decodeMove(buffer)
+  expect(move.x).toBeCloseTo(1.23, PRECISION)
+  expect(move.y).toBeCloseTo(-0.5, PRECISION)
+  expect(move.z).toBeCloseTo(42.1, PRECISION)
+  expect(move.ry).toBeCloseTo(1.5, ANGLE_PRECISION)
+})
+
+test('posição fora da faixa do int16 é limitada e ângulo volta em (-π, π]', () => {
+  const move = decodeMove(encodeMove({ x: 1000, y: -1000, z: 0, ry: -Math.PI / 2 + Math.PI * 4 }))
+  expect(move.x).toBe(327.67)
+  expect(move.y).toBe(-327.68)
+  expect(move.ry).toBeCloseTo(-Math.PI / 2, ANGLE_PRECISION)
+})
+
+test('tamanho errado não decodifica', () => {
+  expect(decodeMove(new ArrayBuffer(7))).toBeNull()
+  expect(decodeMoved(new ArrayBuffer(8))).toBeNull()
+  expect(decodeMove({ x: 1 })).toBeNull()
+  expect(isBinaryPayload({ x: 1 })).toBe(false)
+})
+
+test('aceita view com deslocamento (ex: Buffer recebido pelo socket)', () => {
+  const move = new Uint8Array(encodeMove({ x: 3, y: 1, z: -2, ry: 0 }))
+  const padded = new Uint8Array(move.length + 4)
+  padded.set(move, 4)
+
+  expect(decodeMove(padded.subarray(4))).toEqual({ x: 3, y: 1, z: -2, ry: 0 })
+})
+
+test('playerMoved ida e volta (18 bytes)', () => {
+  const buffer = encodeMoved(7, { x: -3.21, y: 1, z: 9.99 }, { x: 0, y: 3, z: 0 }, 1712345678901)
+  expect(buffer.byteLength).toBe(18)
+
+  const moved = decodeMoved(buffer)
+  expect(moved.index).toBe(7)
+  expect(moved.lastUpdate).toBe(1712345678901)
+  expect(moved.position).toEqual({ x: -3.21, y: 1, z: 9.99 })
+  expect(moved.rotation.y).toBeCloseTo(3, ANGLE_PRECISION)
+})
+
+test('snapshot ida e volta com estáticos, removidos e idade do lastUpdate', () => {
+  const indexes = { ana: 0, bia: 1, npc: 2, sumiu: 3 }
+  const snapshot = {
+    seq: 12,
+    baseSeq: null,
+    full: true,
+    serverTime: 50000,
+    players: [
+      { id: 'ana', nickname: 'Ana', characterType: 1, role: 'guest', presence: 'idle', position: { x: 1, y: 1, z: 2 }, rotation: { x: 0, y: 0.5, z: 0 }, lastUpdate: 49900 },
+      { id: 'bia', position: { x: -4, y: 1, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, lastUpdate: 50000 },
+      { id: 'npc', nickname: 'Guia', characterType: 0, kind: 'npc', model: 'guia.glb', position: { x: 0, y: 1, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, lastUpdate: 50000 },
+      { id: 'desconhecido', position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, lastUpdate: 50000 }
+    ],
+    removed: ['sumiu', 'outro']
+  }
+
+  const { buffer, statics } = encodeSnapshot(snapshot, id => indexes[id])
+  const decoded = decodeSnapshot(buffer)
+
+  expect(decoded.seq).toBe(12)
+  expect(decoded.baseSeq).toBeNull()
+  expect(decoded.full).toBe(true)
+  expect(decoded.serverTime).toBe(50000)
+  expect(decoded.entries.map(entry => entry.index)).toEqual([0, 1, 2]) // Sem índice não vai
+  expect(decoded.entries[0].lastUpdate).toBe(49900)
+  expect(decoded.entries[1].position).toEqual({ x: -4, y: 1, z: 0 })
+  expect(decoded.removed).toEqual([3])
+
+  expect(statics.map(entry => [entry.index, entry.nickname])).toEqual([[0, 'Ana'], [2, 'Guia']])
+  expect(statics[0].presence).toBe('idle')
+  expect(statics[1]).toMatchObject({ kind: 'npc', model: 'guia.glb' })
+})
+
+test('snapshot delta mantém baseSeq e vai sem estáticos', () => {
+  const snapshot = { seq: 5, baseSeq: 4, full: false, serverTime: 1000, players: [], removed: [] }
+  const { buffer, statics } = encodeSnapshot(snapshot, () => 0)
+
+  expect(statics).toBeNull()
+  expect(decodeSnapshot(buffer)).toEqual({ seq: 5, baseSeq: 4, full: false, serverTime: 1000, entries: [], removed: [] })
+})
+
+test('snapshot truncado não decodifica', () => {
+  const snapshot = {
+    seq: 1,
+    baseSeq: null,
+    full: true,
+    serverTime: 1000,
+    players: [{ id: 'ana', position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, lastUpdate: 1000 }],
+    removed: []
+  }
+  const { buffer } = encodeSnapshot(snapshot, () => 0)
+
+  expect(decodeSnapshot(buffer.slice(0, buffer.byteLength - 3))).toBeNull()
+  expect(decodeSnapshot(new ArrayBuffer(4))).toBeNull()
+})
@@ -0,0 +1,235 @@
+/**
+ * Protocolo dos eventos cliente -> servidor: schemas e códigos de erro
+ *
+ * O servidor valida todo payload recebido antes do handler; o cliente valida
+ * antes de enviar (ex: join) e usa os mesmos códigos para tratar os erros.
+ * validateEvent devolve { value } com os campos do schema já tipados e limpos
+ * (campos extras são descartados) ou { error: { code, message, event, field } }.
+ *
+ * CommonJS para poder ser usado pelo backend (require) e pelo frontend (import).
+ */
+
+const { INPUT_ACTIONS } = require('./movement')
+const { REPORTABLE_PRESENCE_STATES } = require('./presence')
+
+// Códigos enviados no evento 'error' (campo code)
+const ERROR_CODES = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  INVALID_NICKNAME: 'INVALID_NICKNAME',
+  INVALID_CHARACTER: 'INVALID_CHARACTER',
+  INVALID_ROOM: 'INVALID_ROOM',
+  INVALID_STAFF_KEY: 'INVALID_STAFF_KEY',
+  WRONG_PASSWORD: 'WRONG_PASSWORD',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  ROOM_FULL: 'ROOM_FULL',
+  NICKNAME_TAKEN: 'NICKNAME_TAKEN',
+  NICKNAME_BLOCKED: 'NICKNAME_BLOCKED',
+  NICKNAME_RESERVED: 'NICKNAME_RESERVED',
+  NICKNAME_CONFUSABLE: 'NICKNAME_CONFUSABLE',
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
+  CHAT_INVALID: 'CHAT_INVALID',
+  CHAT_TOO_LONG: 'CHAT_TOO_LONG',
+  CHAT_MUTED: 'CHAT_MUTED',
+  CHAT_RATE_LIMITED: 'CHAT_RATE_LIMITED',
+  VIOLATION_WARNING: 'VIOLATION_WARNING',
+  KICKED: 'KICKED',
+  BANNED: 'BANNED',
+  DIALOGUE_UNAVAILABLE: 'DIALOGUE_UNAVAILABLE',
+  PROTOCOL_INCOMPATIBLE: 'PROTOCOL_INCOMPATIBLE' // Recusa do handshake (connect_error, ver protocol.js)
+}
+
+// Regras de campo:
+//   type: 'string' | 'integer' | 'number' | 'boolean' | 'array'
+//   optional: ausente/null/'' vira `default`
+//   string: trim, minLength, maxLength, truncate (corta em vez de recusar), values (aceitos)
+//   integer/number: min, max (sempre finitos)
+//   array: items (tipo dos itens), maxItems
+//   code/message: erro específico do campo (senão o do evento)
+// Eventos `silent` (alta frequência) não respondem com 'error': só são descartados
+const EVENT_SCHEMAS = {
+  join: {
+    code: ERROR_CODES.INVALID_PAYLOAD,
+    message: 'Dados de entrada inválidos',
+    fields: {
+      nickname: { type: 'string', trim: true, minLength: 1, maxLength: 12, truncate: true, code: ERROR_CODES.INVALID_NICKNAME, message: 'Nickname inválido' },
+      characterType: { type: 'integer', min: 0, code: ERROR_CODES.INVALID_CHARACTER, message: 'Tipo de personagem inválido' },
+      roomId: { type: 'string', optional: true, trim: true, maxLength: 32, code: ERROR_CODES.INVALID_ROOM, message: 'Sala inválida' },
+      password: { type: 'string', optional: true, maxLength: 64, code: ERROR_CODES.WRONG_PASSWORD, message: 'Senha da sala incorreta' },
+      staffKey: { type: 'string', optional: true, trim: true, maxLength: 128, code: ERROR_CODES.INVALID_STAFF_KEY, message: 'Chave de moderação inválida' }
+    }
+  },
+  resumeSession: {
+    code: ERROR_CODES.SESSION_EXPIRED,
+    message: 'Sessão expirada',
+    fields: {
+      token: { type: 'string', minLength: 1, maxLength: 128 }
+    }
+  },
+  chatMessage: {
+    code: ERROR_CODES.CHAT_INVALID,
+    message: 'Mensagem inválida',
+    fields: {
+      text: { type: 'string', maxLength: 400 } // Tamanho final conferido depois da limpeza do texto
+    }
+  },
+  playerMove: {
+    code: ERROR_CODES.INVALID_PAYLOAD,
+    silent: true,
+    fields: {
+      x: { type: 'number' },
+      y: { type: 'number', optional: true, default: 1.0 },
+      z: { type: 'number' },
+      ry: { type: 'number', optional: true, default: 0 }
+    }
+  },
+  playerInput: {
+    code: ERROR_CODES.INVALID_PAYLOAD,
+    silent: true,
+    fields: Object.assign(
+      {
+        seq: { type: 'integer', min: 0 },
+        yaw: { type: 'number' }
+      },
+      Object.fromEntries(INPUT_ACTIONS.map(action => [action, { type: 'boolean', optional: true, default: false }]))
+    )
+  },
+  snapshotAck: {
+    code: ERROR_CODES.INVALID_PAYLOAD,
+    silent: true,
+    fields: {
+      seq: { type: 'integer', min: 0 }
+    }
+  },
+  presence: {
+    code: ERROR_CODES.INVALID_PAYLOAD,
+    silent: true,
+    fields: {
+      state: { type: 'string', values: REPORTABLE_PRESENCE_STATES }
+    }
+  },
+  npcInteract: {
+    code: ERROR_CODES.DIALOGUE_UNAVAILABLE,
+    message: 'NPC indisponível',
+    fields: {
+      npcId: { type: 'string', minLength: 1, maxLength: 64 }
+    }
+  },
+  dialogueChoice: {
+    code: ERROR_CODES.DIALOGUE_UNAVAILABLE,
+    message: 'Opção inválida',
+    fields: {
+      index: { type: 'integer', min: 0, max: 8 } // Posição na lista de escolhas do nó atual
+    }
+  },
+  dialogueClose: {
+    code: ERROR_CODES.INVALID_PAYLOAD,
+    silent: true,
+    fields: {}
+  },
+  leaveQueue: {
+    code: ERROR_CODES.INVALID_PAYLOAD,
+    silent: true,
+    fields: {}
+  },
+  requestFullSnapshot: {
+    code: ERROR_CODES.INVALID_PAYLOAD,
+    silent: true,
+    fields: {}
+  },
+  negotiateFormat: {
+    code: ERROR_CODES.INVALID_PAYLOAD,
+    message: 'Formatos inválidos',
+    fields: {
+      formats: { type: 'array', items: 'string', maxItems: 8, optional: true, default: [] }
+    }
+  },
+  timeSync: {
+    code: ERROR_CODES.INVALID_PAYLOAD,
+    silent: true,
+    fields: {
+      clientTime: { type: 'number', optional: true, default: null }
+    }
+  }
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+
+const checkType = (type, value) => {
+  if (type === 'string') return typeof value === 'string'
+  if (type === 'boolean') return typeof value === 'boolean'
+  if (type === 'integer') return Number.isInteger(value)
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value)
+  if (type === 'array') return Array.isArray(value)
+  return false
+}
+
+// Valor limpo do campo ou undefined se inválido
+const validateField = (rule, raw) => {
+  if (!checkType(rule.type, raw)) return undefined
+
+  if (rule.type === 'string') {
+    let value = rule.trim ? raw.trim() : raw
+    if (rule.minLength !== undefined && value.length < rule.minLength) return undefined
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      if (!rule.truncate) return undefined
+      value = value.slice(0, rule.maxLength)
+    }
+    if (rule.values && !rule.values.includes(value)) return undefined
+    return value
+  }
+
+  if (rule.type === 'integer' || rule.type === 'number') {
+    if (rule.min !== undefined && raw < rule.min) return undefined
+    if (rule.max !== undefined && raw > rule.max) return undefined
+    return raw
+  }
+
+  if (rule.type === 'array') {
+    if (rule.maxItems !== undefined && raw.length > rule.maxItems) return undefined
+    if (rule.items && !raw.every(item => checkType(rule.items, item))) return undefined
+    return raw.slice()
+  }
+
+  return raw
+}
+
+// Validar payload de um evento
+// overrides: regras ajustadas por quem chama (ex: limites que vêm da configuração do servidor)
+const validateEvent = (event, data, overrides = {}) => {
+  const schema = EVENT_SCHEMAS[event]
+  const fail = (code, message, field) => ({
+    error: { code, message: message || 'Dados inválidos', event, field }
+  })
+
+  if (!schema) return fail(ERROR_CODES.INVALID_PAYLOAD, 'Evento desconhecido')
+
+  const payload = data === undefined || data === null ? {} : data
+  if (typeof payload !== 'object' || Array.isArray(payload)) {
+    return fail(schema.code, schema.message)
+  }
+
+  const value = {}
+  for (const [field, baseRule] of Object.entries(schema.fields)) {
+    const rule = overrides[field] ? Object.assign({}, baseRule, overrides[field]) : baseRule
+    const raw = payload[field]
+
+    if (isEmpty(raw) && rule.optional) {
+      value[field] = rule.default
+      continue
+    }
+
+    const fieldValue = validateField(rule, raw)
+    if (fieldValue === undefined) {
+      return fail(rule.code || schema.code, rule.message || schema.message, field)
+    }
+    value[field] = fieldValue
+  }
+
+  return { value }
+}
+
+module.exports = {
+  ERROR_CODES,
+  EVENT_SCHEMAS,
+  validateEvent
+}
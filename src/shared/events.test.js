@@ -0,0 +1,69 @@
+import { ERROR_CODES, validateEvent } from './events'
+
+test('join válido: texto limpo e opcionais com padrão', () => {
+  const { value, error } = validateEvent('join', { nickname: '  Ana  ', characterType: 2 })
+  expect(error).toBeUndefined()
+  expect(value).toEqual({ nickname: 'Ana', characterType: 2, roomId: undefined, password: undefined, staffKey: undefined })
+})
+
+test('nickname longo é cortado (truncate) em vez de recusado', () => {
+  const { value } = validateEvent('join', { nickname: 'abcdefghijklmnop', characterType: 0 })
+  expect(value.nickname).toBe('abcdefghijkl')
+})
+
+test('campo inválido devolve o código e a mensagem do campo', () => {
+  expect(validateEvent('join', { nickname: '   ', characterType: 0 }).error).toEqual({
+    code: ERROR_CODES.INVALID_NICKNAME,
+    message: 'Nickname inválido',
+    event: 'join',
+    field: 'nickname'
+  })
+  expect(validateEvent('join', { nickname: 'Ana', characterType: 1.5 }).error.code).toBe(ERROR_CODES.INVALID_CHARACTER)
+  expect(validateEvent('join', { nickname: 'Ana', characterType: 0, roomId: 'x'.repeat(33) }).error.code).toBe(ERROR_CODES.INVALID_ROOM)
+})
+
+test('overrides ajustam o limite de quem chama', () => {
+  const overrides = { characterType: { max: 3 } }
+  expect(validateEvent('join', { nickname: 'Ana', characterType: 3 }, overrides).error).toBeUndefined()
+  expect(validateEvent('join', { nickname: 'Ana', characterType: 4 }, overrides).error.code).toBe(ERROR_CODES.INVALID_CHARACTER)
+})
+
+test('payload que não é objeto usa o erro do evento', () => {
+  expect(validateEvent('chatMessage', 'oi').error.code).toBe(ERROR_CODES.CHAT_INVALID)
+  expect(validateEvent('chatMessage', ['oi']).error.code).toBe(ERROR_CODES.CHAT_INVALID)
+  expect(validateEvent('dialogueClose', undefined).value).toEqual({})
+})
+
+test('evento desconhecido é recusado', () => {
+  expect(validateEvent('hack', {}).error).toMatchObject({ code: ERROR_CODES.INVALID_PAYLOAD, message: 'Evento desconhecido' })
+})
+
+test('números precisam ser finitos', () => {
+  expect(validateEvent('playerMove', { x: 1, z: 2 }).value).toEqual({ x: 1, y: 1, z: 2, ry: 0 })
+  expect(validateEvent('playerMove', { x: Infinity, z: 2 }).error.field).toBe('x')
+  expect(validateEvent('playerMove', { x: '1', z: 2 }).error.field).toBe('x')
+})
+
+test('playerInput: ações ausentes viram false', () => {
+  const { value } = validateEvent('playerInput', { seq: 3, yaw: 0.5, forward: true })
+  expect(value.seq).toBe(3)
+  expect(value.forward).toBe(true)
+  expect(value.jump).toBe(false)
+  expect(validateEvent('playerInput', { seq: -1, yaw: 0 }).error.field).toBe('seq')
+  expect(validateEvent('playerInput', { seq: 1, yaw: 0, forward: 'sim' }).error.field).toBe('forward')
+})
+
+test('valores aceitos (values) e listas (items, maxItems)', () => {
+  expect(validateEvent('presence', { state: 'away' }).value.state).toBe('away')
+  expect(validateEvent('presence', { state: 'dormindo' }).error.field).toBe('state')
+
+  expect(validateEvent('negotiateFormat', {}).value.formats).toEqual([])
+  expect(validateEvent('negotiateFormat', { formats: ['binary-v1', 'json'] }).value.formats).toEqual(['binary-v1', 'json'])
+  expect(validateEvent('negotiateFormat', { formats: [1] }).error.field).toBe('formats')
+  expect(validateEvent('negotiateFormat', { formats: new Array(9).fill('json') }).error.field).toBe('formats')
+})
+
+test('dialogueChoice limita o índice às teclas 1 a 9', () => {
+  expect(validateEvent('dialogueChoice', { index: 8 }).value.index).toBe(8)
+  expect(validateEvent('dialogueChoice', { index: 9 }).error).toMatchObject({ code: ERROR_CODES.DIALOGUE_UNAVAILABLE, field: 'index' })
+})
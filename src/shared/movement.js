@@ -0,0 +1,157 @@
+/**
+ * Simulação de movimento do modo autoritativo
+ *
+ * Mesma função no servidor (tick fixo) e no cliente (predição + reconciliação),
+ * por isso em CommonJS e determinística: mesmo estado + mesmos inputs = mesmo resultado.
+ * Sem spread de objeto (ver binaryProtocol.js).
+ *
+ * Input (um por tick): { seq, forward, backward, leftward, rightward, run, jump, yaw }
+ *   yaw: ângulo da câmera em Y (direção para onde "frente" aponta)
+ * Estado: { x, y, z, vy, ry, grounded }
+ */
+
+const MOVEMENT_MODES = {
+  CLIENT: 'client', // Cliente envia posição (padrão)
+  AUTHORITATIVE: 'authoritative' // Cliente envia inputs, servidor simula
+}
+
+const MOVEMENT_CONFIG = {
+  TICK_RATE: 30, // Ticks por segundo (servidor e predição)
+  WALK_SPEED: 5, // Mesmo maxVelLimit do Controller
+  RUN_MULTIPLIER: 2, // Mesmo sprintMult padrão do ecctrl
+  JUMP_VELOCITY: 4, // Mesmo jumpVel padrão do ecctrl
+  GRAVITY: 9.81 * 1.2, // Gravidade da cena x gravityScale do Controller
+  GROUND_Y: 1.0, // Altura do player parado no chão
+  PLAYER_RADIUS: 0.3, // Raio da cápsula do Controller
+  WORLD_HALF_SIZE: 100 // Chão tem 200x200
+}
+MOVEMENT_CONFIG.TICK_MS = 1000 / MOVEMENT_CONFIG.TICK_RATE
+MOVEMENT_CONFIG.TICK_SECONDS = 1 / MOVEMENT_CONFIG.TICK_RATE
+
+// Mundo estático de colisão (caixas no plano XZ)
+const STATIC_COLLIDERS = [
+  { id: 'video-screen', minX: -12.5, maxX: 12.5, minZ: 27.8, maxZ: 28.2 } // Telão no fundo do palco
+]
+
+const INPUT_ACTIONS = ['forward', 'backward', 'leftward', 'rightward', 'run', 'jump']
+
+const createMovementState = (position, rotationY) => ({
+  x: position.x,
+  y: position.y,
+  z: position.z,
+  vy: 0,
+  ry: rotationY || 0,
+  grounded: position.y <= MOVEMENT_CONFIG.GROUND_Y
+})
+
+// Input vindo da rede: só booleanos e yaw finito (null se inválido)
+const sanitizeInput = (data) => {
+  if (!data || typeof data !== 'object') return null
+  if (!Number.isInteger(data.seq) || data.seq < 0) return null
+  if (typeof data.yaw !== 'number' || !Number.isFinite(data.yaw)) return null
+
+  const input = { seq: data.seq, yaw: data.yaw }
+  INPUT_ACTIONS.forEach(action => {
+    input[action] = data[action] === true
+  })
+  return input
+}
+
+const hasMovementInput = (input) => {
+  return !!(input.forward || input.backward || input.leftward || input.rightward || input.jump)
+}
+
+// Empurrar o círculo do player para fora das caixas e manter dentro do chão
+const resolveCollisions = (state) => {
+  const radius = MOVEMENT_CONFIG.PLAYER_RADIUS
+  const limit = MOVEMENT_CONFIG.WORLD_HALF_SIZE - radius
+
+  state.x = Math.max(-limit, Math.min(limit, state.x))
+  state.z = Math.max(-limit, Math.min(limit, state.z))
+
+  STATIC_COLLIDERS.forEach(box => {
+    const closestX = Math.max(box.minX, Math.min(box.maxX, state.x))
+    const closestZ = Math.max(box.minZ, Math.min(box.maxZ, state.z))
+    const dx = state.x - closestX
+    const dz = state.z - closestZ
+    const distanceSq = dx * dx + dz * dz
+    if (distanceSq >= radius * radius) return
+
+    if (distanceSq > 0) {
+      // Centro fora da caixa: afastar na direção do ponto mais próximo
+      const distance = Math.sqrt(distanceSq)
+      state.x = closestX + (dx / distance) * radius
+      state.z = closestZ + (dz / distance) * radius
+      return
+    }
+
+    // Centro dentro da caixa: sair pelo lado mais próximo
+    const exits = [
+      { axis: 'x', value: box.minX - radius, depth: state.x - box.minX },
+      { axis: 'x', value: box.maxX + radius, depth: box.maxX - state.x },
+      { axis: 'z', value: box.minZ - radius, depth: state.z - box.minZ },
+      { axis: 'z', value: box.maxZ + radius, depth: box.maxZ - state.z }
+    ]
+    const exit = exits.reduce((best, candidate) => candidate.depth < best.depth ? candidate : best)
+    state[exit.axis] = exit.value
+  })
+}
+
+// Avançar um tick: retorna um novo estado (não altera o anterior)
+const stepMovement = (state, input, dt = MOVEMENT_CONFIG.TICK_SECONDS) => {
+  const next = {
+    x: state.x,
+    y: state.y,
+    z: state.z,
+    vy: state.vy,
+    ry: state.ry,
+    grounded: state.grounded
+  }
+
+  // Direção relativa à câmera: frente = (sin yaw, cos yaw), direita = (-cos yaw, sin yaw)
+  const forwardAmount = (input.forward ? 1 : 0) - (input.backward ? 1 : 0)
+  const rightAmount = (input.rightward ? 1 : 0) - (input.leftward ? 1 : 0)
+  const sinYaw = Math.sin(input.yaw)
+  const cosYaw = Math.cos(input.yaw)
+  let moveX = sinYaw * forwardAmount - cosYaw * rightAmount
+  let moveZ = cosYaw * forwardAmount + sinYaw * rightAmount
+  const length = Math.sqrt(moveX * moveX + moveZ * moveZ)
+
+  if (length > 0) {
+    const speed = MOVEMENT_CONFIG.WALK_SPEED * (input.run ? MOVEMENT_CONFIG.RUN_MULTIPLIER : 1)
+    moveX /= length
+    moveZ /= length
+    next.x += moveX * speed * dt
+    next.z += moveZ * speed * dt
+    next.ry = Math.atan2(moveX, moveZ) // Personagem olha para onde anda
+  }
+
+  // Pulo e gravidade
+  if (input.jump && next.grounded) {
+    next.vy = MOVEMENT_CONFIG.JUMP_VELOCITY
+    next.grounded = false
+  }
+  if (!next.grounded) {
+    next.vy -= MOVEMENT_CONFIG.GRAVITY * dt
+    next.y += next.vy * dt
+    if (next.y <= MOVEMENT_CONFIG.GROUND_Y) {
+      next.y = MOVEMENT_CONFIG.GROUND_Y
+      next.vy = 0
+      next.grounded = true
+    }
+  }
+
+  resolveCollisions(next)
+  return next
+}
+
+module.exports = {
+  MOVEMENT_MODES,
+  MOVEMENT_CONFIG,
+  STATIC_COLLIDERS,
+  INPUT_ACTIONS,
+  createMovementState,
+  sanitizeInput,
+  hasMovementInput,
+  stepMovement
+}
@@ -0,0 +1,95 @@
+/**
+ * Regras de formato do nickname (compartilhadas entre servidor e cliente)
+ *
+ * normalizeNickname limpa o texto (NFKC, sem caracteres invisíveis) e recusa
+ * símbolos e mistura de alfabetos (ex: "a" cirílico no meio de um nome latino).
+ * getNicknameSkeleton reduz o nome a uma forma canônica para comparação:
+ * sem acentos, minúsculas, sósias trocados pela letra latina (0 -> o, "rn" -> m...)
+ * e sem separadores. Dois nicknames com o mesmo esqueleto são considerados iguais.
+ *
+ * Unicidade, blocklist e nomes reservados ficam no servidor (backend/lib/nicknames.js).
+ * CommonJS para poder ser usado pelo backend (require) e pelo frontend (import).
+ */
+
+const { ERROR_CODES } = require('./events')
+
+const NICKNAME_RULES = {
+  MAX_LENGTH: 12 // Em caracteres (pontos de código), mesmo limite do input
+}
+
+// Controle, zero-width, bidi, soft hyphen, seletores de variação e preenchimentos invisíveis
+// eslint-disable-next-line no-control-regex
+const INVISIBLE_CHARS = /[\u0000-\u001F\u007F-\u009F\u00AD\u034F\u115F-\u1160\u17B4-\u17B5\u180B-\u180E\u200B-\u200F\u2028-\u202E\u2060-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/g
+const ALLOWED_CHARS = /^[\p{L}\p{N} _.-]+$/u
+const SEPARATORS = /[\s_.-]/g
+
+// Alfabetos com letras parecidas entre si: misturar no mesmo nome é recusado
+const CONFUSABLE_SCRIPTS = [/\p{Script=Latin}/u, /\p{Script=Cyrillic}/u, /\p{Script=Greek}/u]
+
+// Sósias -> letra latina (depois de minúsculas e sem acentos)
+const CONFUSABLE_MAP = {
+  // Cirílico
+  '\u0430': 'a', '\u0432': 'b', '\u0435': 'e', '\u043A': 'k', '\u043C': 'm', '\u043D': 'h',
+  '\u043E': 'o', '\u0440': 'p', '\u0441': 'c', '\u0442': 't', '\u0443': 'y', '\u0445': 'x',
+  '\u0456': 'l', '\u0458': 'j', '\u0455': 's', '\u0501': 'd', '\u051B': 'q', '\u051D': 'w',
+  // Grego
+  '\u03B1': 'a', '\u03B2': 'b', '\u03B5': 'e', '\u03B7': 'n', '\u03B9': 'l', '\u03BA': 'k',
+  '\u03BD': 'v', '\u03BF': 'o', '\u03C1': 'p', '\u03C4': 't', '\u03C5': 'u', '\u03C7': 'x',
+  // Números e i/l (I maiúsculo e l minúsculo são iguais em muitas fontes)
+  '0': 'o', '1': 'l', 'i': 'l', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b'
+}
+const CONFUSABLE_SEQUENCES = [['rn', 'm'], ['vv', 'w']]
+
+const countCodePoints = (text) => Array.from(text).length
+
+// Limpar e validar o formato
+// Retorna { nickname } ou { error: { code, message } }
+const normalizeNickname = (raw) => {
+  if (typeof raw !== 'string') {
+    return { error: { code: ERROR_CODES.INVALID_NICKNAME, message: 'Nickname inválido' } }
+  }
+
+  let nickname = raw
+    .normalize('NFKC')
+    .replace(INVISIBLE_CHARS, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+  if (countCodePoints(nickname) > NICKNAME_RULES.MAX_LENGTH) {
+    nickname = Array.from(nickname).slice(0, NICKNAME_RULES.MAX_LENGTH).join('').trim()
+  }
+
+  if (nickname.replace(SEPARATORS, '').length === 0) {
+    return { error: { code: ERROR_CODES.INVALID_NICKNAME, message: 'O nickname precisa ter letras ou números' } }
+  }
+
+  if (!ALLOWED_CHARS.test(nickname)) {
+    return { error: { code: ERROR_CODES.INVALID_NICKNAME, message: 'Use apenas letras, números, espaço e _ - .' } }
+  }
+
+  const scripts = CONFUSABLE_SCRIPTS.filter(script => script.test(nickname))
+  if (scripts.length > 1) {
+    return { error: { code: ERROR_CODES.NICKNAME_CONFUSABLE, message: 'Não misture alfabetos diferentes no nickname' } }
+  }
+
+  return { nickname }
+}
+
+// Forma canônica para comparar nicknames (unicidade, blocklist, nomes reservados)
+const getNicknameSkeleton = (nickname) => {
+  let skeleton = Array.from(
+    nickname.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(SEPARATORS, ''),
+    char => CONFUSABLE_MAP[char] || char
+  ).join('')
+
+  CONFUSABLE_SEQUENCES.forEach(([sequence, replacement]) => {
+    skeleton = skeleton.split(sequence).join(replacement)
+  })
+  return skeleton
+}
+
+module.exports = {
+  NICKNAME_RULES,
+  SEPARATORS,
+  normalizeNickname,
+  getNicknameSkeleton
+}
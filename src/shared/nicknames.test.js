@@ -0,0 +1,39 @@
+import { ERROR_CODES } from './events'
+import { NICKNAME_RULES, normalizeNickname, getNicknameSkeleton } from './nicknames'
+
+const ZERO_WIDTH_SPACE = String.fromCodePoint(0x200b)
+const CYRILLIC_A = String.fromCodePoint(0x430)
+
+test('limpa espaços e caracteres invisíveis', () => {
+  expect(normalizeNickname('  Ana   Paula ')).toEqual({ nickname: 'Ana Paula' })
+  expect(normalizeNickname(`A${ZERO_WIDTH_SPACE}na`)).toEqual({ nickname: 'Ana' })
+})
+
+test('corta no limite de caracteres (pontos de código)', () => {
+  const { nickname } = normalizeNickname('José Joãozinho da Silva')
+  expect(Array.from(nickname).length).toBeLessThanOrEqual(NICKNAME_RULES.MAX_LENGTH)
+  expect(nickname).toBe('José Joãozin')
+})
+
+test('aceita acentos, números e separadores; recusa símbolos', () => {
+  expect(normalizeNickname('João_2.0-b').nickname).toBe('João_2.0-b')
+  expect(normalizeNickname('Ana!').error.code).toBe(ERROR_CODES.INVALID_NICKNAME)
+  expect(normalizeNickname('___').error.message).toBe('O nickname precisa ter letras ou números')
+  expect(normalizeNickname(42).error.code).toBe(ERROR_CODES.INVALID_NICKNAME)
+})
+
+test('recusa mistura de alfabetos parecidos', () => {
+  expect(normalizeNickname(`${CYRILLIC_A}na`).error.code).toBe(ERROR_CODES.NICKNAME_CONFUSABLE)
+  expect(normalizeNickname('Александр').nickname).toBe('Александр') // Um alfabeto só é aceito
+})
+
+test('esqueleto iguala acentos, caixa, sósias e separadores', () => {
+  const skeleton = getNicknameSkeleton('ana')
+  expect(getNicknameSkeleton('Ána')).toBe(skeleton)
+  expect(getNicknameSkeleton('4na')).toBe(skeleton)
+  expect(getNicknameSkeleton('a_n.a')).toBe(skeleton)
+  expect(getNicknameSkeleton(`${CYRILLIC_A}na`)).toBe(skeleton)
+  expect(getNicknameSkeleton('Iuri')).toBe(getNicknameSkeleton('luri'))
+  expect(getNicknameSkeleton('rnaria')).toBe(getNicknameSkeleton('maria'))
+  expect(getNicknameSkeleton('Bia')).not.toBe(getNicknameSkeleton('Ana'))
+})
@@ -0,0 +1,17 @@
+/**
+ * NPCs: identificação nas mensagens (compartilhado entre backend e frontend, CommonJS)
+ *
+ * NPCs vão nos mesmos snapshots dos players, com kind 'npc' nos dados estáticos
+ * e id prefixado (nunca colide com o socket id de um player).
+ */
+
+const NPC_KIND = 'npc'
+const NPC_ID_PREFIX = 'npc:'
+
+const isNpcId = (id) => typeof id === 'string' && id.startsWith(NPC_ID_PREFIX)
+
+module.exports = {
+  NPC_KIND,
+  NPC_ID_PREFIX,
+  isNpcId
+}
@@ -0,0 +1,21 @@
+/**
+ * Estados de presença dos players (compartilhado entre backend e frontend, CommonJS)
+ *
+ * O servidor decide o estado (ver backend/lib/presence.js) e avisa a sala com
+ * 'playerPresence'. O cliente só informa se está ausente (pausa, aba em segundo plano).
+ */
+
+const PRESENCE_STATES = {
+  ACTIVE: 'active', // Movendo-se ou interagindo
+  IDLE: 'idle', // Conectado, mas parado há um tempo
+  AWAY: 'away', // Pausado, aba em segundo plano ou sem heartbeat
+  DISCONNECTED: 'disconnected' // Conexão caiu, slot guardado até a sessão expirar
+}
+
+// Estados que o cliente pode informar (evento 'presence')
+const REPORTABLE_PRESENCE_STATES = [PRESENCE_STATES.ACTIVE, PRESENCE_STATES.AWAY]
+
+module.exports = {
+  PRESENCE_STATES,
+  REPORTABLE_PRESENCE_STATES
+}
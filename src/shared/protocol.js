@@ -0,0 +1,50 @@
+/**
+ * Versão do protocolo cliente <-> servidor (handshake na conexão)
+ *
+ * Frontend e backend são publicados separadamente, então uma aba aberta há tempo
+ * pode continuar falando um protocolo antigo. O cliente manda a versão e o build
+ * no auth do Socket.IO e o servidor aceita, avisa ou recusa a conexão.
+ *
+ * - PROTOCOL.VERSION: incrementar quando eventos ou payloads mudarem
+ * - PROTOCOL.MIN_COMPATIBLE_VERSION: subir quando o servidor deixar de entender as antigas
+ *
+ * CommonJS para poder ser usado pelo backend (require) e pelo frontend (import).
+ */
+
+const PROTOCOL = {
+  VERSION: 1,
+  MIN_COMPATIBLE_VERSION: 1
+}
+
+const PROTOCOL_STATUS = {
+  OK: 'ok', // Mesma versão
+  OUTDATED: 'outdated', // Cliente antigo mas compatível: conecta e sugere recarregar
+  INCOMPATIBLE: 'incompatible' // Conexão recusada: precisa recarregar
+}
+
+const PROTOCOL_MESSAGES = {
+  OUTDATED: 'Uma nova versão está disponível. Recarregue a página para atualizar.',
+  CLIENT_TOO_OLD: 'Esta versão do app está desatualizada. Recarregue a página para continuar.',
+  SERVER_TOO_OLD: 'O servidor está sendo atualizado. Recarregue a página em instantes.'
+}
+
+// Decisão do servidor para a versão do cliente (sem versão = cliente de antes do handshake)
+// Retorna { status, message }
+const checkProtocolVersion = (clientVersion) => {
+  if (!Number.isInteger(clientVersion) || clientVersion < PROTOCOL.MIN_COMPATIBLE_VERSION) {
+    return { status: PROTOCOL_STATUS.INCOMPATIBLE, message: PROTOCOL_MESSAGES.CLIENT_TOO_OLD }
+  }
+  if (clientVersion > PROTOCOL.VERSION) {
+    return { status: PROTOCOL_STATUS.INCOMPATIBLE, message: PROTOCOL_MESSAGES.SERVER_TOO_OLD }
+  }
+  if (clientVersion < PROTOCOL.VERSION) {
+    return { status: PROTOCOL_STATUS.OUTDATED, message: PROTOCOL_MESSAGES.OUTDATED }
+  }
+  return { status: PROTOCOL_STATUS.OK, message: null }
+}
+
+module.exports = {
+  PROTOCOL,
+  PROTOCOL_STATUS,
+  checkProtocolVersion
+}
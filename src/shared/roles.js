@@ -0,0 +1,13 @@
+/**
+ * Papéis dos players (compartilhado entre backend e frontend, CommonJS)
+ *
+ * O frontend usa apenas para exibir o badge; permissões são checadas no servidor.
+ */
+
+const ROLES = {
+  HOST: 'host',
+  MODERATOR: 'moderator',
+  GUEST: 'guest'
+}
+
+module.exports = { ROLES }
@@ -0,0 +1,62 @@
+/**
+ * Montagem dos snapshots delta no cliente (compartilhado entre backend e frontend, CommonJS)
+ *
+ * O servidor calcula cada delta contra o último snapshot que o cliente confirmou
+ * (baseSeq, ver backend/lib/snapshots.js). O ack chega um intervalo depois, então
+ * deltas seguidos costumam ter a mesma base: aplicar cada um sobre o estado mais
+ * recente perde quem apareceu e sumiu entre a base e o delta. Por isso o cliente
+ * guarda o estado completo de cada snapshot aplicado e monta o próximo a partir
+ * da cópia de baseSeq.
+ */
+
+const SNAPSHOT_HISTORY_SIZE = 32 // Mesmo tamanho do histórico do servidor
+
+const createSnapshotHistory = () => ({
+  lastSeq: null,
+  states: new Map() // Map<seq, Map<id, entidade com dados estáticos e dinâmicos>>
+})
+
+// Monta o estado completo de um snapshot (base + delta) e guarda no histórico
+// Retorna { state, previous } (previous: último estado aplicado, null se não houver),
+// { stale: true } para delta atrasado/repetido ou { resync: true } quando falta a base
+// ou vem uma entidade nova sem dados estáticos (precisa de snapshot completo)
+const applySnapshot = (history, snapshot) => {
+  let base = new Map()
+  if (!snapshot.full) {
+    if (history.lastSeq !== null && snapshot.seq <= history.lastSeq) return { stale: true }
+    base = history.states.get(snapshot.baseSeq)
+    if (!base) return { resync: true }
+  }
+
+  const state = new Map(base)
+  for (const entity of snapshot.players) {
+    if (!entity || !entity.id) continue
+    const known = state.get(entity.id)
+    if (!known && entity.nickname === undefined) return { resync: true }
+    state.set(entity.id, known ? { ...known, ...entity } : entity)
+  }
+  if (!snapshot.full && Array.isArray(snapshot.removed)) {
+    snapshot.removed.forEach(id => state.delete(id))
+  }
+
+  const previous = history.lastSeq !== null ? history.states.get(history.lastSeq) || null : null
+
+  history.states.set(snapshot.seq, state)
+  history.lastSeq = snapshot.seq
+
+  // A base do servidor só avança: estados anteriores a ela não servem mais
+  history.states.forEach((_, seq) => {
+    if (!snapshot.full && seq < snapshot.baseSeq) history.states.delete(seq)
+  })
+  if (history.states.size > SNAPSHOT_HISTORY_SIZE) {
+    history.states.delete(history.states.keys().next().value)
+  }
+
+  return { state, previous }
+}
+
+module.exports = {
+  SNAPSHOT_HISTORY_SIZE,
+  createSnapshotHistory,
+  applySnapshot
+}
@@ -0,0 +1,43 @@
+import { SNAPSHOT_HISTORY_SIZE, createSnapshotHistory, applySnapshot } from './snapshots'
+
+const entity = (id, x = 0) => ({ id, nickname: id, position: { x, y: 1, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, lastUpdate: 1000 })
+const full = (seq, players) => ({ seq, baseSeq: null, full: true, serverTime: 1000, players, removed: [] })
+const delta = (seq, baseSeq, players, removed = []) => ({ seq, baseSeq, full: false, serverTime: 1000, players, removed })
+
+test('delta é montado sobre a base e mantém os dados estáticos', () => {
+  const history = createSnapshotHistory()
+  applySnapshot(history, full(1, [entity('ana'), entity('bia')]))
+
+  const { state, previous } = applySnapshot(history, delta(2, 1, [{ id: 'ana', position: { x: 5, y: 1, z: 0 } }], ['bia']))
+  expect([...state.keys()]).toEqual(['ana'])
+  expect(state.get('ana')).toMatchObject({ nickname: 'ana', position: { x: 5 } })
+  expect([...previous.keys()]).toEqual(['ana', 'bia'])
+})
+
+test('entidade que não mudou continua sendo o mesmo objeto da base', () => {
+  const history = createSnapshotHistory()
+  const { state: base } = applySnapshot(history, full(1, [entity('ana')]))
+  expect(applySnapshot(history, delta(2, 1, [])).state.get('ana')).toBe(base.get('ana'))
+})
+
+test('delta atrasado é ignorado; sem base ou sem estáticos pede completo', () => {
+  const history = createSnapshotHistory()
+  expect(applySnapshot(history, delta(1, null, []))).toEqual({ resync: true })
+
+  applySnapshot(history, full(2, [entity('ana')]))
+  expect(applySnapshot(history, delta(2, 2, []))).toEqual({ stale: true })
+  expect(applySnapshot(history, delta(3, 1, []))).toEqual({ resync: true })
+  expect(applySnapshot(history, delta(3, 2, [{ id: 'bia', position: { x: 0, y: 1, z: 0 } }]))).toEqual({ resync: true })
+  expect(history.lastSeq).toBe(2) // Nada foi guardado
+})
+
+test('histórico descarta estados anteriores à base e respeita o limite', () => {
+  const history = createSnapshotHistory()
+  applySnapshot(history, full(1, [entity('ana')]))
+  applySnapshot(history, delta(2, 1, []))
+  applySnapshot(history, delta(3, 2, []))
+  expect([...history.states.keys()]).toEqual([2, 3])
+
+  for (let seq = 4; seq < 4 + SNAPSHOT_HISTORY_SIZE; seq++) applySnapshot(history, delta(seq, 2, []))
+  expect(history.states.size).toBe(SNAPSHOT_HISTORY_SIZE)
+})